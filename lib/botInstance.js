@@ -0,0 +1,2972 @@
+// One bot account: its connection, chat handling, task queue, memory and permission files, and its API router.
+// bot.js creates one instance per entry in the fleet config; nothing in here is shared between bots
+// except what arrives through `shared`.
+import { createBot as createMineflayerBot } from 'mineflayer'
+import { loader as autoEat } from 'mineflayer-auto-eat'
+import minecraftData from 'minecraft-data'
+import AutoAuth from 'mineflayer-auto-auth'
+import fs from 'fs'
+import path from 'path'
+import { EventEmitter } from 'events'
+import express from 'express'
+import { Vec3 } from 'vec3'
+import { loadChatRules, parseChatLine } from './chatFormats.js'
+import { createPermissions, ACTIONS } from './permissions.js'
+import { createRuleBackend, createHttpLlmBackend, createReplyService } from './replyBackends.js'
+import { parseInstructions, describePlan, describeSeconds } from './instructionParser.js'
+import { createConnectionSupervisor } from './connectionSupervisor.js'
+import { createChatOutbox, createFloodGuard, parseCooldown } from './chatGuard.js'
+import { createConversationMemory, extractFact } from './conversationMemory.js'
+import { createSurvival } from './survival.js'
+import { createFarming, regionFromCorners, regionAround, describeRegion } from './farming.js'
+import { createScheduler, parseScheduleCommand, describeTrigger } from './scheduler.js'
+import { loadStructure, listStructures, findStructureFile, itemForBlock, materialsFor, missingMaterials } from './structures.js'
+import { planCraft, planSmelt, resolveItemName } from './crafting.js'
+import { DEFAULT_PROFILE, mergeProfiles, applyProfile, describeProfile } from './movement.js'
+
+// Every line a bot logs starts with its id so a fleet's log can be told apart
+function taggedConsole(id) {
+  const tag = '[' + id + ']'
+  return {
+    log: (...args) => globalThis.console.log(tag, ...args),
+    warn: (...args) => globalThis.console.warn(tag, ...args),
+    error: (...args) => globalThis.console.error(tag, ...args)
+  }
+}
+
+// cfg: one normalized entry from lib/fleetConfig.js
+// shared: { nlp, isFleetBot(username), requireApiToken, eventLog?, metrics?, reloadConfig? }
+// deps: { createBot, ping, log } replace mineflayer, the server ping and the console; tools/harness.js
+// passes a mock bot
+export function createBotInstance(cfg, shared, deps = {}) {
+  const console = deps.log || taggedConsole(cfg.id)
+  const nlp = shared.nlp
+  const requireApiToken = shared.requireApiToken
+
+  // ---------- Persistent state and files ----------
+  // reassigned when the config is reloaded
+  let ownerName = cfg.owner
+  let botNames = cfg.names
+  let groupNames = cfg.groupNames
+  for (const f of Object.values(cfg.files)) fs.mkdirSync(path.dirname(f), { recursive: true })
+  // files from before the defaults left /tmp are copied, not moved, so an older version can still be run
+  for (const [key, old] of Object.entries(cfg.legacyFiles || {})) {
+    if (fs.existsSync(cfg.files[key]) || !fs.existsSync(old)) continue
+    try { fs.copyFileSync(old, cfg.files[key]); console.log('[CONFIG] Copied ' + old + ' to ' + cfg.files[key]) } catch (e) { console.warn('[CONFIG] Could not copy ' + old, e.message) }
+  }
+
+  let bot = null
+  // per-player threads in memory.json; older messages are summarized into the conversations.jsonl archive
+  const memory = createConversationMemory({ file: cfg.files.memory, archiveFile: cfg.files.conversations, ...cfg.memory, ignoreWords: [...botNames, ...groupNames], log: console })
+
+  // trusted.json / ignored.json are only read once, to migrate into roles.json
+  const permissions = createPermissions({ file: cfg.files.roles, auditFile: cfg.files.rolesAudit, ownerName, legacyTrustedFile: cfg.files.legacyTrusted, legacyIgnoredFile: cfg.files.legacyIgnored, log: console })
+  const seeded = permissions.configure({ owner: ownerName, ...cfg.permissions })
+  if (seeded.error) console.warn('[ROLES] Config not applied: ' + seeded.error)
+
+  function saveMemory() {
+    memory.save()
+  }
+
+  // ---------- Pathfinder and movement exports (safe resolution) ----------
+  let pathfinderLoaded = false
+  let Movements = null
+  let goals = null
+  let GoalBlock = null
+  let GoalFollow = null
+  let GoalNear = null
+
+  let movementProfiles = mergeProfiles(cfg.movement.profiles)
+  let movementProfile = movementProfiles[cfg.movement.profile] ? cfg.movement.profile : DEFAULT_PROFILE
+  if (movementProfile !== cfg.movement.profile) console.warn('[PATH] unknown movement profile ' + cfg.movement.profile + ', using ' + DEFAULT_PROFILE)
+
+  // shared waypoints named like bases (base, home) in this dimension; the profile keeps them from being dug into
+  function baseLocations() {
+    return cfg.movement.baseWaypoints.map(name => waypoints.shared[name]).filter(wp => wp && wp.dimension === currentDimension())
+  }
+
+  function createMovements(profile = movementProfile) {
+    const movements = new Movements(bot, minecraftData(bot.version))
+    return applyProfile(movements, movementProfiles[profile], { bases: baseLocations(), baseRadius: cfg.movement.baseRadius })
+  }
+
+  // after a profile change, a new base or a trip through a portal; a build sets its own movements
+  function refreshMovements() {
+    if (!pathfinderLoaded || !bot || !bot.pathfinder || buildState) return
+    try { bot.pathfinder.setMovements(createMovements()) } catch (e) { console.warn('[PATH] movements refresh failed', e.message) }
+  }
+
+  async function ensurePathfinderLoaded() {
+    // a reconnected bot is a fresh instance without the plugin
+    if (pathfinderLoaded && bot && bot.pathfinder) return
+    if (!bot) throw new Error('Bot not initialized when loading pathfinder')
+    console.log('[PATH] Loading pathfinder package')
+    try {
+      const pathfinderPkgRaw = await import('mineflayer-pathfinder')
+      const pf = pathfinderPkgRaw.default || pathfinderPkgRaw
+
+      // resolve plugin and exports resiliently
+      const pathfinderPlugin = pf.pathfinder || pf.default?.pathfinder || pf.pathfinder?.default || (pf)
+      Movements = pf.Movements || pf.Movements || pf.default?.Movements
+      goals = pf.goals || pf.goals || pf.default?.goals
+
+      // Debug dump for troubleshooting if exports not found
+      if (!goals || !Movements || !pathfinderPlugin) {
+        console.error('[PATH] Could not resolve pathfinder exports. pf keys: ' + Object.keys(pf).join(', '))
+        throw new Error('pathfinder exports missing')
+      }
+
+      // load plugin into bot
+      bot.loadPlugin(pathfinderPlugin)
+      GoalBlock = goals.GoalBlock || goals.GoalBlockGoal || goals.Goal || null
+      GoalFollow = goals.GoalFollow || goals.GoalFollowGoal || null
+      GoalNear = goals.GoalNear || null
+
+      bot.pathfinder.setMovements(createMovements())
+
+      pathfinderLoaded = true
+      console.log('[PATH] Pathfinder ready; GoalBlock present=' + !!GoalBlock + ' GoalFollow present=' + !!GoalFollow + ' GoalNear present=' + !!GoalNear)
+    } catch (e) {
+      console.error('[PATH] ensurePathfinderLoaded failed', e && e.message)
+      throw e
+    }
+  }
+
+  // ---------- Live events ----------
+  // What the dashboard streams: raw lines, parsed chat and everything the bot says. The backlog lets a
+  // freshly opened page show the last few minutes.
+  const EVENT_BACKLOG = 200
+  const events = new EventEmitter()
+  events.setMaxListeners(50)
+  const recentEvents = []
+
+  function emitEvent(type, data) {
+    const event = { type, at: Date.now(), ...data }
+    recentEvents.push(event)
+    while (recentEvents.length > EVENT_BACKLOG) recentEvents.shift()
+    events.emit('event', event)
+    // raw lines are already in the text log
+    if (type !== 'raw') logEvent(type, data)
+  }
+
+  // ---------- Metrics and event log ----------
+  // Both are shared by the fleet and labelled with this bot's id. A bot that has stopped answering shows up
+  // as mcbot_last_mention_timestamp_seconds running ahead of mcbot_last_reply_timestamp_seconds.
+  const metrics = shared.metrics || null
+  let lastMentionAt = null
+  let lastReplyAt = null
+
+  function logEvent(type, data = {}) {
+    if (shared.eventLog) shared.eventLog.write(type, { bot: cfg.id, ...data })
+  }
+
+  function incMetric(name, labels = {}) {
+    if (metrics) metrics.inc(name, { bot: cfg.id, ...labels })
+  }
+
+  if (metrics) {
+    metrics.counter('mcbot_commands_total', 'Messages addressed to the bot, by player')
+    metrics.counter('mcbot_replies_total', 'Messages the bot sent to players')
+    metrics.counter('mcbot_steps_total', 'Plan steps run, by action and result')
+    metrics.counter('mcbot_reconnects_total', 'Connection attempts after the first')
+    metrics.counter('mcbot_disconnects_total', 'Connections lost, by kind (kick reason, error, end)')
+    metrics.counter('mcbot_deaths_total', 'Times the bot died')
+    metrics.counter('mcbot_pathfinder_failures_total', 'Pathfinder goals given up on, by reason (noPath, timeout)')
+    metrics.counter('mcbot_chat_dropped_total', 'Outgoing chat lines not sent, by reason (repeat, queue full, command)')
+    metrics.counter('mcbot_flood_mutes_total', 'Players ignored for a while for flooding the bot')
+    metrics.counter('mcbot_parse_misses_total', 'Chat lines no format rule matched (chat_format) and commands nothing could be made of (instruction)')
+    metrics.gauge('mcbot_connected', '1 while the bot is in game')
+    metrics.gauge('mcbot_connected_seconds', 'Seconds since the current connection spawned')
+    metrics.gauge('mcbot_health', 'Health points (0-20)')
+    metrics.gauge('mcbot_food', 'Food points (0-20)')
+    metrics.gauge('mcbot_queue_length', 'Tasks waiting in the queue')
+    metrics.gauge('mcbot_last_mention_timestamp_seconds', 'When a player last addressed the bot')
+    metrics.gauge('mcbot_last_reply_timestamp_seconds', 'When the bot last sent a player a message')
+    metrics.collect((set) => {
+      const labels = { bot: cfg.id }
+      const connected = !!(bot && bot.entity)
+      const since = supervisor.status().connectedSince
+      set('mcbot_connected', labels, connected ? 1 : 0)
+      set('mcbot_connected_seconds', labels, since ? Math.round((Date.now() - since) / 1000) : 0)
+      set('mcbot_queue_length', labels, taskQueue.length)
+      if (connected) {
+        set('mcbot_health', labels, bot.health)
+        set('mcbot_food', labels, bot.food)
+      }
+      if (lastMentionAt) set('mcbot_last_mention_timestamp_seconds', labels, Math.round(lastMentionAt / 1000))
+      if (lastReplyAt) set('mcbot_last_reply_timestamp_seconds', labels, Math.round(lastReplyAt / 1000))
+    })
+  }
+
+  // ---------- Discord bridge ----------
+  // Someone on the discord channel is "discord:<name>": their own identity for roles, memory and rate limits,
+  // never the game account of the same name. Replies to them go where the bridge picks them up.
+  const DISCORD_PREFIX = 'discord:'
+  // a message posted to /discord and relayed into game chat by the same bridge is only handled once
+  const DISCORD_ECHO_MS = 10000
+  // a webhook that hangs is given up on, like the LLM backend's calls
+  const DISCORD_WEBHOOK_TIMEOUT_MS = 8000
+  const discordPosts = new Map()
+
+  function discordIdentity(name) {
+    return DISCORD_PREFIX + String(name).trim()
+  }
+
+  function isDiscordIdentity(name) {
+    return String(name).toLowerCase().startsWith(DISCORD_PREFIX)
+  }
+
+  // true when this line already arrived through /discord
+  function isDiscordEcho(identity, message) {
+    const now = Date.now()
+    for (const [key, at] of discordPosts) if (now - at > DISCORD_ECHO_MS) discordPosts.delete(key)
+    return discordPosts.has(identity.toLowerCase() + '\n' + message.trim())
+  }
+
+  function replyOnDiscord(player, message) {
+    const text = cfg.discord.replyFormat.replace(/\{player\}/g, player.slice(DISCORD_PREFIX.length)).replace(/\{message\}/g, message)
+    if (!cfg.discord.webhookUrl) {
+      // a bridge command format ("/dc {message}") has to be in chatCommands like any other
+      const command = cfg.discord.replyFormat.startsWith('/') && text.match(/^\/(\S+)\s*([\s\S]*)$/)
+      if (command) outbox.command(command[1], command[2])
+      else outbox.say(text)
+      return
+    }
+    // allowed_mentions keeps "@name" from pinging anyone
+    fetch(cfg.discord.webhookUrl, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username: bot.username || cfg.username, content: text, allowed_mentions: { parse: [] } }),
+      signal: AbortSignal.timeout(DISCORD_WEBHOOK_TIMEOUT_MS)
+    }).then(res => {
+      if (!res.ok) console.warn('[DISCORD] webhook answered ' + res.status)
+    }).catch(e => console.error('[DISCORD] webhook post failed', e && e.name === 'TimeoutError' ? 'timed out after ' + DISCORD_WEBHOOK_TIMEOUT_MS + 'ms' : e && e.message))
+  }
+
+  // ---------- Outgoing chat and flood protection ----------
+  // Every line the bot sends goes through the outbox (lib/chatGuard.js); cfg.chat is read live
+  const outbox = createChatOutbox({
+    send: (line) => { if (bot) bot.chat(line) },
+    settings: cfg.chat,
+    onDrop: (reason) => incMetric('mcbot_chat_dropped_total', { reason }),
+    log: console
+  })
+  const flood = createFloodGuard({ settings: cfg.chat, log: console })
+  let lastTpaAt = 0
+
+  // "unmute Steve": lifts a flood mute early, for those who manage roles
+  function handleMuteCommand(username, message) {
+    const m = message.match(/\bunmute\s+((?:discord:)?\w+(?:\.\w+)*)/i)
+    if (!m) return false
+    if (!permissions.roleInfo(username).manage) { whisper(username, 'Only players who manage roles can unmute anyone.'); return true }
+    whisper(username, flood.unmute(m[1]) ? 'Listening to ' + m[1] + ' again.' : m[1] + " isn't muted.")
+    return true
+  }
+
+  // ---------- Utilities ----------
+  function whisper(player, message) {
+    if (!bot) return
+    console.log('[WHISPER] ->' + player + ' ' + message)
+    emitEvent('say', { to: player, message })
+    incMetric('mcbot_replies_total')
+    lastReplyAt = Date.now()
+    try {
+      if (isDiscordIdentity(player)) replyOnDiscord(player, message)
+      else if (bot.players && bot.players[player]) outbox.command('msg', player + ' ' + message)
+      else outbox.say(message)
+    } catch (e) { console.error('[WHISPER] Send failed', e.message) }
+  }
+
+  // ---------- Raw message extraction ----------
+  let chatRules = []
+  // also run on "reload config", which picks up edits to the file as well as a new path
+  function loadChatFormats() {
+    try {
+      chatRules = loadChatRules(cfg.chatFormatsFile)
+      console.log('[CHAT] Loaded chat format rules ' + chatRules.map(r => r.name).join(', '))
+    } catch (e) { console.error('[CHAT] Chat format rules load failed', e.message) }
+  }
+  loadChatFormats()
+
+  function tryExtractUserFromRaw(raw) {
+    const players = bot && bot.players ? Object.keys(bot.players) : []
+    return parseChatLine(raw, chatRules, { players })
+  }
+
+  // ---------- Instruction parsing ----------
+  // The grammar is in lib/instructionParser.js; it only needs to know our names and waypoints
+  function parseInstructionPlan(username, message) {
+    const plan = parseInstructions(username, message, { botNames: [...botNames, ...groupNames], isWaypoint: (u, name) => !!findWaypoint(u, name) })
+    console.log('[NLP] parsed plan for ' + username + ': ' + JSON.stringify({ steps: plan.steps, watches: plan.watches, skipped: plan.skipped }))
+    return plan
+  }
+
+  // Questions about the bot's own state; answered from game data whichever reply backend is active
+  function answerQuery(message, username) {
+    if (!nlp) return null
+    const doc = nlp(message.toLowerCase())
+    if (doc.has('where are you')) {
+      if (!bot || !bot.entity) return "I'm not sure where I am right now."
+      const pos = bot.entity.position
+      return 'I am at ' + Math.floor(pos.x) + ', ' + Math.floor(pos.y) + ', ' + Math.floor(pos.z)
+    }
+    const whereMatch = message.toLowerCase().match(/\bwhere(?:'s|\s+is)\s+(?:the\s+)?(?:my\s+)?([a-z0-9_-]+)/)
+    if (whereMatch) {
+      const wp = findWaypoint(username, whereMatch[1])
+      if (wp) return formatWaypoint(wp)
+      const fact = memory.findFact(username, whereMatch[1])
+      if (fact) return 'You told me ' + fact.text.replace(username + "'s", 'your') + '.'
+    }
+    if (doc.has('inventory') || doc.has('what are you carrying') || doc.has('what do you have')) return summarizeInventory()
+    return null
+  }
+
+  function generateResponse(message, username, isTrusted) {
+    if (!nlp) return "I'm having trouble with language processing right now."
+    const doc = nlp(message.toLowerCase())
+    const answer = answerQuery(message, username)
+    if (answer) return answer
+    if (doc.has('hello') || doc.has('hi') || doc.has('hey')) {
+      const name = memory.findFact(username, 'name')
+      const greeting = name ? name.text.replace(/^.* likes to be called /, '') : username
+      // lastSeen already includes this message, so look at the one before it
+      const said = memory.thread(username).filter(m => m.role === 'user')
+      const before = said.length > 1 ? said[said.length - 2].at : null
+      if (before && Date.now() - before > 60 * 60 * 1000) return 'Welcome back ' + greeting + '! How can I help you?'
+      return 'Hello ' + greeting + '! How can I help you?'
+    }
+    if (doc.has('thank') || doc.has('thanks')) return "You're welcome!"
+    if (doc.has('how are you') || doc.has('how do you feel')) return "I'm functioning properly and ready to help!"
+    if (isTrusted) return "I heard you, but I'm not sure what you want me to do. Try 'follow me', 'goto x y z', 'mine 16 oak_log', or 'tpa player', and chain them with 'then'."
+    return "I'm here! Let me know if you need anything."
+  }
+
+  // ---------- Reply backends ----------
+  // cfg.reply.backend: rules (default), openai (any OpenAI-compatible server) or ollama
+  const ruleBackend = createRuleBackend(generateResponse)
+
+  function buildReplyService() {
+    const r = cfg.reply
+    if (r.backend === 'openai' || r.backend === 'ollama') {
+      try {
+        const llm = createHttpLlmBackend({
+          url: r.llmUrl,
+          style: r.backend,
+          model: r.llmModel,
+          apiKey: r.llmApiKey,
+          timeoutMs: r.llmTimeoutMs,
+          historySize: r.llmHistory,
+          personality: cfg.personality || '',
+          botName: botNames[0]
+        })
+        console.log('[REPLY] Using ' + llm.name + ' with rule fallback')
+        return createReplyService({ primary: llm, fallback: ruleBackend, perPlayer: { count: r.llmRateLimit, seconds: 60 }, log: console })
+      } catch (e) { console.error('[REPLY] LLM backend setup failed, using rules', e.message) }
+    }
+    return createReplyService({ primary: ruleBackend, fallback: ruleBackend, log: console })
+  }
+  let replyService = buildReplyService()
+
+  function validCoords(x, y, z) {
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return false
+    if (Math.abs(x) > 30000000 || Math.abs(z) > 30000000) return false
+    if (y < -64 || y > 320) return false
+    return true
+  }
+
+  // ---------- Mining and block gathering ----------
+  const MINE_MAX_COUNT = 64
+
+  // Turns what a player typed ("oak logs", "iron", "log") into matching block ids for this version
+  function resolveBlockIds(name) {
+    const mcData = minecraftData(bot.version)
+    const base = String(name || '').toLowerCase().replace(/^minecraft:/, '').replace(/\s+/g, '_')
+    const candidates = [base]
+    if (base.endsWith('es')) candidates.push(base.slice(0, -2))
+    if (base.endsWith('s')) candidates.push(base.slice(0, -1))
+    const ids = new Set()
+    for (const c of candidates) {
+      const names = [c, 'deepslate_' + c]
+      if (!c.endsWith('_ore')) names.push(c + '_ore', 'deepslate_' + c + '_ore')
+      for (const n of names) if (mcData.blocksByName[n]) ids.add(mcData.blocksByName[n].id)
+    }
+    // generic words like "log" or "planks" match every variant
+    if (ids.size === 0) {
+      for (const c of candidates) {
+        for (const b of mcData.blocksArray) if (b.name.endsWith('_' + c)) ids.add(b.id)
+      }
+    }
+    return [...ids]
+  }
+
+  async function equipBestTool(block) {
+    const tool = bot.pathfinder.bestHarvestTool(block)
+    if (tool) await bot.equip(tool, 'hand')
+    if (block.harvestTools && !Object.keys(block.harvestTools).some(id => bot.heldItem && bot.heldItem.type === parseInt(id, 10))) return false
+    return true
+  }
+
+  async function mineBlocks(username, step, task = null) {
+    try {
+      await ensurePathfinderLoaded()
+    } catch (e) {
+      console.error('[MINE] cannot load pathfinder', e && e.message)
+      whisper(username, 'Pathfinder could not be loaded; mining not possible.')
+      return
+    }
+    if (!GoalNear) { whisper(username, 'Internal error: pathfinding near goal class missing.'); return }
+    const ids = resolveBlockIds(step.block)
+    if (ids.length === 0) { whisper(username, "I don't know a block called " + step.block); return }
+    const wanted = Math.max(1, Math.min(MINE_MAX_COUNT, parseInt(step.count, 10) || 1))
+    let center = bot.entity.position
+    if (step.nearPlayer) {
+      const requester = bot.players[username]?.entity
+      if (!requester) { whisper(username, "I can't see you, so I'll look near me instead.") } else center = requester.position
+    }
+
+    whisper(username, 'Looking for ' + wanted + ' ' + step.block)
+    let mined = 0
+    // why the loop ended early, if it did; the final whisper says that instead of "couldn't find"
+    let gaveUp = null
+    const failed = new Set()
+    const progressEvery = Math.max(1, Math.ceil(wanted / 4))
+    bot.pathfinder.setGoal(null)
+    while (mined < wanted) {
+      if (task && taskStopped(task)) return
+      const positions = bot.findBlocks({ matching: ids, maxDistance: cfg.mineSearchRadius, count: 64, point: center })
+        .filter(p => !failed.has(p.toString()))
+      positions.sort((a, b) => a.distanceTo(bot.entity.position) - b.distanceTo(bot.entity.position))
+      const pos = positions[0]
+      if (!pos) break
+      const block = bot.blockAt(pos)
+      if (!block) break
+      try {
+        await bot.pathfinder.goto(new GoalNear(pos.x, pos.y, pos.z, 2))
+        if (!(await equipBestTool(block))) {
+          gaveUp = "I don't have the right tool to harvest " + block.name
+          break
+        }
+        if (!bot.canDigBlock(block)) throw new Error('cannot dig block at ' + pos)
+        await bot.dig(block)
+        mined++
+        if (task) task.progress.detail = 'mined ' + mined + '/' + wanted + ' ' + step.block
+        console.log('[MINE] dug ' + block.name + ' at ' + pos + ' (' + mined + '/' + wanted + ')')
+        // walk onto the spot so the drop gets picked up
+        try { await bot.pathfinder.goto(new GoalNear(pos.x, pos.y, pos.z, 0)) } catch (e) { /* drop may still be collected */ }
+        if (mined < wanted && mined % progressEvery === 0) whisper(username, 'Mined ' + mined + '/' + wanted + ' ' + step.block)
+      } catch (e) {
+        console.warn('[MINE] failed at ' + pos + ' ' + (e && e.message))
+        failed.add(pos.toString())
+        if (failed.size >= 5) { gaveUp = 'I keep failing to reach ' + step.block + ', giving up'; break }
+      }
+    }
+    if (gaveUp) whisper(username, gaveUp + (mined > 0 ? ' (mined ' + mined + '/' + wanted + ').' : '.'))
+    else if (mined === 0) whisper(username, "I couldn't find any " + step.block + ' within ' + cfg.mineSearchRadius + ' blocks.')
+    else whisper(username, 'Done: mined ' + mined + '/' + wanted + ' ' + step.block)
+  }
+
+  // ---------- Inventory management ----------
+  const CHEST_SEARCH_RADIUS = 16
+
+  // Matches what a player typed ("bread", "pickaxe", "oak logs") against items the bot actually carries
+  function findInventoryItems(name) {
+    const items = bot.inventory.items()
+    const base = String(name || '').toLowerCase().replace(/^minecraft:/, '').replace(/\s+/g, '_')
+    const candidates = [base]
+    if (base.endsWith('es')) candidates.push(base.slice(0, -2))
+    if (base.endsWith('s')) candidates.push(base.slice(0, -1))
+    for (const c of candidates) {
+      const exact = items.filter(i => i.name === c)
+      if (exact.length) return exact
+    }
+    for (const c of candidates) {
+      const partial = items.filter(i => i.name.endsWith('_' + c) || i.name.startsWith(c + '_'))
+      if (partial.length) return partial
+    }
+    return []
+  }
+
+  function isKnownItem(name) {
+    const mcData = minecraftData(bot.version)
+    const base = String(name || '').toLowerCase().replace(/\s+/g, '_')
+    return !!(mcData.itemsByName[base] || mcData.itemsByName[base.replace(/e?s$/, '')])
+  }
+
+  function countByName(items) {
+    const counts = {}
+    for (const i of items) counts[i.name] = (counts[i.name] || 0) + i.count
+    return counts
+  }
+
+  function describeCounts(counts) {
+    const parts = Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([n, c]) => c + ' ' + n)
+    if (parts.length > 8) return parts.slice(0, 8).join(', ') + ' and ' + (parts.length - 8) + ' more kinds'
+    return parts.join(', ')
+  }
+
+  function summarizeInventory() {
+    if (!bot || !bot.inventory) return "I can't check my inventory right now."
+    const items = bot.inventory.items()
+    if (items.length === 0) return "I'm not carrying anything."
+    const held = bot.heldItem ? ' (holding ' + bot.heldItem.name + ')' : ''
+    return "I'm carrying " + describeCounts(countByName(items)) + held
+  }
+
+  function missingItemReply(name) {
+    return isKnownItem(name) ? "I don't have any " + name : "I don't know an item called " + name
+  }
+
+  // Tosses up to `count` ('all' or a number) of the matched stacks; returns what actually left the inventory
+  async function tossItems(items, count) {
+    const moved = {}
+    let remaining = count === 'all' ? Infinity : Math.max(1, parseInt(count, 10) || 1)
+    for (const item of items) {
+      if (remaining <= 0) break
+      const n = Math.min(item.count, remaining)
+      await bot.toss(item.type, item.metadata, n)
+      moved[item.name] = (moved[item.name] || 0) + n
+      remaining -= n
+    }
+    return moved
+  }
+
+  async function holdItem(username, step) {
+    const items = findInventoryItems(step.item)
+    if (items.length === 0) { whisper(username, missingItemReply(step.item)); return }
+    await bot.equip(items[0], 'hand')
+    whisper(username, 'Now holding ' + items[0].name)
+  }
+
+  async function dropItems(username, step) {
+    if (!step.item && step.count !== 'all') { whisper(username, 'Tell me what to drop, or say "drop everything".'); return }
+    const items = step.item ? findInventoryItems(step.item) : bot.inventory.items()
+    if (items.length === 0) { whisper(username, step.item ? missingItemReply(step.item) : "I'm not carrying anything."); return }
+    const moved = await tossItems(items, step.count)
+    whisper(username, 'Dropped ' + describeCounts(moved))
+  }
+
+  async function giveItems(username, step) {
+    const items = findInventoryItems(step.item)
+    if (items.length === 0) { whisper(username, missingItemReply(step.item)); return }
+    const target = bot.players[step.player]?.entity
+    if (!target) { whisper(username, "I can't see " + step.player + ' right now.'); return }
+    try {
+      await ensurePathfinderLoaded()
+      await bot.pathfinder.goto(new GoalNear(target.position.x, target.position.y, target.position.z, 2))
+    } catch (e) {
+      console.warn('[INV] could not reach ' + step.player + ' ' + (e && e.message))
+      whisper(username, "I couldn't get to " + step.player)
+      return
+    }
+    await bot.lookAt(target.position.offset(0, target.height || 1.6, 0), true)
+    const moved = await tossItems(items, step.count)
+    whisper(username, 'Gave ' + step.player + ' ' + describeCounts(moved))
+  }
+
+  async function depositItems(username, step) {
+    if (step.nearest) {
+      const chest = bot.findBlock({ matching: b => /chest|barrel|shulker_box/.test(b.name), maxDistance: CHEST_SEARCH_RADIUS })
+      if (!chest) { whisper(username, "I don't see a chest within " + CHEST_SEARCH_RADIUS + ' blocks.'); return }
+      step = { ...step, x: chest.position.x, y: chest.position.y, z: chest.position.z }
+    }
+    if (!validCoords(step.x, step.y, step.z)) { whisper(username, 'Those chest coordinates are invalid or too far.'); return }
+    const items = step.item ? findInventoryItems(step.item) : bot.inventory.items()
+    if (items.length === 0) { whisper(username, step.item ? missingItemReply(step.item) : "I'm not carrying anything."); return }
+    try {
+      await ensurePathfinderLoaded()
+      await bot.pathfinder.goto(new GoalNear(step.x, step.y, step.z, 2))
+    } catch (e) {
+      console.warn('[INV] could not reach chest ' + (e && e.message))
+      whisper(username, "I couldn't get to the chest at " + step.x + ', ' + step.y + ', ' + step.z)
+      return
+    }
+    const block = bot.blockAt(new Vec3(step.x, step.y, step.z))
+    if (!block || !/chest|barrel|shulker_box/.test(block.name)) { whisper(username, 'There is no chest at ' + step.x + ', ' + step.y + ', ' + step.z); return }
+    const container = await bot.openContainer(block)
+    const moved = {}
+    let remaining = step.count === 'all' ? Infinity : Math.max(1, parseInt(step.count, 10) || 1)
+    try {
+      for (const item of items) {
+        if (remaining <= 0) break
+        const n = Math.min(item.count, remaining)
+        try {
+          await container.deposit(item.type, item.metadata, n)
+        } catch (e) {
+          console.warn('[INV] deposit stopped: ' + (e && e.message))
+          break
+        }
+        moved[item.name] = (moved[item.name] || 0) + n
+        remaining -= n
+      }
+    } finally {
+      container.close()
+    }
+    if (Object.keys(moved).length === 0) whisper(username, "I couldn't put anything in that chest, it may be full.")
+    else whisper(username, 'Put ' + describeCounts(moved) + ' in the chest')
+  }
+
+  // ---------- Building from structure files ----------
+  const BUILD_REACH = 4
+  const BUILD_TRIES = 3
+  // neighbours to place against, the one below first so floors and walls go down the natural way
+  const PLACE_FACES = [new Vec3(0, -1, 0), new Vec3(0, 0, -1), new Vec3(0, 0, 1), new Vec3(-1, 0, 0), new Vec3(1, 0, 0), new Vec3(0, 1, 0)]
+
+  // { task, owner, structure, origin, total, placed, skipped, layer, layers, paused, reason, reported }
+  let buildState = null
+
+  async function loadNamedStructure(name) {
+    const file = findStructureFile(cfg.structuresDir, name)
+    return file ? loadStructure(file) : null
+  }
+
+  function buildStatus() {
+    if (!buildState) return null
+    const { structure, owner, origin, total, placed, skipped, layer, layers, paused, reason } = buildState
+    return { structure, owner, origin, total, placed, skipped, percent: total ? Math.floor(placed * 100 / total) : 100, layer: layer + 1, layers, paused, reason }
+  }
+
+  function describeBuild() {
+    const s = buildStatus()
+    let text = s.structure + ' at ' + s.origin.x + ' ' + s.origin.y + ' ' + s.origin.z + ': ' + s.placed + '/' + s.total + ' blocks (' + s.percent + '%), layer ' + s.layer + '/' + s.layers
+    if (s.paused) text += ', paused (' + s.reason + ')'
+    return text
+  }
+
+  function pauseBuild(reason) {
+    buildState.paused = true
+    buildState.reason = reason
+    try { bot.pathfinder.setGoal(null) } catch (e) { console.warn('[BUILD] stop goal failed', e.message) }
+    console.log('[BUILD] paused: ' + reason)
+  }
+
+  async function waitWhilePaused(task) {
+    while (buildState && buildState.paused && !(task && taskStopped(task))) await new Promise(r => setTimeout(r, 1000))
+  }
+
+  function placeReference(pos) {
+    for (const face of PLACE_FACES) {
+      const block = bot.blockAt(pos.plus(face))
+      if (block && block.boundingBox === 'block') return { block, face: face.scaled(-1) }
+    }
+    return null
+  }
+
+  // 'done' when the block is already right, 'missing' without the item, 'waiting' with nothing to place
+  // against yet (try again after the rest of the layer), 'placed', or 'failed'
+  async function placeStructureBlock(target) {
+    const current = bot.blockAt(target.pos)
+    if (current && current.name === target.name) return 'done'
+    const item = bot.inventory.items().find(i => i.name === target.item)
+    if (!item) return 'missing'
+    if (!placeReference(target.pos)) return 'waiting'
+    try {
+      await bot.pathfinder.goto(goals.GoalPlaceBlock ? new goals.GoalPlaceBlock(target.pos, bot.world, { range: BUILD_REACH }) : new GoalNear(target.pos.x, target.pos.y, target.pos.z, 3))
+      const there = bot.blockAt(target.pos)
+      // clear terrain that is in the way, but never take apart someone's storage
+      if (there && there.boundingBox === 'block' && there.name !== target.name) {
+        if (/chest|barrel|shulker_box|_bed$/.test(there.name) || !bot.canDigBlock(there)) return 'failed'
+        await equipBestTool(there)
+        await bot.dig(there)
+      }
+      const ref = placeReference(target.pos)
+      if (!ref) return 'waiting'
+      await bot.equip(item, 'hand')
+      await bot.placeBlock(ref.block, ref.face)
+      return 'placed'
+    } catch (e) {
+      console.warn('[BUILD] ' + target.name + ' at ' + target.pos + ' failed: ' + (e && e.message))
+      return 'failed'
+    }
+  }
+
+  function reportBuildProgress() {
+    const quarter = Math.floor(buildState.placed * 4 / buildState.total)
+    if (quarter <= buildState.reported || quarter >= 4) return
+    buildState.reported = quarter
+    whisper(buildState.owner, 'Building ' + describeBuild())
+  }
+
+  // Layer by layer from the bottom. Blocks that are already right count as placed, so a build that was
+  // interrupted (reconnect, survival) picks up where it stopped when the task resumes.
+  async function buildStructure(username, step, task = null) {
+    try {
+      await ensurePathfinderLoaded()
+    } catch (e) {
+      console.error('[BUILD] cannot load pathfinder', e && e.message)
+      whisper(username, 'Pathfinder could not be loaded; building not possible.')
+      return
+    }
+    let structure = null
+    try {
+      structure = await loadNamedStructure(step.structure)
+    } catch (e) {
+      console.warn('[BUILD] load failed', e && e.message)
+      whisper(username, "I couldn't read " + step.structure + ': ' + (e && e.message))
+      return
+    }
+    if (!structure) { whisper(username, "I don't have a structure called " + step.structure + '. I know: ' + (listStructures(cfg.structuresDir).join(', ') || 'none')); return }
+    let origin = { x: step.x, y: step.y, z: step.z }
+    if (step.here) {
+      const requester = bot.players[username]?.entity
+      if (!requester) { whisper(username, "I can't see you, so I don't know where here is."); return }
+      origin = requester.position.floored()
+    }
+    const { size } = structure
+    if (!validCoords(origin.x, origin.y, origin.z) || !validCoords(origin.x + size.x, origin.y + size.y, origin.z + size.z)) { whisper(username, "That spot is invalid, or the structure wouldn't fit there."); return }
+
+    const mcData = minecraftData(bot.version)
+    const targets = []
+    let skipped = 0
+    for (const b of structure.blocks) {
+      const item = itemForBlock(b.name, b.properties)
+      if (!item) continue
+      // blocks this version doesn't have, or whose item we can't name, are left out and reported
+      if (!mcData.blocksByName[b.name] || !mcData.itemsByName[item]) { skipped++; continue }
+      targets.push({ ...b, item, pos: new Vec3(origin.x + b.x, origin.y + b.y, origin.z + b.z) })
+    }
+    if (targets.length === 0) { whisper(username, 'There is nothing in ' + structure.name + ' I can place.'); return }
+
+    buildState = { task, owner: username, structure: structure.name, origin, total: targets.length, placed: 0, skipped, layer: 0, layers: size.y, paused: false, reason: null, reported: 0 }
+    const missing = missingMaterials(materialsFor(targets), countByName(bot.inventory.items()))
+    whisper(username, 'Building ' + structure.name + ' (' + size.x + 'x' + size.y + 'x' + size.z + ', ' + targets.length + ' blocks) at ' + origin.x + ' ' + origin.y + ' ' + origin.z + (skipped ? "; skipping " + skipped + " blocks I can't place" : ''))
+    if (Object.keys(missing).length) whisper(username, 'I still need ' + describeCounts(missing) + ". I'll pause when I run out.")
+    console.log('[BUILD] ' + structure.name + ' for ' + username + ' at ' + JSON.stringify(origin) + ' blocks=' + targets.length + ' missing=' + JSON.stringify(missing))
+
+    // no digging through the build and no scaffolding pillars made of its materials
+    const movements = createMovements()
+    movements.canDig = false
+    movements.allow1by1towers = false
+    bot.pathfinder.setMovements(movements)
+    const failed = new Map()
+    try {
+      for (let y = 0; y < size.y; y++) {
+        buildState.layer = y
+        // rows in alternating directions so the bot walks back and forth instead of across
+        let pending = targets.filter(t => t.y === y).sort((a, b) => a.z - b.z || (a.z % 2 ? b.x - a.x : a.x - b.x))
+        while (pending.length) {
+          const left = []
+          for (let i = 0; i < pending.length; i++) {
+            if (task && taskStopped(task)) return
+            await waitWhilePaused(task)
+            if (task && taskStopped(task)) return
+            const target = pending[i]
+            const result = await placeStructureBlock(target)
+            if (result === 'missing') {
+              const needed = targets.filter(t => t.item === target.item && !(bot.blockAt(t.pos)?.name === t.name)).length
+              pauseBuild('out of ' + target.item)
+              whisper(username, 'I ran out of ' + target.item + ' (' + needed + ' more needed). Bring me some and say "resume build".')
+              i--
+              continue
+            }
+            if (result === 'done' || result === 'placed') {
+              buildState.placed++
+              if (task) task.progress.detail = 'placed ' + buildState.placed + '/' + buildState.total + ', layer ' + (y + 1) + '/' + size.y
+              reportBuildProgress()
+              continue
+            }
+            const key = target.pos.toString()
+            failed.set(key, (failed.get(key) || 0) + (result === 'failed' ? 1 : 0))
+            if (failed.get(key) < BUILD_TRIES) left.push(target)
+          }
+          // a pass that changed nothing would change nothing the next time either
+          if (left.length === pending.length) {
+            whisper(username, 'Layer ' + (y + 1) + ': ' + left.length + " blocks I couldn't place; carrying on.")
+            break
+          }
+          pending = left
+        }
+      }
+      whisper(username, 'Finished ' + structure.name + ': ' + buildState.placed + '/' + buildState.total + ' blocks' + (skipped ? ', ' + skipped + ' skipped' : ''))
+      console.log('[BUILD] finished ' + structure.name + ' placed=' + buildState.placed + '/' + buildState.total)
+    } finally {
+      buildState = null
+      try { if (bot && bot.pathfinder) bot.pathfinder.setMovements(createMovements()) } catch (e) { console.warn('[BUILD] movements reset failed', e.message) }
+    }
+  }
+
+  // "pause build", "resume build", "build status", "what can you build", "materials for farmhouse"
+  function handleBuildCommand(username, message) {
+    const lower = message.toLowerCase()
+    if (/\b(?:pause|hold)\s+(?:the\s+)?build(?:ing)?\b/.test(lower) || /\b(?:resume|continue|unpause)\s+(?:the\s+)?build(?:ing)?\b/.test(lower)) {
+      const pausing = /\b(?:pause|hold)\s/.test(lower)
+      if (!buildState) { whisper(username, "I'm not building anything."); return true }
+      if (buildState.task && !canControlTask(buildState.task, username)) { whisper(username, 'Only ' + buildState.owner + ' or ' + ownerName + ' can ' + (pausing ? 'pause' : 'resume') + ' this build.'); return true }
+      if (pausing) {
+        if (!buildState.paused) pauseBuild('paused by ' + username)
+        whisper(username, 'Paused: ' + describeBuild())
+      } else {
+        buildState.paused = false
+        buildState.reason = null
+        whisper(username, 'Resuming ' + buildState.structure)
+      }
+      return true
+    }
+    if (/\bbuild(?:ing)?\s+(?:status|progress)\b|\bhow(?:'s|\s+is)\s+the\s+build/.test(lower)) {
+      whisper(username, buildState ? 'Building ' + describeBuild() : "I'm not building anything.")
+      return true
+    }
+    if (/\bwhat\s+can\s+(?:you|u)\s+build\b|\b(?:list|show)\s+(?:the\s+)?(?:builds|structures|schematics)\b/.test(lower)) {
+      const names = listStructures(cfg.structuresDir)
+      whisper(username, names.length ? 'I can build: ' + names.join(', ') : 'I have no structure files yet.')
+      return true
+    }
+    const m = lower.match(/\b(?:materials|blocks)\s+(?:for|needed for)\s+(?:a\s+|an\s+|the\s+)?([a-z][a-z0-9_-]*)/) || lower.match(/\bwhat\s+do\s+(?:you|u)\s+need\s+(?:for|to build)\s+(?:a\s+|an\s+|the\s+)?([a-z][a-z0-9_-]*)/)
+    if (m) {
+      loadNamedStructure(m[1]).then(structure => {
+        if (!structure) { whisper(username, "I don't have a structure called " + m[1]); return }
+        const required = materialsFor(structure.blocks)
+        const missing = bot ? missingMaterials(required, countByName(bot.inventory.items())) : required
+        whisper(username, structure.name + ' needs ' + describeCounts(required) + (Object.keys(missing).length ? '. Missing: ' + describeCounts(missing) : ". I have all of it."))
+      }).catch(e => whisper(username, "I couldn't read " + m[1] + ': ' + (e && e.message)))
+      return true
+    }
+    return false
+  }
+
+  // ---------- Crafting and smelting ----------
+  const STATION_RANGE = 32
+  const SMELT_STALL_MS = 30000
+  // next to the bot at foot level, where a table or furnace can go on the ground
+  const STATION_SPOTS = [new Vec3(1, 0, 0), new Vec3(-1, 0, 0), new Vec3(0, 0, 1), new Vec3(0, 0, -1), new Vec3(1, 0, 1), new Vec3(-1, 0, -1), new Vec3(1, 0, -1), new Vec3(-1, 0, 1)]
+
+  function findStation(name) {
+    const block = minecraftData(bot.version).blocksByName[name]
+    return block ? bot.findBlock({ matching: block.id, maxDistance: STATION_RANGE }) : null
+  }
+
+  // A crafting table or furnace within reach: walks to one nearby, or places one from the inventory
+  async function useStation(name) {
+    const found = findStation(name)
+    if (found) {
+      try {
+        await ensurePathfinderLoaded()
+        await bot.pathfinder.goto(new GoalNear(found.position.x, found.position.y, found.position.z, 2))
+        return bot.blockAt(found.position)
+      } catch (e) {
+        console.warn('[CRAFT] could not reach ' + name + ' ' + (e && e.message))
+        return null
+      }
+    }
+    const item = bot.inventory.items().find(i => i.name === name)
+    if (!item) return null
+    const feet = bot.entity.position.floored()
+    for (const offset of STATION_SPOTS) {
+      const pos = feet.plus(offset)
+      const there = bot.blockAt(pos)
+      const below = bot.blockAt(pos.offset(0, -1, 0))
+      if (!there || there.boundingBox !== 'empty' || !below || below.boundingBox !== 'block') continue
+      try {
+        await bot.equip(item, 'hand')
+        await bot.placeBlock(below, new Vec3(0, 1, 0))
+      } catch (e) {
+        console.warn('[CRAFT] placing ' + name + ' failed: ' + (e && e.message))
+        continue
+      }
+      const placed = bot.blockAt(pos)
+      if (placed && placed.name === name) return placed
+    }
+    return null
+  }
+
+  // planCraft, plus a crafting table (or whatever station is asked for) when none is nearby or carried
+  function planWithStation(mcData, wants, inventory) {
+    const plan = planCraft(mcData, wants, inventory)
+    if (!plan.needsTable || inventory.crafting_table || findStation('crafting_table')) return plan
+    return planCraft(mcData, [{ name: 'crafting_table', count: 1 }, ...wants], inventory)
+  }
+
+  // Runs a plan from planCraft; returns null when every craft went through, or what went wrong
+  async function runCrafts(plan, task) {
+    const mcData = minecraftData(bot.version)
+    let table = null
+    for (const c of plan.crafts) {
+      if (task && taskStopped(task)) return 'stopped'
+      if (c.needsTable && !table) {
+        table = await useStation('crafting_table')
+        if (!table) return "I couldn't get to a crafting table"
+      }
+      const recipe = bot.recipesFor(mcData.itemsByName[c.item].id, null, 1, c.needsTable ? table : null)[0]
+      if (!recipe) return "I couldn't find a way to craft " + c.item + ' from what I have'
+      try {
+        await bot.craft(recipe, c.times, c.needsTable ? table : null)
+      } catch (e) {
+        console.warn('[CRAFT] ' + c.item + ' x' + c.times + ' failed: ' + (e && e.message))
+        return 'Crafting ' + c.item + ' failed'
+      }
+      console.log('[CRAFT] crafted ' + c.produces + ' ' + c.item)
+    }
+    return null
+  }
+
+  async function craftItems(username, step, task) {
+    const mcData = minecraftData(bot.version)
+    const inventory = countByName(bot.inventory.items())
+    const name = resolveItemName(mcData, step.item, inventory)
+    if (!name) { whisper(username, "I don't know an item called " + step.item); return }
+    if (!mcData.recipes[mcData.itemsByName[name].id]) { whisper(username, name + " can't be crafted"); return }
+    const count = Math.max(1, parseInt(step.count, 10) || 1)
+    const plan = planWithStation(mcData, [{ name, count }], inventory)
+    if (Object.keys(plan.missing).length) { whisper(username, 'To craft ' + count + ' ' + name + ' I still need ' + describeCounts(plan.missing)); return }
+    whisper(username, 'Crafting ' + count + ' ' + name)
+    const error = await runCrafts(plan, task)
+    if (error === 'stopped') return
+    if (error) { whisper(username, error); return }
+    whisper(username, 'Crafted ' + count + ' ' + name + ' (I have ' + (countByName(bot.inventory.items())[name] || 0) + ' now)')
+  }
+
+  // a furnace nearby, carried, or crafted on the spot (8 cobblestone and maybe a table)
+  async function getFurnace(username, task) {
+    if (findStation('furnace') || bot.inventory.items().some(i => i.name === 'furnace')) return useStation('furnace')
+    const mcData = minecraftData(bot.version)
+    const plan = planWithStation(mcData, [{ name: 'furnace', count: 1 }], countByName(bot.inventory.items()))
+    if (Object.keys(plan.missing).length) {
+      whisper(username, "There's no furnace nearby and to make one I still need " + describeCounts(plan.missing))
+      return null
+    }
+    const error = await runCrafts(plan, task)
+    if (error) {
+      if (error !== 'stopped') whisper(username, error)
+      return null
+    }
+    return useStation('furnace')
+  }
+
+  async function smeltItems(username, step, task) {
+    const mcData = minecraftData(bot.version)
+    const inventory = countByName(bot.inventory.items())
+    const name = resolveItemName(mcData, step.item, inventory) || step.item
+    const count = step.count === 'all' ? 'all' : Math.max(1, parseInt(step.count, 10) || 1)
+    const plan = planSmelt(name, count, inventory)
+    if (plan.error) { whisper(username, plan.error); return }
+    if (Object.keys(plan.missing).length) { whisper(username, 'To smelt ' + plan.count + ' ' + plan.input + ' I still need ' + describeCounts(plan.missing)); return }
+    const block = await getFurnace(username, task)
+    if (!block) {
+      if (!(task && taskStopped(task))) whisper(username, "I couldn't get to a furnace")
+      return
+    }
+    whisper(username, 'Smelting ' + plan.count + ' ' + plan.input + ' into ' + plan.output)
+    const furnace = await bot.openFurnace(block)
+    const fuel = Object.entries(plan.fuel)
+    let toPut = plan.count
+    let smelted = 0
+    let lastProgress = Date.now()
+    try {
+      while (smelted < plan.count && !(task && taskStopped(task)) && Date.now() - lastProgress < SMELT_STALL_MS) {
+        if (toPut > 0 && !furnace.inputItem()) {
+          const n = Math.min(64, toPut)
+          await furnace.putInput(mcData.itemsByName[plan.input].id, null, n)
+          toPut -= n
+        }
+        if (fuel.length && !furnace.fuelItem()) {
+          const [kind, left] = fuel[0]
+          const n = Math.min(64, left)
+          await furnace.putFuel(mcData.itemsByName[kind].id, null, n)
+          if (left - n > 0) fuel[0][1] = left - n
+          else fuel.shift()
+        }
+        if (furnace.outputItem()) {
+          const out = await furnace.takeOutput()
+          smelted += out ? out.count : 0
+          lastProgress = Date.now()
+        }
+        await new Promise(r => setTimeout(r, 1000))
+      }
+      if (furnace.outputItem()) {
+        const out = await furnace.takeOutput()
+        smelted += out ? out.count : 0
+      }
+    } catch (e) {
+      console.warn('[CRAFT] smelting stopped: ' + (e && e.message))
+    } finally {
+      furnace.close()
+    }
+    if (smelted >= plan.count) whisper(username, 'Smelted ' + smelted + ' ' + plan.output)
+    else whisper(username, 'Got ' + smelted + ' ' + plan.output + ' out of the furnace' + (task && taskStopped(task) ? ' before stopping' : ', the rest is still in it'))
+  }
+
+  // ---------- Guard and combat ----------
+  const ATTACK_REACH = 3
+  const ATTACK_COOLDOWN_MS = 650
+  const WEAPON_MATERIALS = ['netherite', 'diamond', 'iron', 'stone', 'golden', 'wooden']
+
+  // { issuer, mode: 'post'|'player'|'hunt', post, player, mob, radius, resumeFollow, target, retreating, timer, lastAttack }
+  let guardState = null
+  let guardTicking = false
+
+  function isHostile(entity) {
+    if (!entity || entity === bot.entity || !entity.name) return false
+    if (entity.type === 'hostile') return true
+    const info = minecraftData(bot.version).entitiesByName[entity.name]
+    return !!(info && info.type === 'hostile')
+  }
+
+  function guardCenter() {
+    if (guardState.mode === 'player') {
+      const p = bot.players[guardState.player]?.entity
+      return p ? p.position : bot.entity.position
+    }
+    return guardState.post
+  }
+
+  function findGuardTarget() {
+    const center = guardCenter()
+    let best = null
+    let bestDist = Infinity
+    for (const e of Object.values(bot.entities)) {
+      if (!isHostile(e)) continue
+      if (guardState.mob && e.name !== guardState.mob) continue
+      const d = e.position.distanceTo(center)
+      if (d <= guardState.radius && d < bestDist) { best = e; bestDist = d }
+    }
+    return best
+  }
+
+  function weaponScore(item) {
+    const kind = item.name.endsWith('_sword') ? 2 : item.name.endsWith('_axe') ? 1 : 0
+    if (!kind) return 0
+    const material = WEAPON_MATERIALS.findIndex(m => item.name.startsWith(m + '_'))
+    return kind * 10 + (material === -1 ? 0 : WEAPON_MATERIALS.length - material)
+  }
+
+  async function equipBestWeapon() {
+    let best = null
+    for (const item of bot.inventory.items()) if (weaponScore(item) > (best ? weaponScore(best) : 0)) best = item
+    if (best && (!bot.heldItem || bot.heldItem.type !== best.type)) await bot.equip(best, 'hand')
+  }
+
+  // every setGoal throws the current path away, so a tick only sets one for a new target or once the last is done
+  function setGuardGoal(key, makeGoal, dynamic = false) {
+    if (guardState.goalKey === key && bot.pathfinder.goal) return
+    guardState.goalKey = key
+    bot.pathfinder.setGoal(makeGoal(), dynamic)
+  }
+
+  function returnToPostOrPlayer() {
+    if (guardState.mode === 'player') {
+      const p = bot.players[guardState.player]?.entity
+      if (p) setGuardGoal('follow:' + p.id, () => new GoalFollow(p, 2), true)
+    } else if (bot.entity.position.distanceTo(guardState.post) > 2) {
+      setGuardGoal('post', () => new GoalNear(guardState.post.x, guardState.post.y, guardState.post.z, 1))
+    }
+  }
+
+  async function guardTick() {
+    if (!guardState || !bot || !bot.entity) return
+    const target = findGuardTarget()
+
+    if (bot.health <= cfg.guard.retreatHealth) {
+      if (!guardState.retreating) {
+        guardState.retreating = true
+        console.log('[GUARD] retreating, health=' + bot.health)
+        whisper(guardState.issuer, 'Health is low (' + Math.round(bot.health) + '), backing off.')
+      }
+      if (target && goals.GoalInvert) setGuardGoal('flee:' + target.id, () => new goals.GoalInvert(new GoalFollow(target, 12)), true)
+      else returnToPostOrPlayer()
+      return
+    }
+    // wait for a few points of health back before re-engaging
+    if (guardState.retreating && bot.health < cfg.guard.retreatHealth + 6 && target) return
+    guardState.retreating = false
+
+    if (!target) {
+      const hadTarget = !!guardState.target
+      guardState.target = null
+      // a hunt ends when nothing is left, or when there was nothing to begin with
+      if (guardState.mode === 'hunt') {
+        whisper(guardState.issuer, (hadTarget ? 'No more ' : 'No ') + (guardState.mob || 'hostile mob') + 's nearby.')
+        stopGuard(null)
+        return
+      }
+      returnToPostOrPlayer()
+      return
+    }
+
+    if (guardState.target !== target) {
+      guardState.target = target
+      console.log('[GUARD] engaging ' + target.name + ' id=' + target.id)
+      setGuardGoal('engage:' + target.id, () => new GoalFollow(target, 2), true)
+      await equipBestWeapon()
+    }
+    const now = Date.now()
+    if (bot.entity.position.distanceTo(target.position) <= ATTACK_REACH && now - guardState.lastAttack >= ATTACK_COOLDOWN_MS) {
+      guardState.lastAttack = now
+      await bot.lookAt(target.position.offset(0, target.height * 0.8, 0), true)
+      bot.attack(target)
+    }
+  }
+
+  async function startGuard(username, step) {
+    try {
+      await ensurePathfinderLoaded()
+    } catch (e) {
+      console.error('[GUARD] cannot load pathfinder', e && e.message)
+      whisper(username, 'Pathfinder could not be loaded; guarding not possible.')
+      return
+    }
+    const previousGoal = bot.pathfinder.goal
+    const resumeFollow = step.action === 'attack' && previousGoal instanceof GoalFollow && previousGoal.entity && previousGoal.entity.username
+      ? previousGoal.entity.username
+      : null
+    if (guardState) stopGuard(null)
+
+    const radius = Math.max(4, Math.min(48, parseInt(step.radius, 10) || cfg.guard.radius))
+    const requester = bot.players[username]?.entity
+    const state = { issuer: username, radius, mob: null, post: null, player: null, resumeFollow, target: null, goalKey: null, retreating: false, lastAttack: 0, timer: null }
+    if (step.action === 'attack') {
+      state.mode = 'hunt'
+      state.mob = step.mob || null
+      state.post = bot.entity.position.clone()
+    } else if (step.player) {
+      if (!bot.players[step.player]?.entity) { whisper(username, "I can't see " + step.player + ' right now.'); return }
+      state.mode = 'player'
+      state.player = step.player
+    } else {
+      state.mode = 'post'
+      state.post = (requester ? requester.position : bot.entity.position).floored()
+    }
+    guardState = state
+    guardState.timer = setInterval(() => {
+      if (guardTicking) return
+      guardTicking = true
+      guardTick()
+        .catch(e => console.warn('[GUARD] tick failed', e && e.message))
+        .finally(() => { guardTicking = false })
+    }, 250)
+
+    console.log('[GUARD] started mode=' + state.mode + ' radius=' + radius + ' mob=' + state.mob + ' by ' + username)
+    if (state.mode === 'hunt') whisper(username, 'Attacking ' + (state.mob ? state.mob + 's' : 'hostile mobs') + ' within ' + radius + ' blocks')
+    else if (state.mode === 'player') whisper(username, 'Guarding ' + state.player + '. Say "stand down" to stop.')
+    else whisper(username, 'Guarding ' + state.post.x + ', ' + state.post.y + ', ' + state.post.z + '. Say "stand down" to stop.')
+  }
+
+  // reason: a whisper for the issuer, or null to stop quietly
+  function stopGuard(reason) {
+    if (!guardState) return
+    const state = guardState
+    guardState = null
+    clearInterval(state.timer)
+    console.log('[GUARD] stopped mode=' + state.mode + ' issuer=' + state.issuer)
+    try {
+      if (bot && bot.pathfinder) {
+        bot.pathfinder.setGoal(null)
+        const resume = state.resumeFollow && bot.players[state.resumeFollow]?.entity
+        if (resume) bot.pathfinder.setGoal(new GoalFollow(resume, 1), true)
+      }
+    } catch (e) { console.warn('[GUARD] reset goal failed', e.message) }
+    if (reason) whisper(state.issuer, reason)
+  }
+
+  // ---------- Named waypoints ----------
+  const waypointsFile = cfg.files.waypoints
+
+  // shared: { name: waypoint }, players: { username: { name: waypoint } },
+  // portals: [{ overworld: { x, y, z }, the_nether: { x, y, z } }] the bot has been through
+  let waypoints = { shared: {}, players: {}, portals: [] }
+  try {
+    const loaded = fs.existsSync(waypointsFile) ? JSON.parse(fs.readFileSync(waypointsFile, 'utf8')) : null
+    if (loaded) waypoints = { shared: loaded.shared || {}, players: loaded.players || {}, portals: loaded.portals || [] }
+    console.log('[WAYPOINT] Loaded shared waypoints ' + Object.keys(waypoints.shared).length)
+  } catch (e) { console.warn('[WAYPOINT] Load failed', e.message) }
+
+  function saveWaypoints() {
+    try { fs.writeFileSync(waypointsFile, JSON.stringify(waypoints, null, 2)); console.log('[WAYPOINT] Saved waypoints') } catch (e) { console.error('[WAYPOINT] Save failed', e.message) }
+    // a base may have been added or moved
+    refreshMovements()
+  }
+
+  function currentDimension() {
+    const dim = bot && bot.game && bot.game.dimension ? String(bot.game.dimension) : 'overworld'
+    return dim.replace(/^minecraft:/, '')
+  }
+
+  // a player's private waypoint wins over a shared one with the same name
+  function findWaypoint(username, name) {
+    const key = String(name || '').toLowerCase()
+    const own = waypoints.players[username] && waypoints.players[username][key]
+    if (own) return { ...own, name: key, private: true }
+    if (waypoints.shared[key]) return { ...waypoints.shared[key], name: key, private: false }
+    return null
+  }
+
+  function formatWaypoint(wp) {
+    return wp.name + ' is at ' + wp.x + ', ' + wp.y + ', ' + wp.z + ' (' + wp.dimension + ')'
+  }
+
+  function setWaypoint(username, name, pos, isPrivate) {
+    const wp = { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z), dimension: currentDimension(), createdBy: username, createdAt: Date.now() }
+    if (isPrivate) {
+      waypoints.players[username] = waypoints.players[username] || {}
+      waypoints.players[username][name] = wp
+    } else waypoints.shared[name] = wp
+    saveWaypoints()
+    return { ...wp, name, private: isPrivate }
+  }
+
+  // "remember this spot as base", "save here as my home", "remember 10 64 -20 as farm", "list waypoints", "forget base"
+  // canShare: whether this player may create shared waypoints
+  function handleWaypointCommand(username, message, canShare) {
+    const lower = message.toLowerCase()
+    if (/\b(?:list|show)\s+(?:all\s+)?(?:the\s+)?(?:waypoints|spots|places)\b|\bwaypoints\b\s*\??$/.test(lower)) {
+      const shared = Object.keys(waypoints.shared)
+      const own = Object.keys(waypoints.players[username] || {})
+      if (shared.length === 0 && own.length === 0) { whisper(username, 'No waypoints saved yet.'); return true }
+      const parts = []
+      if (shared.length) parts.push('shared: ' + shared.join(', '))
+      if (own.length) parts.push('yours: ' + own.join(', '))
+      whisper(username, 'Waypoints - ' + parts.join('; '))
+      return true
+    }
+
+    let m = lower.match(/\b(?:remember|save|mark|set)\s+(this\s+(?:spot|place|location|position)|here|-?\d+[,\s]+-?\d+[,\s]+-?\d+)\s+as\s+(?:a\s+)?(my\s+|private\s+)?([a-z0-9_-]+)/)
+    if (!m) {
+      const set = lower.match(/\bset\s+(?:a\s+)?waypoint\s+(my\s+|private\s+)?([a-z0-9_-]+)/)
+      if (set) m = [set[0], 'here', set[1], set[2]]
+    }
+    if (m) {
+      const isPrivate = !!m[2]
+      const name = m[3]
+      if (!isPrivate && !canShare) { whisper(username, 'Only trusted players can save shared waypoints. Try "remember this spot as my ' + name + '".'); return true }
+      let pos = null
+      const coords = m[1].match(/-?\d+/g)
+      if (coords) {
+        pos = { x: parseInt(coords[0], 10), y: parseInt(coords[1], 10), z: parseInt(coords[2], 10) }
+        if (!validCoords(pos.x, pos.y, pos.z)) { whisper(username, 'Those coordinates are invalid or too far.'); return true }
+      } else {
+        const requester = bot.players[username]?.entity
+        pos = requester ? requester.position : bot.entity && bot.entity.position
+      }
+      if (!pos) { whisper(username, "I don't know where that is right now."); return true }
+      const wp = setWaypoint(username, name, pos, isPrivate)
+      whisper(username, 'Saved ' + (isPrivate ? 'your private waypoint ' : 'waypoint ') + formatWaypoint(wp))
+      return true
+    }
+
+    m = lower.match(/\b(?:forget|delete|remove)\s+(?:the\s+)?(?:waypoint\s+)?(my\s+)?([a-z0-9_-]+)/)
+    if (m) {
+      const wp = findWaypoint(username, m[2])
+      // "forget <player>" is also the owner's untrust command, so only claim names that are waypoints
+      if (!wp || (m[1] && !wp.private)) return false
+      if (wp.private) delete waypoints.players[username][wp.name]
+      else {
+        if (wp.createdBy !== username && !permissions.isOwner(username)) { whisper(username, 'Only ' + wp.createdBy + ' or ' + ownerName + ' can remove ' + wp.name); return true }
+        delete waypoints.shared[wp.name]
+      }
+      saveWaypoints()
+      whisper(username, 'Forgot waypoint ' + wp.name)
+      return true
+    }
+    return false
+  }
+
+  // Fills in coordinates for a goto step that names a waypoint; returns an error message or null. A waypoint on
+  // the other side of a nether portal sets step.dimension and is reached through one
+  function resolveGotoWaypoint(username, step) {
+    if (!step.waypoint) return null
+    const wp = findWaypoint(username, step.waypoint)
+    if (!wp) return "I don't know a waypoint called " + step.waypoint
+    if (wp.dimension !== currentDimension()) {
+      if (!PORTAL_DIMENSIONS.includes(wp.dimension) || !PORTAL_DIMENSIONS.includes(currentDimension())) return wp.name + ' is in the ' + wp.dimension + " and I'm in the " + currentDimension()
+      step.dimension = wp.dimension
+    }
+    step.x = wp.x
+    step.y = wp.y
+    step.z = wp.z
+    return null
+  }
+
+  // ---------- Relative movement ----------
+  const MAX_MOVE_DISTANCE = 256
+
+  // "forward" and friends follow where the bot is looking (yaw 0 faces north, -z)
+  function relativeTarget(step) {
+    const pos = bot.entity.position
+    const yaw = bot.entity.yaw
+    const distance = Math.max(1, Math.min(MAX_MOVE_DISTANCE, parseInt(step.distance, 10) || 1))
+    const directions = {
+      north: [0, 0, -1],
+      south: [0, 0, 1],
+      east: [1, 0, 0],
+      west: [-1, 0, 0],
+      up: [0, 1, 0],
+      down: [0, -1, 0],
+      forward: [-Math.sin(yaw), 0, -Math.cos(yaw)],
+      back: [Math.sin(yaw), 0, Math.cos(yaw)],
+      left: [-Math.cos(yaw), 0, Math.sin(yaw)],
+      right: [Math.cos(yaw), 0, -Math.sin(yaw)]
+    }
+    const [dx, dy, dz] = directions[step.direction] || [0, 0, 0]
+    return { x: Math.floor(pos.x + dx * distance), y: Math.floor(pos.y + dy * distance), z: Math.floor(pos.z + dz * distance), distance }
+  }
+
+  // ---------- Navigation feedback and portal routes ----------
+  const STUCK_CHECK_MS = 2000
+  const MAX_FOLLOW_DISTANCE = 16
+  const PORTAL_DIMENSIONS = ['overworld', 'the_nether']
+  const PORTAL_SEARCH_RADIUS = 64
+  const PORTAL_WAIT_MS = 20000
+  // a nether route has to save at least this much walking to be worth the portals
+  const NETHER_ROUTE_MIN_GAIN = 128
+
+  // The goal a player is waiting on, so pathfinder events can be whispered back to them:
+  // { username, goal, label, dynamic, quiet, arrived, failed, reported, lastPos, lastMoved }
+  let navigation = null
+  // ends a timed follow; one at a time, the newest follow wins
+  let followTimer = null
+
+  function trackNavigation(username, goal, label, { dynamic = false, quiet = false } = {}) {
+    navigation = { username, goal, label, dynamic, quiet, arrived: false, failed: null, reported: false, lastPos: bot.entity.position.clone(), lastMoved: Date.now() }
+    return navigation
+  }
+
+  // path_update from setupBotEventHandlers; a follow that finds its way again is reported again if it loses it
+  function onNavigationPath(status) {
+    const nav = navigation
+    if (!nav || !bot.pathfinder || bot.pathfinder.goal !== nav.goal) return
+    if (status === 'success') { nav.reported = false; return }
+    if ((status !== 'noPath' && status !== 'timeout') || nav.reported) return
+    nav.reported = true
+    if (!nav.dynamic) nav.failed = status
+    whisper(nav.username, status === 'noPath' ? "I can't find a way to " + nav.label + '.' : "I couldn't work out a path to " + nav.label + ' in time.')
+  }
+
+  function onNavigationReached(goal) {
+    const nav = navigation
+    if (!nav || goal !== nav.goal || nav.arrived) return
+    nav.arrived = true
+    if (!nav.quiet) whisper(nav.username, 'Arrived at ' + nav.label)
+  }
+
+  // Later steps of a plan start where this one ends, so travel waits for arrival. Arrival, no path, a path that
+  // takes too long to find and getting stuck are whispered to username; returns whether the bot got there
+  async function travel(username, goal, task, label = 'there', options = {}) {
+    const nav = trackNavigation(username, goal, label, options)
+    const stuckMs = cfg.movement.stuckSeconds * 1000
+    const watchdog = setInterval(() => {
+      // replaced by another goal, or the connection went away
+      if (navigation !== nav) { clearInterval(watchdog); return }
+      if (!bot || !bot.entity || nav.arrived) return
+      if (bot.entity.position.distanceTo(nav.lastPos) > 1) {
+        nav.lastPos = bot.entity.position.clone()
+        nav.lastMoved = Date.now()
+        return
+      }
+      if (Date.now() - nav.lastMoved < stuckMs) return
+      nav.failed = 'stuck'
+      console.log('[PATH] stuck on the way to ' + label)
+      whisper(username, "I'm stuck on the way to " + label + '.')
+      try { bot.pathfinder.setGoal(null) } catch (e) { console.warn('[PATH] stop goal failed', e.message) }
+    }, STUCK_CHECK_MS)
+    try {
+      await bot.pathfinder.goto(goal)
+    } catch (e) {
+      if (!(task && taskStopped(task)) && !nav.failed) {
+        console.warn('[EXEC] travel failed', e && e.message)
+        whisper(username, "I couldn't get to " + label + '.')
+      }
+      return false
+    } finally {
+      clearInterval(watchdog)
+      if (navigation === nav) navigation = null
+    }
+    if (nav.failed) return false
+    // goto also settles when there was nothing to walk, without a goal_reached
+    if (!nav.arrived && bot.entity && goal.isEnd(bot.entity.position.floored())) onNavigationReached(goal)
+    if (!nav.arrived) {
+      whisper(username, "I couldn't get to " + label + '.')
+      return false
+    }
+    return true
+  }
+
+  // "movement profiles", "use the safe movement profile", "movement gentle"; returns true when it was one of these
+  function handleMovementCommand(username, message) {
+    const lower = message.toLowerCase()
+    const m = lower.match(/\b(?:use|switch\s+to|set)\s+(?:the\s+)?([a-z0-9_-]+)\s+(?:movement|pathing)(?:\s+profile)?\b/) ||
+      lower.match(/\b(?:movement|pathing)(?:\s+profile)?\s+(?:to\s+)?([a-z0-9_-]+)\s*$/)
+    if (m && !['profile', 'profiles', 'mode'].includes(m[1])) {
+      if (!permissions.can(username, 'goto')) { whisper(username, "Sorry, you're not allowed to change how I move."); return true }
+      if (!setMovementProfile(m[1])) { whisper(username, "I don't have a movement profile called " + m[1] + '. I know ' + Object.keys(movementProfiles).join(', ')); return true }
+      whisper(username, 'Moving like this now: ' + describeProfile(movementProfile, movementProfiles[movementProfile]))
+      return true
+    }
+    if (/\b(?:movement|pathing)\s+(?:profiles?|mode)\b/.test(lower)) {
+      whisper(username, 'Using ' + describeProfile(movementProfile, movementProfiles[movementProfile]) + '. Also: ' + Object.keys(movementProfiles).filter(n => n !== movementProfile).join(', '))
+      return true
+    }
+    return false
+  }
+
+  function setMovementProfile(name) {
+    const key = String(name || '').toLowerCase()
+    if (!movementProfiles[key]) return false
+    movementProfile = key
+    console.log('[PATH] movement profile ' + key)
+    refreshMovements()
+    return true
+  }
+
+  function portalLinks() {
+    return waypoints.portals.filter(l => l.overworld && l.the_nether)
+  }
+
+  // from is { dimension, pos } where the bot stepped into a portal; to is where it came out
+  function rememberPortal(from, toDimension, toPos) {
+    const at = (p) => ({ x: Math.floor(p.x), y: Math.floor(p.y), z: Math.floor(p.z) })
+    const near = (a, b) => a && Math.abs(a.x - b.x) <= 4 && Math.abs(a.y - b.y) <= 4 && Math.abs(a.z - b.z) <= 4
+    const link = waypoints.portals.find(l => near(l[from.dimension], from.pos) || near(l[toDimension], toPos))
+    const entry = { [from.dimension]: at(from.pos), [toDimension]: at(toPos), seenAt: Date.now() }
+    if (link) Object.assign(link, entry)
+    else waypoints.portals.push(entry)
+    console.log('[PATH] portal ' + from.dimension + ' ' + JSON.stringify(entry[from.dimension]) + ' -> ' + toDimension + ' ' + JSON.stringify(entry[toDimension]))
+    saveWaypoints()
+  }
+
+  // a portal block in sight, or the nearest one the bot has been through in this dimension
+  function nearestPortal() {
+    const mcData = minecraftData(bot.version)
+    const seen = mcData.blocksByName.nether_portal ? bot.findBlock({ matching: mcData.blocksByName.nether_portal.id, maxDistance: PORTAL_SEARCH_RADIUS }) : null
+    if (seen) return seen.position
+    const here = currentDimension()
+    const known = waypoints.portals.filter(l => l[here]).map(l => new Vec3(l[here].x, l[here].y, l[here].z))
+    known.sort((a, b) => a.distanceTo(bot.entity.position) - b.distanceTo(bot.entity.position))
+    return known[0] || null
+  }
+
+  // Walks into the nearest nether portal and waits to come out in toDimension; returns whether it did
+  async function travelThroughPortal(username, toDimension, task) {
+    const from = currentDimension()
+    if (!PORTAL_DIMENSIONS.includes(from) || !PORTAL_DIMENSIONS.includes(toDimension)) { whisper(username, "I can only travel between the overworld and the nether."); return false }
+    const portal = nearestPortal()
+    if (!portal) { whisper(username, "I don't know a nether portal near here."); return false }
+    if (!validCoords(portal.x, portal.y, portal.z)) { whisper(username, 'The nearest portal I know is too far away.'); return false }
+    const label = 'the portal at ' + portal.x + ', ' + portal.y + ', ' + portal.z
+    console.log('[PATH] taking ' + label + ' to the ' + toDimension)
+    if (!await travel(username, new GoalBlock(portal.x, portal.y, portal.z), task, label, { quiet: true })) return false
+    const deadline = Date.now() + PORTAL_WAIT_MS
+    while (currentDimension() === from && Date.now() < deadline && !(task && taskStopped(task))) await new Promise(r => setTimeout(r, 500))
+    if (currentDimension() === from) {
+      if (!(task && taskStopped(task))) whisper(username, "The portal at " + portal.x + ', ' + portal.y + ', ' + portal.z + " didn't take me to the " + toDimension + '.')
+      return false
+    }
+    // chunks around the other side load after the teleport
+    await sleepUnlessCancelled(2000, task)
+    return !(task && taskStopped(task))
+  }
+
+  // "go to x y z via the nether": into the nether through a portal near the bot, across to the known portal that
+  // comes out nearest the target, and out again. Returns false when the route failed partway (already reported);
+  // true when the rest can be walked, including when the route would not help
+  async function takeNetherRoute(username, step, task) {
+    if (currentDimension() !== 'overworld') { whisper(username, 'The nether route starts in the overworld, so I am walking.'); return true }
+    const target = new Vec3(step.x, step.y, step.z)
+    const exit = portalLinks().sort((a, b) => target.distanceTo(new Vec3(a.overworld.x, a.overworld.y, a.overworld.z)) - target.distanceTo(new Vec3(b.overworld.x, b.overworld.y, b.overworld.z)))[0]
+    const direct = bot.entity.position.distanceTo(target)
+    if (!exit || target.distanceTo(new Vec3(exit.overworld.x, exit.overworld.y, exit.overworld.z)) > direct - NETHER_ROUTE_MIN_GAIN) {
+      whisper(username, "I don't know a nether portal that comes out near there, so I am walking.")
+      return true
+    }
+    const inside = exit.the_nether
+    whisper(username, 'Taking the nether, out through the portal at ' + exit.overworld.x + ', ' + exit.overworld.y + ', ' + exit.overworld.z)
+    if (!await travelThroughPortal(username, 'the_nether', task)) return false
+    const label = 'the nether portal at ' + inside.x + ', ' + inside.y + ', ' + inside.z
+    if (!await travel(username, new GoalNear(inside.x, inside.y, inside.z, 2), task, label, { quiet: true })) return false
+    return travelThroughPortal(username, 'overworld', task)
+  }
+
+  // ---------- Execution of parsed steps with defensive checks ----------
+  // task (optional) is the queue entry these steps belong to; it is checked between steps for cancellation
+  async function executeSteps(username, steps, task = null) {
+    if (!bot) return
+    console.log('[EXEC] Executing ' + steps.length + ' steps for ' + username)
+    for (let i = 0; i < steps.length; i++) {
+      if (task && taskStopped(task)) break
+      const step = steps[i]
+      if (task) task.progress = { step: i + 1, of: steps.length, action: step.action, detail: null }
+      console.log('[EXEC] step ' + (i + 1) + '/' + steps.length + ': ' + JSON.stringify(step))
+      const stepStarted = Date.now()
+      let result = 'ok'
+      try {
+        switch (step.action) {
+          case 'follow': {
+            try {
+              await ensurePathfinderLoaded()
+            } catch (e) {
+              console.error('[EXEC] cannot load pathfinder for follow', e && e.message)
+              whisper(username, 'Pathfinder could not be loaded; follow not possible.')
+              break
+            }
+            if (!GoalFollow) {
+              console.error('[EXEC] GoalFollow is undefined after loading pathfinder.')
+              whisper(username, 'Internal error: pathfinding follow goal class missing.')
+              break
+            }
+            const target = bot.players[step.player]?.entity
+            if (!target) { whisper(username, "I can't see " + step.player + " right now."); break }
+            const distance = Math.max(1, Math.min(MAX_FOLLOW_DISTANCE, parseInt(step.distance, 10) || cfg.movement.followDistance))
+            const seconds = step.seconds != null ? Math.max(0, parseInt(step.seconds, 10) || 0) : cfg.movement.followSeconds
+            bot.pathfinder.setGoal(null)
+            const goal = new GoalFollow(target, distance)
+            bot.pathfinder.setGoal(goal, true)
+            trackNavigation(username, goal, step.player, { dynamic: true })
+            whisper(username, 'Following ' + step.player + (seconds ? ' for ' + describeSeconds(seconds) : ' until you say stop'))
+            clearTimeout(followTimer)
+            if (!seconds) break
+            followTimer = setTimeout(() => {
+              try {
+                // only end this follow; a newer goal may have replaced it
+                if (bot && bot.pathfinder && bot.pathfinder.goal === goal) {
+                  bot.pathfinder.setGoal(null)
+                  whisper(username, 'Stopped following ' + step.player)
+                }
+              } catch (e) { console.error('[EXEC] follow timeout error', e.message) }
+            }, seconds * 1000)
+            break
+          }
+          case 'goto': {
+            try {
+              await ensurePathfinderLoaded()
+            } catch (e) {
+              console.error('[EXEC] cannot load pathfinder for goto', e && e.message)
+              whisper(username, 'Pathfinder could not be loaded; goto not possible.')
+              break
+            }
+            if (!GoalBlock) {
+              console.error('[EXEC] GoalBlock is undefined after loading pathfinder.')
+              whisper(username, 'Internal error: pathfinding goto goal class missing.')
+              break
+            }
+            const waypointError = resolveGotoWaypoint(username, step)
+            if (waypointError) { whisper(username, waypointError); break }
+            if (!validCoords(step.x, step.y, step.z)) { whisper(username, 'Those coordinates are invalid or too far.'); break }
+            bot.pathfinder.setGoal(null)
+            const coords = step.x + ', ' + step.y + ', ' + step.z
+            const elsewhere = step.dimension && step.dimension !== currentDimension()
+            whisper(username, 'Going to ' + (step.waypoint ? step.waypoint + ' at ' : '') + coords + (elsewhere ? ' in the ' + step.dimension : ''))
+            if (elsewhere && !await travelThroughPortal(username, step.dimension, task)) break
+            if (step.via === 'nether' && !elsewhere && !await takeNetherRoute(username, step, task)) break
+            await travel(username, new GoalBlock(step.x, step.y, step.z), task, step.waypoint ? step.waypoint + ' (' + coords + ')' : coords)
+            break
+          }
+          case 'move': {
+            try {
+              await ensurePathfinderLoaded()
+            } catch (e) {
+              console.error('[EXEC] cannot load pathfinder for move', e && e.message)
+              whisper(username, 'Pathfinder could not be loaded; move not possible.')
+              break
+            }
+            const target = relativeTarget(step)
+            if (!validCoords(target.x, target.y, target.z)) { whisper(username, 'That would take me somewhere invalid or too far.'); break }
+            bot.pathfinder.setGoal(null)
+            const vertical = step.direction === 'up' || step.direction === 'down'
+            whisper(username, 'Going ' + target.distance + ' blocks ' + step.direction)
+            await travel(username, vertical ? new goals.GoalY(target.y) : new goals.GoalXZ(target.x, target.z), task, 'the spot ' + target.distance + ' blocks ' + step.direction)
+            break
+          }
+          case 'tpa': {
+            if (!step.player) { whisper(username, 'I need to know who to teleport to.'); break }
+            if (!validPlayerName(step.player) || isDiscordIdentity(step.player)) { whisper(username, step.player + " isn't a player I can teleport to."); break }
+            // servers put a cooldown on /tpa, and a chain of them is spam
+            const waitMs = lastTpaAt + cfg.chat.tpaCooldownSeconds * 1000 - Date.now()
+            if (waitMs > 0) { whisper(username, 'I sent a teleport request moments ago, try again in ' + Math.ceil(waitMs / 1000) + 's.'); break }
+            console.log('[TPA] sending /tpa ' + step.player)
+            lastTpaAt = Date.now()
+            outbox.command('tpa', step.player)
+            whisper(username, 'Sent teleport request to ' + step.player)
+            break
+          }
+          case 'wait': {
+            const seconds = Math.max(1, Math.min(30, parseInt(step.seconds, 10) || 1))
+            whisper(username, 'Waiting ' + seconds + ' seconds...')
+            await sleepUnlessCancelled(seconds * 1000, task)
+            if (task && taskStopped(task)) break
+            whisper(username, 'Done waiting')
+            break
+          }
+          case 'mine': {
+            await mineBlocks(username, step, task)
+            break
+          }
+          case 'guard':
+          case 'attack': {
+            await startGuard(username, step)
+            break
+          }
+          case 'hold': {
+            await holdItem(username, step)
+            break
+          }
+          case 'drop': {
+            await dropItems(username, step)
+            break
+          }
+          case 'give': {
+            await giveItems(username, step)
+            break
+          }
+          case 'deposit': {
+            await depositItems(username, step)
+            break
+          }
+          case 'build': {
+            await buildStructure(username, step, task)
+            break
+          }
+          case 'farm': {
+            startFarming(username, step)
+            break
+          }
+          case 'craft': {
+            await craftItems(username, step, task)
+            break
+          }
+          case 'smelt': {
+            await smeltItems(username, step, task)
+            break
+          }
+          default:
+            console.warn('[EXEC] Unknown action ' + step.action)
+            whisper(username, "I don't know how to do: " + step.action)
+        }
+        if (i < steps.length - 1) await new Promise(r => setTimeout(r, 500))
+      } catch (err) {
+        result = 'error'
+        console.error('[EXEC] Error executing step ' + JSON.stringify(step) + ' ' + (err && err.message))
+        whisper(username, 'Something went wrong with: ' + step.action)
+      }
+      if (task && taskStopped(task)) result = 'stopped'
+      incMetric('mcbot_steps_total', { action: step.action, result })
+      logEvent('step', { player: username, task: task ? task.id : null, step, result, ms: Date.now() - stepStarted })
+    }
+  }
+
+  // ---------- Task queue ----------
+  const queueFile = cfg.files.queue
+  const TASK_HISTORY = 10
+
+  let taskQueue = []
+  let currentTask = null
+  let recentTasks = []
+  let nextTaskId = 1
+  let queueRunning = false
+  // bumped when a disconnect abandons the running loop so a stale loop cannot touch the queue again
+  let queueGeneration = 0
+
+  try {
+    const saved = fs.existsSync(queueFile) ? JSON.parse(fs.readFileSync(queueFile, 'utf8')) : null
+    if (saved && Array.isArray(saved.tasks)) {
+      taskQueue = saved.tasks.map(t => newTask(t.id, t.owner, t.steps, t.source, t.createdAt, t.watches))
+      nextTaskId = Math.max(saved.nextTaskId || 1, ...taskQueue.map(t => t.id + 1))
+    }
+    console.log('[QUEUE] Loaded pending tasks ' + taskQueue.length)
+  } catch (e) { console.warn('[QUEUE] Load failed', e.message) }
+
+  // watches: [{ mob, radius, steps }] from "if you see a creeper, come back"; triggered holds the one that fired
+  function newTask(id, owner, steps, source, createdAt, watches) {
+    return { id, owner, steps, watches: watches || [], source: source || 'chat', state: 'queued', progress: null, createdAt: createdAt || Date.now(), cancelled: false, interrupted: false, triggered: null }
+  }
+
+  function taskStopped(task) {
+    return task.cancelled || task.interrupted || !!task.triggered
+  }
+
+  function saveQueue() {
+    try {
+      const pending = currentTask ? [currentTask, ...taskQueue] : taskQueue
+      const tasks = pending.map(t => ({ id: t.id, owner: t.owner, steps: t.steps, watches: t.watches, source: t.source, createdAt: t.createdAt }))
+      fs.writeFileSync(queueFile, JSON.stringify({ nextTaskId, tasks }, null, 2))
+    } catch (e) { console.error('[QUEUE] Save failed', e.message) }
+  }
+
+  function describeTask(task) {
+    let text = '#' + task.id + ' ' + task.steps.map(s => s.action).join(', ') + ' for ' + task.owner + ' (' + task.state
+    if (task.state === 'running' && task.progress) {
+      text += ', step ' + task.progress.step + '/' + task.progress.of
+      if (task.progress.detail) text += ', ' + task.progress.detail
+    }
+    return text + ')'
+  }
+
+  function taskToJson(task) {
+    const { id, owner, steps, watches, source, state, progress, createdAt, startedAt, finishedAt, error } = task
+    return { id, owner, steps, watches, source, state, progress, createdAt, startedAt: startedAt || null, finishedAt: finishedAt || null, error: error || null }
+  }
+
+  function sleepUnlessCancelled(ms, task) {
+    if (!task) return new Promise(r => setTimeout(r, ms))
+    return new Promise(resolve => {
+      const end = Date.now() + ms
+      const timer = setInterval(() => {
+        if (taskStopped(task) || Date.now() >= end) { clearInterval(timer); resolve() }
+      }, 250)
+    })
+  }
+
+  function finishTask(task, state) {
+    task.state = state
+    task.finishedAt = Date.now()
+    logEvent('task', { id: task.id, owner: task.owner, source: task.source, state, actions: task.steps.map(s => s.action), error: task.error || null, ms: task.finishedAt - (task.startedAt || task.createdAt) })
+    recentTasks.push(task)
+    while (recentTasks.length > TASK_HISTORY) recentTasks.shift()
+  }
+
+  function enqueueTask(owner, steps, source = 'chat', watches = []) {
+    const task = newTask(nextTaskId++, owner, steps, source, null, watches)
+    const ahead = taskQueue.length + (currentTask ? 1 : 0)
+    taskQueue.push(task)
+    saveQueue()
+    console.log('[QUEUE] queued ' + describeTask(task) + ' ahead=' + ahead)
+    if (ahead > 0) whisper(owner, 'Queued as task #' + task.id + ' (' + ahead + ' ahead of it)')
+    runQueue().catch(e => console.error('[QUEUE] run failed', e && e.message))
+    return task
+  }
+
+  async function runQueue() {
+    if (queueRunning) return
+    queueRunning = true
+    const generation = queueGeneration
+    try {
+      while (taskQueue.length > 0 && bot && bot.entity) {
+        await survival.yieldToCommands()
+        await farming.yieldToCommands()
+        if (generation !== queueGeneration || taskQueue.length === 0) return
+        const task = taskQueue.shift()
+        currentTask = task
+        task.state = 'running'
+        task.startedAt = Date.now()
+        saveQueue()
+        console.log('[QUEUE] running ' + describeTask(task))
+        const watcher = startWatching(task)
+        try {
+          await executeSteps(task.owner, task.steps, task)
+          await holdWhileWatching(task)
+          if (task.triggered && !task.cancelled && !task.interrupted) await runTriggeredWatch(task)
+        } catch (e) {
+          task.error = e && e.message
+          console.error('[QUEUE] task #' + task.id + ' failed', task.error)
+        } finally {
+          if (watcher) clearInterval(watcher)
+        }
+        if (generation !== queueGeneration) return
+        currentTask = null
+        finishTask(task, task.cancelled ? 'cancelled' : (task.error ? 'failed' : 'done'))
+        saveQueue()
+      }
+    } finally {
+      if (generation === queueGeneration) queueRunning = false
+    }
+  }
+
+  // ---------- Plan conditionals ----------
+  const WATCH_RADIUS = 16
+
+  // Checks the running task's watches; the first mob seen stops the current step
+  function startWatching(task) {
+    if (!task.watches || task.watches.length === 0) return null
+    return setInterval(() => {
+      if (!bot || !bot.entity || taskStopped(task)) return
+      for (const watch of task.watches) {
+        const radius = watch.radius || WATCH_RADIUS
+        const seen = bot.nearestEntity(e => e !== bot.entity && e.name === watch.mob && e.position.distanceTo(bot.entity.position) <= radius)
+        if (!seen) continue
+        console.log('[QUEUE] task #' + task.id + ' saw ' + watch.mob + ' at ' + seen.position.floored())
+        task.triggered = watch
+        try { if (bot.pathfinder) bot.pathfinder.setGoal(null) } catch (e) { console.warn('[QUEUE] stop goal failed', e.message) }
+        return
+      }
+    }, 500)
+  }
+
+  // A plan that ends in follow or guard keeps its watches armed until that ends too
+  async function holdWhileWatching(task) {
+    if (!task.watches || task.watches.length === 0) return
+    while (!taskStopped(task) && bot && bot.pathfinder && (bot.pathfinder.goal || guardState)) {
+      await new Promise(r => setTimeout(r, 500))
+    }
+  }
+
+  // The reaction replaces the rest of the plan, so a disconnect resumes the reaction rather than the plan
+  async function runTriggeredWatch(task) {
+    const watch = task.triggered
+    whisper(task.owner, 'I see a ' + watch.mob + '!')
+    if (guardState && guardState.issuer === task.owner) stopGuard(null)
+    task.steps = watch.steps
+    task.watches = []
+    task.triggered = null
+    saveQueue()
+    await executeSteps(task.owner, task.steps, task)
+  }
+
+  // Called on disconnect, or when a survival behavior takes over: the running task goes back to the front
+  // of the queue from the step it was on
+  function interruptCurrentTask(reason = 'reconnect') {
+    queueGeneration++
+    queueRunning = false
+    const task = currentTask
+    currentTask = null
+    if (!task) return
+    task.interrupted = true
+    const from = task.progress ? task.progress.step - 1 : 0
+    const resumed = newTask(task.id, task.owner, task.steps.slice(from), task.source, task.createdAt, task.watches)
+    taskQueue.unshift(resumed)
+    saveQueue()
+    console.log('[QUEUE] interrupted ' + describeTask(resumed) + ', will resume after ' + reason)
+  }
+
+  function resumeQueue() {
+    if (taskQueue.length === 0) return
+    console.log('[QUEUE] resuming ' + taskQueue.length + ' tasks')
+    const owners = [...new Set(taskQueue.map(t => t.owner))]
+    for (const o of owners) whisper(o, "I'm back, resuming your queued tasks.")
+    runQueue().catch(e => console.error('[QUEUE] run failed', e && e.message))
+  }
+
+  function canControlTask(task, username) {
+    return username === task.owner || permissions.isOwner(username)
+  }
+
+  function cancelTask(task, by) {
+    task.cancelled = true
+    if (task === currentTask) {
+      try { if (bot && bot.pathfinder) bot.pathfinder.setGoal(null) } catch (e) { console.warn('[QUEUE] stop goal failed', e.message) }
+    } else {
+      taskQueue = taskQueue.filter(t => t !== task)
+      finishTask(task, 'cancelled')
+    }
+    saveQueue()
+    console.log('[QUEUE] task #' + task.id + ' cancelled by ' + by)
+  }
+
+  // stop/cancel/queue/"what are you doing"; returns true when the message was one of these
+  function handleQueueCommand(username, message) {
+    const lower = message.toLowerCase()
+    // stop, cancel and the queue listing take the whole line, so chatter that mentions them changes nothing
+    const line = withoutBotNames(lower).replace(/\s*[?.!]+$/, '').replace(/^please\s+|\s+please$/g, '')
+    if (/\bwhat\s+(?:are|r)\s+(?:you|u)\s+doing\b/.test(lower)) {
+      if (currentTask) whisper(username, 'Working on ' + describeTask(currentTask) + (taskQueue.length ? ', ' + taskQueue.length + ' more queued' : ''))
+      else if (guardState) whisper(username, 'Guarding (' + guardState.mode + ') for ' + guardState.issuer)
+      else if (farming.active()) whisper(username, describeFarm())
+      else whisper(username, taskQueue.length ? taskQueue.length + ' tasks queued, waiting to reconnect.' : 'Nothing right now.')
+      return true
+    }
+    // "queue", "show the queue", "tasks?"
+    if (/^(?:(?:show|list)\s+)?(?:the\s+|your\s+)?(?:queue|tasks)$/.test(line)) {
+      if (!currentTask && taskQueue.length === 0) { whisper(username, 'The queue is empty.'); return true }
+      const lines = (currentTask ? [describeTask(currentTask)] : []).concat(taskQueue.slice(0, 4).map(describeTask))
+      whisper(username, lines.join('; ') + (taskQueue.length > 4 ? '; +' + (taskQueue.length - 4) + ' more' : ''))
+      return true
+    }
+    // "cancel", "cancel my task", "cancel task 3", "cancel #3"
+    const cancelMatch = line.match(/^cancel(?:\s+(?:it|that|(?:my|the|last)\s+task|(?:task\s+)?#?(\d+)))?$/)
+    if (cancelMatch) {
+      if (!permissions.can(username, 'cancel')) { whisper(username, "Sorry, you're not allowed to cancel tasks."); return true }
+      let task = null
+      if (cancelMatch[1]) {
+        const id = parseInt(cancelMatch[1], 10)
+        task = currentTask && currentTask.id === id ? currentTask : taskQueue.find(t => t.id === id)
+        if (!task) { whisper(username, 'There is no pending task #' + id); return true }
+      } else {
+        task = [...taskQueue].reverse().find(t => t.owner === username) || (currentTask && currentTask.owner === username ? currentTask : null)
+        if (!task) { whisper(username, "You don't have any pending tasks."); return true }
+      }
+      if (!canControlTask(task, username)) { whisper(username, 'Only ' + task.owner + ' or ' + ownerName + ' can cancel task #' + task.id); return true }
+      cancelTask(task, username)
+      whisper(username, 'Cancelled task #' + task.id)
+      return true
+    }
+    // "stop", "stop it", "stop everything", "stop following"
+    if (/^stop(?:\s+(?:it|that|now|everything|all|(?:the\s+)?task|following(?:\s+\w+)?|moving|walking|mining|guarding|attacking|fighting))?$/.test(line)) {
+      if (!permissions.can(username, 'stop')) { whisper(username, "Sorry, you're not allowed to stop me."); return true }
+      if (currentTask && !canControlTask(currentTask, username)) { whisper(username, 'Only ' + currentTask.owner + ' or ' + ownerName + ' can stop task #' + currentTask.id); return true }
+      const stopped = []
+      if (currentTask) { stopped.push('task #' + currentTask.id); cancelTask(currentTask, username) }
+      if (guardState && (username === guardState.issuer || permissions.isOwner(username))) { stopped.push('guarding'); stopGuard(null) }
+      if (farming.active() && (username === farming.status().owner || permissions.isOwner(username))) { stopped.push('farming'); farming.stop() }
+      try {
+        if (bot.pathfinder && bot.pathfinder.goal) { stopped.push('moving'); bot.pathfinder.setGoal(null) }
+      } catch (e) { console.warn('[QUEUE] stop goal failed', e.message) }
+      whisper(username, stopped.length ? 'Stopped ' + [...new Set(stopped)].join(', ') : "I wasn't doing anything.")
+      return true
+    }
+    return false
+  }
+
+  // ---------- Survival behaviors ----------
+  const survival = createSurvival({
+    file: cfg.files.survival,
+    getBot: () => bot,
+    loadGoals: async () => { await ensurePathfinderLoaded(); return goals },
+    isHostile,
+    // a farming pass counts as a task, so self-preservation stops it the same way
+    busy: () => {
+      if (currentTask || farming.running()) return 'task'
+      if (guardState) return 'guard'
+      if (taskQueue.length > 0) return 'task'
+      return bot && bot.pathfinder && bot.pathfinder.goal ? 'moving' : null
+    },
+    preempt: (reason) => {
+      farming.interrupt()
+      interruptCurrentTask(reason)
+    },
+    resume: () => runQueue().catch(e => console.error('[QUEUE] run failed', e && e.message)),
+    reconnect: (reason) => {
+      console.log('[AUTO] reconnecting: ' + reason)
+      supervisor.reconnectNow().catch(e => console.error('[CONN] reconnect failed', e && e.message))
+    },
+    // only when the owner is online; whisper would otherwise fall back to public chat
+    notify: (text) => { if (bot && bot.players[ownerName]) whisper(ownerName, text) },
+    log: console,
+    settings: cfg.survival
+  })
+
+  const AUTO_ALIASES = { lava: 'escape', water: 'escape', drowning: 'escape', health: 'critical', flee: 'critical', creepers: 'creeper', items: 'pickup', drops: 'pickup', loot: 'pickup', bed: 'sleep' }
+
+  // "auto sleep off", "auto creeper priority 70", "auto all on", "auto status"
+  function handleAutoCommand(username, message, isTrusted) {
+    // the whole line: "auto", "auto sleep off", "auto flee priority 90"
+    const m = withoutBotNames(message.toLowerCase()).match(/^auto\b(?:\s+([a-z]+))?(?:\s+(on|off|priority\s+(\d{1,3})))?\s*[.!?]*$/)
+    if (!m) return false
+    const status = survival.status()
+    if (!m[1] || m[1] === 'status') {
+      const list = status.behaviors.map(b => b.name + (b.enabled ? '' : ' (off)') + ' p' + b.priority).join(', ')
+      whisper(username, 'Auto behaviors: ' + list + '. Commands run at p' + status.commandPriority + (status.active ? '; now: ' + status.active : ''))
+      return true
+    }
+    const name = AUTO_ALIASES[m[1]] || m[1]
+    if (name !== 'all' && !survival.names().includes(name)) { whisper(username, 'Unknown behavior ' + m[1] + '. Known: ' + survival.names().join(', ')); return true }
+    if (!m[2]) {
+      const b = status.behaviors.find(x => x.name === name)
+      whisper(username, b ? b.name + ' is ' + (b.enabled ? 'on' : 'off') + ', priority ' + b.priority + (b.lastResult ? ', last: ' + b.lastResult : '') : 'Say on or off.')
+      return true
+    }
+    if (!isTrusted) { whisper(username, 'Only trusted players can change my auto behaviors.'); return true }
+    if (m[3]) {
+      if (name === 'all') { whisper(username, 'Set priorities one behavior at a time.'); return true }
+      survival.setPriority(name, Math.min(100, parseInt(m[3], 10)))
+      whisper(username, name + ' priority set to ' + Math.min(100, parseInt(m[3], 10)) + ' (commands are ' + status.commandPriority + ')')
+    } else {
+      survival.setEnabled(name, m[2] === 'on')
+      whisper(username, (name === 'all' ? 'All auto behaviors' : 'Auto ' + name) + ' ' + m[2])
+    }
+    console.log('[AUTO] ' + username + ' set ' + name + ' ' + m[2])
+    return true
+  }
+
+  // ---------- Farming ----------
+  const FARM_MAX_SIZE = 64
+
+  const farming = createFarming({
+    file: cfg.files.farm,
+    getBot: () => bot,
+    loadGoals: async () => { await ensurePathfinderLoaded(); return goals },
+    busy: () => {
+      if (currentTask || taskQueue.length > 0) return 'task'
+      if (guardState) return 'guard'
+      return survival.status().active ? 'auto' : null
+    },
+    notify: (player, text) => { if (bot && bot.players[player]) whisper(player, text) },
+    log: console,
+    settings: cfg.farming
+  })
+
+  // The region from two corners, a waypoint or where the player stands; a bare "farm" restarts the last
+  // farm, or uses the "farm" waypoint the first time
+  function startFarming(username, step) {
+    let region = null
+    const radius = Math.max(2, Math.min(FARM_MAX_SIZE / 2, parseInt(step.radius, 10) || cfg.farming.radius))
+    const last = farming.lastFarm()
+    if (step.corners) {
+      region = regionFromCorners(step.corners[0], step.corners[1])
+    } else if (step.here) {
+      const requester = bot.players[username]?.entity
+      if (!requester) { whisper(username, "I can't see you, so I don't know where here is."); return }
+      region = regionAround(requester.position.floored(), radius)
+    } else if (step.waypoint || !last) {
+      const wp = findWaypoint(username, step.waypoint || 'farm')
+      if (!wp) { whisper(username, step.waypoint ? "I don't know a waypoint called " + step.waypoint : 'Tell me where: "farm from x y z to x y z", "farm at <waypoint>" or "farm here".'); return }
+      if (wp.dimension !== currentDimension()) { whisper(username, wp.name + ' is in the ' + wp.dimension + " and I'm in the " + currentDimension()); return }
+      region = regionAround(wp, radius)
+    } else {
+      region = last.region
+    }
+    const { min, max } = region
+    if (!validCoords(min.x, min.y, min.z) || !validCoords(max.x, max.y, max.z)) { whisper(username, 'Those coordinates are invalid or too far.'); return }
+    if (max.x - min.x > FARM_MAX_SIZE || max.z - min.z > FARM_MAX_SIZE) { whisper(username, 'That farm is too big; the most I look after is ' + FARM_MAX_SIZE + ' blocks across.'); return }
+    const chest = step.chest || (last && !step.corners && !step.here && !step.waypoint ? last.chest : null)
+    if (chest && !validCoords(chest.x, chest.y, chest.z)) { whisper(username, 'Those chest coordinates are invalid or too far.'); return }
+    farming.start({ owner: username, region, chest, dimension: currentDimension() })
+    whisper(username, 'Farming ' + describeRegion(region) + ', storing the harvest in ' + (chest ? 'the chest at ' + chest.x + ' ' + chest.y + ' ' + chest.z : 'the nearest chest') + '. Say "stop farming" to stop.')
+  }
+
+  function describeFarm() {
+    const f = farming.status()
+    let text = (f.active ? 'Farming ' : 'Last farm ') + describeRegion(f.region) + ' for ' + f.owner + ': ' + f.harvested + ' harvested, ' + f.replanted + ' replanted, ' + f.deposited + ' stored'
+    if (f.running) text += ', working on it now'
+    else if (f.lastResult) text += '; last pass ' + f.lastResult
+    return text
+  }
+
+  // "stop farming", "farm status"; starting goes through the plan parser like other commands
+  function handleFarmCommand(username, message) {
+    const lower = message.toLowerCase()
+    if (/\b(?:stop|quit|end)\s+(?:the\s+)?farming\b/.test(lower)) {
+      const f = farming.status()
+      if (!f.active) { whisper(username, "I'm not farming."); return true }
+      if (username !== f.owner && !permissions.isOwner(username) && !permissions.can(username, 'farm')) { whisper(username, 'Only ' + f.owner + ' or ' + ownerName + ' can stop the farm.'); return true }
+      farming.stop()
+      whisper(username, 'Stopped farming. ' + describeFarm())
+      return true
+    }
+    if (/\bfarm(?:ing)?\s+(?:status|stats|progress)\b|\bhow(?:'s|\s+is)\s+the\s+farm\b/.test(lower)) {
+      whisper(username, farming.status().region ? describeFarm() : "I haven't farmed anywhere yet.")
+      return true
+    }
+    return false
+  }
+
+  // ---------- Scheduled and triggered rules ----------
+  // A rule's action is instruction text, parsed when it fires with the triggering player as "me", so
+  // "when Steve joins, follow" follows Steve. Permissions are always those of the player who made the rule.
+  function planForRule(rule, player) {
+    const instructions = rule.action.instructions.replace(/\{player\}|\b(?:them|him|her)\b/gi, player)
+    const plan = parseInstructionPlan(player, instructions)
+    const planSteps = [...plan.steps, ...plan.watches.flatMap(w => w.steps)]
+    const denied = [...new Set(planSteps.map(permissionFor).filter(a => !permissions.can(rule.owner, a)))]
+    return { plan, denied }
+  }
+
+  function runScheduledRule(rule, context) {
+    if (!bot || !bot.entity) return false
+    const player = context.player || rule.owner
+    const source = 'schedule:' + rule.id
+    // an interval that outpaces its own task would pile up copies in the queue
+    if ((currentTask && currentTask.source === source) || taskQueue.some(t => t.source === source)) {
+      console.log('[SCHEDULE] #' + rule.id + ' still has a pending task, skipping')
+      return false
+    }
+    if (rule.action.greet) whisper(player, (memory.lastSeen(player) ? 'Welcome back, ' : 'Hi, ') + player + '!')
+    if (rule.action.say) {
+      const line = rule.action.say.replace(/\{player\}/gi, player)
+      emitEvent('say', { to: null, message: line, source })
+      const sent = outbox.say(line)
+      if (sent.dropped) console.warn('[SCHEDULE] #' + rule.id + ' say not sent: ' + sent.dropped)
+    }
+    if (!rule.action.instructions) return true
+    const { plan, denied } = planForRule(rule, player)
+    if (denied.length > 0 || plan.error || plan.steps.length === 0) {
+      console.warn('[SCHEDULE] #' + rule.id + ' not run: ' + (denied.length ? rule.owner + ' may not ' + denied.join(', ') : plan.error || 'no steps parsed'))
+      return false
+    }
+    enqueueTask(rule.owner, plan.steps, source, plan.watches)
+    return true
+  }
+
+  const scheduler = createScheduler({
+    file: cfg.files.schedules,
+    run: runScheduledRule,
+    getTimeOfDay: () => (bot && bot.time && typeof bot.time.timeOfDay === 'number' ? bot.time.timeOfDay : null),
+    log: console
+  })
+
+  // rule definitions plus "list rules", "delete rule 3", "pause rule 3", "resume rule 3"
+  function handleScheduleCommand(username, message, isTrusted) {
+    const text = withoutBotNames(message)
+    const lower = text.toLowerCase()
+    if (/^(?:list\s+|show\s+)?(?:my\s+)?(?:rules|schedules|automations)\s*[?.!]*$/.test(lower)) {
+      const rules = scheduler.list()
+      if (rules.length === 0) { whisper(username, 'No rules yet. Try: every day at dusk go to base'); return true }
+      whisper(username, rules.slice(0, 6).map(r => '#' + r.id + (r.enabled ? ' ' : ' (paused) ') + r.description).join('; ') + (rules.length > 6 ? '; +' + (rules.length - 6) + ' more' : ''))
+      return true
+    }
+    let m = lower.match(/^(delete|remove|pause|resume|disable|enable)\s+(?:rule|schedule|automation)\s+#?(\d+)\s*[.!]*$/)
+    if (m) {
+      const rule = scheduler.get(parseInt(m[2], 10))
+      if (!rule) { whisper(username, 'There is no rule #' + m[2]); return true }
+      if (rule.owner !== username && !permissions.roleInfo(username).manage) { whisper(username, 'Only ' + rule.owner + ' or an admin can change rule #' + rule.id); return true }
+      if (m[1] === 'delete' || m[1] === 'remove') {
+        scheduler.remove(rule.id)
+        whisper(username, 'Deleted rule #' + rule.id)
+      } else {
+        const enabled = m[1] === 'resume' || m[1] === 'enable'
+        scheduler.setEnabled(rule.id, enabled)
+        whisper(username, (enabled ? 'Resumed' : 'Paused') + ' rule #' + rule.id)
+      }
+      console.log('[SCHEDULE] ' + username + ' ' + m[1] + ' #' + rule.id)
+      return true
+    }
+
+    const definition = parseScheduleCommand(text)
+    if (!definition) return false
+    if (definition.error) { whisper(username, "I can't schedule that: " + definition.error); return true }
+    if (!isTrusted) { whisper(username, 'Sorry, only trusted players can give me rules. Ask ' + ownerName + '!'); return true }
+    const result = addRule(username, definition)
+    whisper(username, result.error ? "I can't schedule that: " + result.error : 'Rule #' + result.rule.id + ': ' + describeTrigger(result.rule.trigger) + ', ' + result.rule.text)
+    return true
+  }
+
+  // checks the action the way it would run for its creator, so a bad rule is refused now rather than failing later
+  function addRule(owner, definition) {
+    if (definition.action.instructions) {
+      const { plan, denied } = planForRule({ owner, action: definition.action }, owner)
+      if (denied.length > 0) return { error: "you're not allowed to use " + denied.join(', ') }
+      if (plan.error) return { error: plan.error }
+      if (plan.steps.length === 0) return { error: "I don't understand '" + definition.action.instructions + "'" }
+    }
+    return scheduler.add(owner, definition)
+  }
+
+  // ---------- Role and permission commands ----------
+  function roleChangeReply(target, result, verb) {
+    if (result.error) return "Can't " + verb + ': ' + result.error
+    if (!result.changed) return target + ' is already ' + result.to
+    return target + ' is now ' + result.to + ' (was ' + result.from + ')'
+  }
+
+  // Legacy words map onto roles: trust -> trusted, ignore -> banned, untrust/unignore -> guest
+  function handleRoleCommand(username, message) {
+    const lower = message.toLowerCase()
+    const roles = permissions.roleNames()
+
+    let m = lower.match(/\b(?:what(?:'s|\s+is)\s+(?:the\s+)?role\s+of|role\s+of|what\s+role\s+(?:is|does))\s+((?:discord:)?\w+(?:\.\w+)*)/) || lower.match(/\bwhat(?:'s|\s+is)\s+(my)\s+role\b/)
+    if (m) {
+      const target = m[1] === 'my' ? username : message.match(new RegExp('\\b(' + m[1].replace(/\./g, '\\.') + ')\\b', 'i'))[1]
+      const g = permissions.grantsOf(target)
+      const extra = (g.allow.length ? ' +' + g.allow.join(',+') : '') + (g.deny.length ? ' -' + g.deny.join(',-') : '')
+      whisper(username, target + ' is ' + permissions.roleOf(target) + extra)
+      return true
+    }
+
+    const words = message.match(/\b(trust|untrust|forget|revoke|ignore|unignore|forgive|make|set|grant|allow|deny|clear)\s+(?:grants\s+for\s+)?((?:discord:)?\w+(?:\.\w+)*)(?:\s+(?:as|to)\s+(?:an?\s+)?|\s+)?([\w,\s]*)/i)
+    if (!words) return false
+    const verb = words[1].toLowerCase()
+    const target = words[2]
+    const rest = (words[3] || '').toLowerCase().split(/[\s,]+/).filter(w => w && w !== 'and')
+    if (!permissions.roleInfo(username).manage) {
+      // only the role words are commands here; everything else may be ordinary chat
+      if (['trust', 'untrust', 'ignore', 'unignore', 'grant', 'allow', 'deny'].includes(verb)) { whisper(username, 'Only ' + ownerName + ' or an admin can change roles.'); return true }
+      return false
+    }
+
+    let result = null
+    if (verb === 'clear' && /\bclear\s+grants\s+for\b/i.test(message)) {
+      result = permissions.clearGrants(username, target)
+      whisper(username, result.error ? "Can't clear grants: " + result.error : result.changed ? 'Cleared extra permissions for ' + target : target + ' had no extra permissions')
+      return true
+    }
+    if (verb === 'trust') result = permissions.setRole(username, target, 'trusted')
+    else if (verb === 'ignore') result = permissions.setRole(username, target, 'banned')
+    else if (['untrust', 'forget', 'unignore', 'forgive'].includes(verb) || (verb === 'revoke' && rest.length === 0)) result = permissions.setRole(username, target, 'guest')
+    else if (['make', 'set', 'grant'].includes(verb) && rest.length && roles.includes(rest[rest.length - 1])) result = permissions.setRole(username, target, rest[rest.length - 1])
+    else if (['grant', 'allow', 'deny', 'revoke'].includes(verb) && rest.length) {
+      const actions = rest.filter(w => ACTIONS.includes(w))
+      if (actions.length === 0) { whisper(username, 'Known actions: ' + ACTIONS.join(', ') + '. Roles: ' + roles.join(', ')); return true }
+      const allow = verb === 'grant' || verb === 'allow'
+      result = permissions.setGrant(username, target, actions, allow)
+      whisper(username, result.error ? "Can't change permissions: " + result.error : target + (allow ? ' may now use ' : ' may no longer use ') + actions.join(', '))
+      return true
+    } else return false
+    whisper(username, roleChangeReply(target, result, 'change role'))
+    return true
+  }
+
+  // ---------- Plan confirmation ----------
+  // cfg.reply.planConfirm: 'multi' asks before plans with several steps, repeats or conditionals; 'always' or 'never'
+  const PLAN_CONFIRM_SECONDS = 60
+  const pendingPlans = new Map()
+
+  // move is relative goto, so it shares goto's permission
+  function permissionFor(step) {
+    return step.action === 'move' ? 'goto' : step.action
+  }
+
+  function needsConfirmation(plan) {
+    if (cfg.reply.planConfirm === 'never') return false
+    if (cfg.reply.planConfirm === 'always') return true
+    return plan.steps.length > 1 || plan.watches.length > 0 || plan.items.some(i => i.action === 'repeat')
+  }
+
+  function proposePlan(username, plan) {
+    pendingPlans.set(username, { plan, expires: Date.now() + PLAN_CONFIRM_SECONDS * 1000 })
+    let text = describePlan(plan)
+    if (text.length > 160) text = text.slice(0, 157) + '...'
+    if (plan.skipped.length > 0) whisper(username, "I didn't understand: " + plan.skipped.join(' / '))
+    whisper(username, 'Plan: ' + text + " - say 'yes' to start or 'no' to drop it.")
+  }
+
+  function queuePlan(username, plan) {
+    console.log('[CHAT] Queueing plan', JSON.stringify({ steps: plan.steps, watches: plan.watches }))
+    const task = enqueueTask(username, plan.steps, 'chat', plan.watches)
+    memory.record(username, 'assistant', '[Queued ' + plan.steps.length + ' instructions as task #' + task.id + ']')
+    saveMemory()
+    return task
+  }
+
+  // "yes" / "no" to a proposed plan; no mention needed. Anything else leaves the plan waiting.
+  function handlePlanReply(username, message) {
+    const pending = pendingPlans.get(username)
+    if (Date.now() > pending.expires) { pendingPlans.delete(username); return false }
+    let text = message.toLowerCase()
+    for (const n of botNames) text = text.split(n.toLowerCase()).join(' ')
+    text = text.replace(/[^a-z\s]/g, ' ').trim()
+    if (/^(?:yes|yeah|yep|y|confirm|ok|okay|sure|do it|go|go ahead)$/.test(text)) {
+      pendingPlans.delete(username)
+      queuePlan(username, pending.plan)
+      return true
+    }
+    if (/^(?:no|nope|n|cancel|nevermind|never mind|forget it)$/.test(text)) {
+      pendingPlans.delete(username)
+      whisper(username, 'Okay, dropped that plan.')
+      return true
+    }
+    return false
+  }
+
+  // ---------- Conversation memory commands ----------
+  function ago(at) {
+    const minutes = Math.round((Date.now() - at) / 60000)
+    if (minutes < 1) return 'just now'
+    if (minutes < 60) return minutes + 'm ago'
+    if (minutes < 48 * 60) return Math.round(minutes / 60) + 'h ago'
+    return Math.round(minutes / 1440) + 'd ago'
+  }
+
+  // the message with the bot's names taken out, so "phyll, remember that ..." starts with "remember"
+  function withoutBotNames(message) {
+    let text = message
+    for (const n of [...botNames, ...groupNames]) text = text.replace(new RegExp('\\b' + n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'ig'), ' ')
+    return text.replace(/\s+/g, ' ').replace(/^[\s,:;!-]+/, '').trim()
+  }
+
+  // Facts stated in passing ("my base is at ...") are picked up from chat that wasn't a command
+  function learnFact(username, message, channel) {
+    const fact = extractFact(username, withoutBotNames(message))
+    if (fact) memory.addFact(username, fact, 'chat', channel)
+  }
+
+  // what did X say about Y / what do you know about X / remember that ... / forget ...
+  function handleMemoryCommand(username, message, channel) {
+    const text = withoutBotNames(message)
+    const mayReadPrivate = (target) => target.toLowerCase() === username.toLowerCase() || !!permissions.roleInfo(username).manage
+
+    let m = text.match(/\bwhat\s+(?:did|has)\s+([A-Za-z0-9_]{1,16})\s+(?:say|said|tell you|told you|mention(?:ed)?)\s+about\s+(.+?)[?.!]*$/i)
+    if (m) {
+      const target = /^(?:i|me)$/i.test(m[1]) ? username : m[1]
+      const found = memory.search(target, m[2], { includeWhispers: mayReadPrivate(target) })
+      if (found.length === 0) { whisper(username, "I don't remember " + target + ' saying anything about ' + m[2] + '.'); return true }
+      whisper(username, found.map(f => target + ' (' + ago(f.at) + '): ' + f.content).join(' | '))
+      return true
+    }
+
+    m = text.match(/\bwhat\s+do\s+(?:you|u)\s+(?:know|remember)\s+about\s+([A-Za-z0-9_]{2,16})\b/i)
+    if (m) {
+      const target = /^me$/i.test(m[1]) ? username : m[1]
+      const facts = memory.facts(target).filter(f => f.channel !== 'whisper' || mayReadPrivate(target))
+      const last = memory.lastSeen(target)
+      if (facts.length === 0 && !last) { whisper(username, "I don't know anything about " + target + ' yet.'); return true }
+      const parts = facts.slice(-5).map(f => f.text)
+      if (last) parts.push('last talked to me ' + ago(last))
+      whisper(username, parts.join('; '))
+      return true
+    }
+
+    if (/^(?:please\s+)?remember\b/i.test(text)) {
+      const fact = extractFact(username, text)
+      if (!fact) { whisper(username, "Tell me like 'remember that my base is at 100 64 -200'."); return true }
+      memory.addFact(username, fact, 'asked', channel)
+      saveMemory()
+      whisper(username, 'Got it: ' + fact.text)
+      return true
+    }
+
+    // plain "forget <player>" stays the role command; this only claims "forget me" and "forget (everything) about ..."
+    m = text.match(/^forget\s+(?:everything\s+about\s+|about\s+|that\s+)?(.+?)[.!]*$/i)
+    if (m && (/^me$/i.test(m[1]) || /^forget\s+(?:everything\s+about|about|that)\s/i.test(text))) {
+      const subject = m[1].trim()
+      const player = /^me$/i.test(subject) ? username : (memory.facts(subject).length || memory.lastSeen(subject) ? subject : null)
+      if (player) {
+        if (!mayReadPrivate(player)) { whisper(username, 'Only ' + player + ' or an admin can make me forget them.'); return true }
+        memory.forgetPlayer(player)
+        saveMemory()
+        whisper(username, player === username ? "Done, I've forgotten our conversations and what you told me." : "Done, I've forgotten " + player + '.')
+        return true
+      }
+      const removed = memory.forgetFacts(username, subject.replace(/^(?:that|my)\s+/i, ''))
+      saveMemory()
+      whisper(username, removed ? 'Forgot ' + removed + ' thing' + (removed === 1 ? '' : 's') + ' about ' + subject + '.' : "I didn't have anything about " + subject + '.')
+      return true
+    }
+    return false
+  }
+
+  // ---------- Chat handling routed from message extraction ----------
+  // meta: { channel: 'game'|'discord'|'whisper'|'team', rule, replyTo } from the chat format rule that matched
+  async function handleChat(username, message, meta = {}) {
+    if (!bot) return
+    if (!username || username === bot.username) return
+    // the other bots of the fleet may share this server; never take orders from them
+    if (shared.isFleetBot(username)) return
+    if (permissions.isIgnored(username)) { console.log('[CHAT] Ignoring ' + username); return }
+    if (flood.isMuted(username)) { console.log('[CHAT] Muted for flooding: ' + username); return }
+    const channel = meta.channel || 'game'
+    console.log('[CHAT] <' + username + '> (' + channel + ') ' + message)
+    if (pendingPlans.has(username) && handlePlanReply(username, message)) return
+    const msgLower = message.toLowerCase()
+    // a Discord reply to one of our messages counts as addressing us
+    const repliedTo = meta.replyTo && [bot.username, ...botNames].some(n => n.toLowerCase() === String(meta.replyTo).toLowerCase())
+    const mentioned = channel === 'whisper' || repliedTo || [...botNames, ...groupNames].some(n => msgLower.includes(n.toLowerCase()))
+    if (!mentioned) return
+    const role = permissions.roleOf(username)
+    lastMentionAt = Date.now()
+    incMetric('mcbot_commands_total', { player: username })
+    logEvent('command', { player: username, channel, role, message })
+    const rate = permissions.checkRate(username)
+    if (!rate.allowed) {
+      console.log('[AUTH] rate limited ' + username + ' role=' + role)
+      if (flood.strike(username)) {
+        incMetric('mcbot_flood_mutes_total')
+        logEvent('flood', { player: username, minutes: flood.minutes() })
+        whisper(username, "You kept going, so I'm ignoring you for " + flood.minutes() + ' minutes.')
+      } else if (rate.notify) whisper(username, "You're sending me commands too fast, slow down a bit.")
+      return
+    }
+    // "trusted" here means allowed to give at least one command; finer checks use permissions.can
+    const isTrusted = permissions.allowedActions(username).length > 0
+    console.log('[AUTH] mentioned by ' + username + ' role=' + role)
+    if (handleScheduleCommand(username, message, isTrusted)) return
+    if (handleWaypointCommand(username, message, permissions.can(username, 'waypoint'))) return
+    if (handleMemoryCommand(username, message, channel)) return
+    if (handleConfigCommand(username, message)) return
+    if (handleMuteCommand(username, message)) return
+    if (handleRoleCommand(username, message)) return
+
+    if (/\bstand\s*down\b/i.test(message)) {
+      if (!guardState) { whisper(username, "I'm not guarding anything."); return }
+      if (username !== guardState.issuer && !permissions.isOwner(username)) { whisper(username, 'Only ' + guardState.issuer + ' or ' + ownerName + ' can make me stand down.'); return }
+      stopGuard('Standing down.')
+      return
+    }
+
+    if (handleBuildCommand(username, message)) return
+    if (handleFarmCommand(username, message)) return
+    if (handleMovementCommand(username, message)) return
+    if (handleQueueCommand(username, message)) return
+    if (handleAutoCommand(username, message, isTrusted)) return
+
+    memory.record(username, 'user', message, { channel })
+
+    try {
+      const plan = parseInstructionPlan(username, message)
+      if (plan.steps.length > 0 || plan.watches.length > 0) {
+        const planSteps = [...plan.steps, ...plan.watches.flatMap(w => w.steps)]
+        const denied = [...new Set(planSteps.map(permissionFor).filter(a => !permissions.can(username, a)))]
+        if (denied.length > 0) {
+          console.log('[AUTH] ' + username + ' denied actions ' + denied.join(','))
+          if (!isTrusted) whisper(username, 'Sorry, only trusted players can give me commands. Ask ' + ownerName + '!')
+          else whisper(username, "Sorry, you're not allowed to use: " + denied.join(', '))
+          return
+        }
+        if (plan.error) { whisper(username, plan.error + '.'); return }
+        if (plan.steps.length === 0) { whisper(username, 'What should I be doing while I watch for a ' + plan.watches[0].mob + '?'); return }
+        if (needsConfirmation(plan)) { proposePlan(username, plan); return }
+        queuePlan(username, plan)
+        return
+      }
+    } catch (e) {
+      console.error('[CHAT] instruction execution error', e.message)
+      whisper(username, 'Something went wrong executing that command.')
+      return
+    }
+
+    const looksLikeCommand = /\b(follow|goto|come|hold|drop|give|deposit|tp|tpa|wait|mine|build|attack|guard|craft|smelt|cook)\b/i.test(msgLower)
+    if (!isTrusted && looksLikeCommand) {
+      whisper(username, 'Sorry, only trusted players can give me commands. Ask ' + ownerName + '!')
+      return
+    }
+    if (looksLikeCommand) {
+      incMetric('mcbot_parse_misses_total', { kind: 'instruction' })
+      logEvent('parse_miss', { kind: 'instruction', player: username, message })
+    }
+
+    try {
+      learnFact(username, message, channel)
+      const facts = memory.facts(username).map(f => f.text)
+      const reply = answerQuery(message, username) || await replyService.reply({ username, message, isTrusted, history: memory.history(username), facts })
+      whisper(username, reply)
+      memory.record(username, 'assistant', reply)
+      saveMemory()
+    } catch (e) {
+      console.error('[CHAT] response generation error', e.message)
+      whisper(username, "I'm having trouble understanding that.")
+    }
+  }
+
+  // ---------- Bot event handlers and message listener ----------
+  // Reconnecting is the supervisor's job (see Connection supervisor below); these only log and react in game
+  function setupBotEventHandlers() {
+    bot.on('error', (err) => {
+      console.error('[BOT] Error', err && err.message)
+      try {
+        const m = err && err.message && err.message.toString()
+        if (m && (m.includes('PartialReadError') || m.includes('Unexpected buffer end') || m.includes('Read error'))) {
+          console.error('[BOT] Protocol parse error. The supervisor pings the server for its version; if this keeps happening set FALLBACK_MC_VERSION to your server version.')
+        }
+      } catch (e) { /* ignore */ }
+    })
+
+    bot.on('kicked', (reason) => {
+      console.log('[BOT] Kicked reason ' + reason)
+    })
+
+    bot.on('death', () => {
+      console.log('[BOT] Died')
+      incMetric('mcbot_deaths_total')
+      const pos = bot.entity ? bot.entity.position : null
+      logEvent('death', { position: pos ? { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z) } : null, dimension: currentDimension() })
+      stopGuard('I died, so I stopped guarding.')
+    })
+
+    bot.on('end', () => {
+      console.log('[BOT] Disconnected')
+    })
+
+    // path_update repeats while a goal stays unreachable; count each goal's failure once
+    let lastPathStatus = null
+    bot.on('goal_updated', () => { lastPathStatus = null })
+    bot.on('goal_reached', onNavigationReached)
+    bot.on('path_update', (r) => {
+      if (r.status === lastPathStatus) return
+      lastPathStatus = r.status
+      onNavigationPath(r.status)
+      if (r.status !== 'noPath' && r.status !== 'timeout') return
+      const goal = bot.pathfinder ? describeGoal(bot.pathfinder.goal) : null
+      console.log('[PATH] ' + r.status + ' for ' + JSON.stringify(goal))
+      incMetric('mcbot_pathfinder_failures_total', { reason: r.status })
+      logEvent('path_failed', { reason: r.status, goal })
+    })
+
+    // portals the bot goes through, on its own or following someone, are remembered for nether routes; the
+    // teleport to the other side arrives as a forced move with the new dimension already set
+    let portalContact = null
+    let lastDimension = null
+    bot.on('move', () => {
+      const block = bot.entity ? bot.blockAt(bot.entity.position) : null
+      if (block && block.name === 'nether_portal') portalContact = { dimension: currentDimension(), pos: block.position.clone() }
+    })
+    bot.on('forcedMove', () => {
+      const dimension = currentDimension()
+      if (lastDimension && dimension !== lastDimension) {
+        console.log('[PATH] now in the ' + dimension)
+        if (portalContact && portalContact.dimension === lastDimension && PORTAL_DIMENSIONS.includes(dimension)) rememberPortal(portalContact, dimension, bot.entity.position)
+        portalContact = null
+        refreshMovements()
+      }
+      lastDimension = dimension
+    })
+
+    bot.once('spawn', async () => {
+      console.log('[SPAWN] Bot spawned as ' + bot.username + ' at ' + JSON.stringify(bot.entity ? bot.entity.position : null))
+      if (cfg.autoEat) {
+        try { bot.loadPlugin(autoEat); console.log('[SPAWN] AutoEat loaded') } catch (e) { console.error('[SPAWN] AutoEat failed', e.message) }
+      }
+      try { bot.loadPlugin(AutoAuth); console.log('[SPAWN] AutoAuth loaded') } catch (e) { console.error('[SPAWN] AutoAuth failed', e.message) }
+
+      // Start prismarine viewer on internal port
+      if (cfg.viewerEnabled) {
+        try {
+          const { mineflayer: startViewer } = await import('prismarine-viewer')
+          startViewer(bot, { port: cfg.viewerPort, firstPerson: cfg.viewerFirstPerson })
+          console.log('[VIEWER] Prismarine viewer started on ' + cfg.viewerHost + ':' + cfg.viewerPort + ', proxied at /viewer/' + cfg.id + '/')
+        } catch (e) {
+          console.error('[VIEWER] start failed', e && e.message)
+        }
+      }
+
+      if (cfg.survivalEnabled) survival.attach(bot)
+      farming.attach()
+      scheduler.start()
+      resumeQueue()
+    })
+
+    // Prefer message event (works for plugin forwarded lines) and fallback to chat behavior
+    bot.on('message', (jsonMsg) => {
+      const raw = jsonMsg.toString()
+      console.log('[MESSAGE-RAW] ' + raw)
+      emitEvent('raw', { raw })
+
+      const lower = raw.toLowerCase()
+      if (lower.includes('has requested to teleport to you') && (lower.includes('tpaccept') || lower.includes('/tpaccept'))) {
+        console.log('[TPA] auto-accept detected, sending /tpaccept')
+        outbox.command('tpaccept')
+      }
+
+      const parsed = tryExtractUserFromRaw(raw)
+      // only the server's own lines can hold the bot's chat back, not a player typing "slow down"
+      const cooldown = parsed ? null : parseCooldown(raw)
+      if (cooldown) outbox.pause(cooldown)
+      if (parsed) {
+        if (parsed.ignored || parsed.username === bot.username) return
+        const username = parsed.channel === 'discord' ? discordIdentity(parsed.username) : parsed.username
+        if (parsed.channel === 'discord' && isDiscordEcho(username, parsed.message)) return
+        emitEvent('chat', { username, message: parsed.message, channel: parsed.channel })
+        if (parsed.event) scheduler.onPlayerEvent(parsed.event, username)
+        else if (!shared.isFleetBot(username) && !permissions.isIgnored(username) && !flood.isMuted(username)) scheduler.onChat(username, parsed.message)
+        handleChat(username, parsed.message, { channel: parsed.channel, rule: parsed.rule, replyTo: parsed.replyTo || null })
+      } else {
+        incMetric('mcbot_parse_misses_total', { kind: 'chat_format' })
+        logEvent('parse_miss', { kind: 'chat_format', raw })
+        console.log('[MESSAGE-RAW] No chat format rule matched. Add a rule to ' + cfg.chatFormatsFile + ' and check it with tools/replay-chat.js: ' + raw)
+      }
+    })
+  }
+
+  // ---------- JSON status and control API ----------
+  const KNOWN_ACTIONS = ['follow', 'goto', 'move', 'tpa', 'wait', 'mine', 'hold', 'drop', 'give', 'deposit', 'guard', 'attack', 'build', 'farm', 'craft', 'smelt']
+
+  function describeGoal(goal) {
+    if (!goal) return null
+    const desc = { type: goal.constructor ? goal.constructor.name : 'unknown' }
+    if (goal.entity) {
+      desc.target = goal.entity.username || goal.entity.name || null
+      if (goal.entity.position) desc.position = { x: Math.floor(goal.entity.position.x), y: Math.floor(goal.entity.position.y), z: Math.floor(goal.entity.position.z) }
+    } else if (Number.isFinite(goal.x) && Number.isFinite(goal.z)) {
+      desc.position = { x: goal.x, y: Number.isFinite(goal.y) ? goal.y : null, z: goal.z }
+    }
+    return desc
+  }
+
+  function getStatus() {
+    const connected = !!(bot && bot.entity)
+    const connection = supervisor.status()
+    const status = {
+      id: cfg.id,
+      // idle, connecting, connected, waiting (to reconnect) or stopped (kicked for good, or shut down)
+      state: connection.state,
+      username: bot ? bot.username || null : null,
+      version: bot ? bot.version || null : null,
+      position: null,
+      health: null,
+      food: null,
+      goal: null,
+      guard: null,
+      task: null,
+      queued: taskQueue.length,
+      replyBackend: replyService.backend(),
+      players: [],
+      inventory: [],
+      held: null,
+      survival: survival.status(),
+      build: buildStatus(),
+      farm: farming.status(),
+      movementProfile,
+      chat: { ...outbox.status(), muted: flood.muted() },
+      connection
+    }
+    if (!connected) return status
+    const pos = bot.entity.position
+    status.position = { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z) }
+    status.health = bot.health
+    status.food = bot.food
+    status.goal = bot.pathfinder ? describeGoal(bot.pathfinder.goal) : null
+    if (currentTask) status.task = taskToJson(currentTask)
+    if (guardState) {
+      status.guard = { mode: guardState.mode, issuer: guardState.issuer, radius: guardState.radius, player: guardState.player, mob: guardState.mob, target: guardState.target ? guardState.target.name : null, retreating: guardState.retreating }
+    }
+    status.players = Object.keys(bot.players || {}).filter(p => p !== bot.username)
+    status.inventory = Object.entries(countByName(bot.inventory.items())).map(([name, count]) => ({ name, count }))
+    status.held = bot.heldItem ? bot.heldItem.name : null
+    return status
+  }
+
+  // mounted by bot.js under /api/bots/<id>, and at /api for the first bot. Every route needs API_TOKEN, reads
+  // included: the server listens on 0.0.0.0 and these show players, roles, positions and plans.
+  const api = express.Router()
+  api.use(express.json({ limit: '16kb' }))
+
+  api.get('/status', requireApiToken, (req, res) => res.json(getStatus()))
+  api.get('/memory', requireApiToken, (req, res) => res.json(memory.summary()))
+  api.get('/memory/:player', requireApiToken, (req, res) => res.json({ player: req.params.player, facts: memory.facts(req.params.player), thread: memory.thread(req.params.player) }))
+  api.get('/trusted', requireApiToken, (req, res) => res.json(permissions.trustedPlayers()))
+  api.get('/ignored', requireApiToken, (req, res) => res.json(permissions.playersWithRole('banned')))
+  api.get('/roles', requireApiToken, (req, res) => res.json(permissions.toJSON()))
+  api.get('/roles/audit', requireApiToken, (req, res) => res.json(permissions.recentAudit()))
+  // players' private waypoints stay out of this route
+  api.get('/waypoints', requireApiToken, (req, res) => res.json({ shared: waypoints.shared, portals: waypoints.portals }))
+
+  // body: { username?, steps: [...] } or { username?, message: "follow me then wait 5 seconds" }
+  api.post('/steps', requireApiToken, (req, res) => {
+    if (!bot || !bot.entity) return res.status(503).json({ error: 'bot not connected' })
+    const body = req.body || {}
+    const username = typeof body.username === 'string' && body.username ? body.username : ownerName
+    let steps = null
+    let watches = []
+    if (Array.isArray(body.steps)) steps = body.steps
+    else if (typeof body.message === 'string' && body.message.trim()) {
+      const plan = parseInstructionPlan(username, body.message)
+      if (plan.error) return res.status(400).json({ error: plan.error })
+      steps = plan.steps
+      watches = plan.watches
+    }
+    if (!steps || steps.length === 0) return res.status(400).json({ error: 'no steps given or parsed' })
+    const unknown = steps.find(s => !s || !KNOWN_ACTIONS.includes(s.action))
+    if (unknown) return res.status(400).json({ error: 'unknown action', step: unknown })
+    console.log('[API] queueing ' + steps.length + ' steps for ' + username + ': ' + JSON.stringify(steps))
+    const task = enqueueTask(username, steps, 'api', watches)
+    res.status(202).json(taskToJson(task))
+  })
+
+  api.get('/connection', requireApiToken, (req, res) => res.json(supervisor.status()))
+
+  api.get('/survival', requireApiToken, (req, res) => res.json(survival.status()))
+
+  api.get('/farm', requireApiToken, (req, res) => res.json(farming.status()))
+
+  api.delete('/farm', requireApiToken, (req, res) => {
+    if (!farming.stop()) return res.status(409).json({ error: 'not farming' })
+    res.json(farming.status())
+  })
+
+  api.get('/movement', requireApiToken, (req, res) => res.json({ profile: movementProfile, profiles: movementProfiles }))
+
+  // body: { profile }
+  api.post('/movement', requireApiToken, (req, res) => {
+    const name = req.body && req.body.profile
+    if (!setMovementProfile(name)) return res.status(400).json({ error: 'unknown profile', known: Object.keys(movementProfiles) })
+    res.json({ profile: movementProfile, profiles: movementProfiles })
+  })
+
+  api.get('/build', requireApiToken, (req, res) => res.json({ current: buildStatus(), structures: listStructures(cfg.structuresDir) }))
+
+  // body: { paused: true|false }; starting a build goes through /steps like any other command
+  api.post('/build', requireApiToken, (req, res) => {
+    const body = req.body || {}
+    if (typeof body.paused !== 'boolean') return res.status(400).json({ error: 'paused must be true or false' })
+    if (!buildState) return res.status(409).json({ error: 'not building anything' })
+    if (body.paused && !buildState.paused) pauseBuild('paused from the API')
+    if (!body.paused) {
+      buildState.paused = false
+      buildState.reason = null
+    }
+    res.json(buildStatus())
+  })
+
+  api.get('/structures/:name', requireApiToken, async (req, res) => {
+    let structure = null
+    try {
+      structure = await loadNamedStructure(req.params.name)
+    } catch (e) {
+      return res.status(422).json({ error: e.message })
+    }
+    if (!structure) return res.status(404).json({ error: 'no structure called ' + req.params.name })
+    const materials = materialsFor(structure.blocks)
+    const missing = bot && bot.inventory ? missingMaterials(materials, countByName(bot.inventory.items())) : null
+    res.json({ name: structure.name, size: structure.size, blocks: structure.blocks.length, materials, missing })
+  })
+
+  api.get('/schedules', requireApiToken, (req, res) => res.json(scheduler.list()))
+
+  // body: { text: "every day at dusk go to base", owner? } - the same sentence you would say in chat
+  api.post('/schedules', requireApiToken, (req, res) => {
+    const body = req.body || {}
+    const owner = typeof body.owner === 'string' && body.owner ? body.owner : ownerName
+    const definition = typeof body.text === 'string' ? parseScheduleCommand(body.text) : null
+    if (!definition) return res.status(400).json({ error: 'not a rule; try "every 20 minutes deposit logs into the chest"' })
+    if (definition.error) return res.status(400).json({ error: definition.error })
+    const result = addRule(owner, definition)
+    if (result.error) return res.status(400).json({ error: result.error })
+    res.status(201).json(result.rule)
+  })
+
+  api.delete('/schedules/:id', requireApiToken, (req, res) => {
+    const rule = scheduler.remove(parseInt(req.params.id, 10))
+    if (!rule) return res.status(404).json({ error: 'no rule ' + req.params.id })
+    console.log('[API] deleted rule #' + rule.id)
+    res.json(rule)
+  })
+
+  // body: { behavior: 'sleep'|'all'|..., enabled?: boolean, priority?: number }
+  api.post('/survival', requireApiToken, (req, res) => {
+    const body = req.body || {}
+    const name = body.behavior
+    if (name !== 'all' && !survival.names().includes(name)) return res.status(400).json({ error: 'unknown behavior', known: survival.names() })
+    if (typeof body.enabled === 'boolean') survival.setEnabled(name, body.enabled)
+    if (body.priority != null) {
+      const priority = parseInt(body.priority, 10)
+      if (name === 'all' || !Number.isFinite(priority) || priority < 0 || priority > 100) return res.status(400).json({ error: 'priority must be 0-100 for a single behavior' })
+      survival.setPriority(name, priority)
+    }
+    console.log('[API] survival ' + name + ' ' + JSON.stringify(body))
+    res.json(survival.status())
+  })
+
+  // Server-sent events for the dashboard: the backlog first, then live chat and a status snapshot every 2s.
+  // EventSource cannot set headers, so bot.js also accepts the token as ?token=
+  api.get('/events', requireApiToken, (req, res) => {
+    res.set({ 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' })
+    res.flushHeaders()
+    const send = (event) => res.write('event: ' + event.type + '\ndata: ' + JSON.stringify(event) + '\n\n')
+    const sendStatus = () => send({ type: 'status', at: Date.now(), status: getStatus() })
+    for (const e of recentEvents) send(e)
+    sendStatus()
+    events.on('event', send)
+    const statusTimer = setInterval(sendStatus, 2000)
+    req.on('close', () => {
+      events.off('event', send)
+      clearInterval(statusTimer)
+    })
+  })
+
+  // body: { message } said in game as the bot; slash commands only when in the outbox's allowlist
+  api.post('/chat', requireApiToken, (req, res) => {
+    const message = req.body && typeof req.body.message === 'string' ? req.body.message.trim() : ''
+    if (!message) return res.status(400).json({ error: 'message required' })
+    if (message.length > 256) return res.status(400).json({ error: 'message longer than 256 characters' })
+    if (!bot || !bot.entity) return res.status(503).json({ error: 'bot not connected' })
+    console.log('[API] chat as bot: ' + message)
+    emitEvent('say', { to: null, message, source: 'api' })
+    const command = message.match(/^\/(\S+)\s*([\s\S]*)$/)
+    const sent = command ? outbox.command(command[1], command[2]) : outbox.say(message)
+    if (sent.dropped === 'command') return res.status(400).json({ error: 'command not allowed', allowed: outbox.allowedCommands() })
+    if (sent.dropped) return res.status(429).json({ error: 'not sent: ' + sent.dropped })
+    res.json({ sent: true })
+  })
+
+  // body: { username, message } from a Discord bridge that posts here instead of (or as well as) relaying
+  // into game chat; handled exactly like the same line seen on the discord channel
+  api.post('/discord', requireApiToken, (req, res) => {
+    const body = req.body || {}
+    const name = typeof body.username === 'string' ? body.username.trim() : ''
+    const message = typeof body.message === 'string' ? body.message.trim() : ''
+    if (!name || !message) return res.status(400).json({ error: 'username and message required' })
+    if (!bot || !bot.entity) return res.status(503).json({ error: 'bot not connected' })
+    const username = discordIdentity(name)
+    discordPosts.set(username.toLowerCase() + '\n' + message, Date.now())
+    emitEvent('chat', { username, message, channel: 'discord', source: 'api' })
+    handleChat(username, message, { channel: 'discord', rule: 'api', replyTo: typeof body.replyTo === 'string' ? body.replyTo : null })
+      .catch(e => console.error('[DISCORD] handling failed', e && e.message))
+    res.json({ accepted: true, username })
+  })
+
+  // the only way back after a ban or whitelist kick, once that is sorted out on the server
+  api.post('/connection/reconnect', requireApiToken, (req, res) => {
+    console.log('[API] manual reconnect')
+    supervisor.reconnectNow().catch(e => console.error('[CONN] manual reconnect failed', e && e.message))
+    res.status(202).json({ reconnecting: true })
+  })
+
+  api.get('/queue', requireApiToken, (req, res) => res.json({
+    current: currentTask ? taskToJson(currentTask) : null,
+    queued: taskQueue.map(taskToJson),
+    recent: recentTasks.map(taskToJson)
+  }))
+
+  // API callers act with owner rights
+  api.delete('/queue/:id', requireApiToken, (req, res) => {
+    const id = parseInt(req.params.id, 10)
+    const task = currentTask && currentTask.id === id ? currentTask : taskQueue.find(t => t.id === id)
+    if (!task) return res.status(404).json({ error: 'no pending task #' + req.params.id })
+    cancelTask(task, 'api')
+    res.json(taskToJson(task))
+  })
+
+  // game names, or discord:<name> for someone on the Discord bridge
+  function validPlayerName(name) {
+    return typeof name === 'string' && /^(?:discord:)?\w+(?:\.\w+)*$/i.test(name)
+  }
+
+  // the API acts as owner, so nothing stops it demoting, banning or restricting the owner, or making another
+  // one, but this
+  function ownerRoleError(name, role = null) {
+    if (permissions.isOwner(name)) return "the owner's role and actions cannot be changed from the API"
+    if (role === 'owner') return 'the owner role cannot be given from the API'
+    return null
+  }
+
+  // the trusted and ignored routes predate roles and map onto the trusted, banned and guest roles
+  function roleRoute(res, name, role, list) {
+    if (!validPlayerName(name)) return res.status(400).json({ error: 'name required' })
+    const denied = ownerRoleError(name)
+    if (denied) return res.status(400).json({ error: denied })
+    const r = permissions.setRole('api', name, role)
+    if (r.error) return res.status(400).json({ error: r.error })
+    res.json({ changed: r.changed, [list]: list === 'trusted' ? permissions.trustedPlayers() : permissions.playersWithRole('banned') })
+  }
+
+  api.post('/trusted', requireApiToken, (req, res) => roleRoute(res, req.body && req.body.name, 'trusted', 'trusted'))
+  api.delete('/trusted/:name', requireApiToken, (req, res) => roleRoute(res, req.params.name, 'guest', 'trusted'))
+  api.post('/ignored', requireApiToken, (req, res) => roleRoute(res, req.body && req.body.name, 'banned', 'ignored'))
+  api.delete('/ignored/:name', requireApiToken, (req, res) => {
+    if (permissions.roleOf(req.params.name) !== 'banned') return res.json({ changed: false, ignored: permissions.playersWithRole('banned') })
+    roleRoute(res, req.params.name, 'guest', 'ignored')
+  })
+
+  // body: { name, role }
+  api.post('/roles', requireApiToken, (req, res) => {
+    const { name, role } = req.body || {}
+    if (!validPlayerName(name) || typeof role !== 'string') return res.status(400).json({ error: 'name and role required' })
+    const denied = ownerRoleError(name, role)
+    if (denied) return res.status(400).json({ error: denied })
+    const r = permissions.setRole('api', name, role)
+    if (r.error) return res.status(400).json({ error: r.error })
+    res.json(r)
+  })
+
+  // body: { name, allow: [...], deny: [...] }
+  api.post('/grants', requireApiToken, (req, res) => {
+    const { name, allow, deny } = req.body || {}
+    if (!validPlayerName(name)) return res.status(400).json({ error: 'name required' })
+    const denied = ownerRoleError(name)
+    if (denied) return res.status(400).json({ error: denied })
+    let r = { grants: permissions.grantsOf(name) }
+    if (Array.isArray(allow) && allow.length) r = permissions.setGrant('api', name, allow, true)
+    if (!r.error && Array.isArray(deny) && deny.length) r = permissions.setGrant('api', name, deny, false)
+    if (r.error) return res.status(400).json({ error: r.error })
+    res.json({ name, role: permissions.roleOf(name), grants: permissions.grantsOf(name) })
+  })
+
+  // ---------- Connection supervisor ----------
+  const createBot = deps.createBot || createMineflayerBot
+  const supervisor = createConnectionSupervisor({
+    host: cfg.host,
+    port: cfg.port,
+    pinnedVersion: cfg.version,
+    fallbackVersion: cfg.fallbackVersion,
+    ping: deps.ping,
+    log: console,
+    onRecord: (entry) => {
+      if (entry.event === 'connecting' && entry.attempt > 1) incMetric('mcbot_reconnects_total')
+      if (entry.event === 'disconnected' || entry.event === 'gave-up') incMetric('mcbot_disconnects_total', { kind: entry.kind })
+      logEvent('connection', entry)
+    },
+    connect: (version) => {
+      bot = createBot({
+        host: cfg.host,
+        port: cfg.port,
+        username: cfg.username,
+        auth: cfg.auth,
+        plugins: [AutoAuth],
+        AutoAuth: {
+          password: cfg.password,
+          logging: true,
+          ignoreRepeat: true
+        },
+        connectTimeout: 30000,
+        checkTimeoutInterval: 10000,
+        version
+      })
+      setupBotEventHandlers()
+      return bot
+    },
+    // runs before the old bot is dropped, whatever ended it
+    teardown: (old) => {
+      outbox.clear()
+      stopGuard(null)
+      clearTimeout(followTimer)
+      navigation = null
+      survival.detach()
+      farming.detach()
+      scheduler.stop()
+      interruptCurrentTask()
+      try { if (old.viewer) old.viewer.close() } catch (e) { console.warn('[VIEWER] close failed', e.message) }
+      if (bot === old) bot = null
+    }
+  })
+
+  // ---------- Config reload ----------
+  // What a reloaded entry can change: most settings apply at once, these on a fresh connection, and these only
+  // when the process restarts (the files are open, and bots are told apart by id)
+  const RECONNECT_SETTINGS = ['host', 'port', 'auth', 'password', 'version', 'fallbackVersion', 'username', 'autoEat', 'viewerEnabled', 'viewerPort', 'viewerFirstPerson']
+  const RESTART_SETTINGS = ['id', 'dataDir', 'files', 'memory']
+  // long enough for the reply to get out before the old connection closes
+  const RELOAD_RECONNECT_MS = 2000
+  let reloadTimer = null
+
+  // next: this bot's entry from a fresh lib/fleetConfig.js load. Returns { changed, reconnect, restart } naming
+  // the settings, or { error } when nothing was applied.
+  function applyConfig(next) {
+    const changed = Object.keys(next).filter(k => k !== 'legacyFiles' && JSON.stringify(next[k]) !== JSON.stringify(cfg[k]))
+    const restart = changed.filter(k => RESTART_SETTINGS.includes(k))
+    const applied = changed.filter(k => !RESTART_SETTINGS.includes(k))
+    if (applied.includes('owner') || applied.includes('permissions')) {
+      const r = permissions.configure({ owner: next.owner, ...next.permissions })
+      if (r.error) return { error: r.error }
+      for (const line of r.changes) console.log('[ROLES] ' + line)
+    }
+    // nested settings are updated in place, since survival and farming hold on to theirs
+    for (const k of applied) {
+      if (cfg[k] && typeof cfg[k] === 'object' && !Array.isArray(cfg[k])) Object.assign(cfg[k], next[k])
+      else cfg[k] = next[k]
+    }
+    ownerName = cfg.owner
+    botNames = cfg.names
+    groupNames = cfg.groupNames
+    loadChatFormats()
+    if (['reply', 'personality', 'names'].some(k => applied.includes(k))) replyService = buildReplyService()
+    if (applied.includes('movement')) {
+      movementProfiles = mergeProfiles(cfg.movement.profiles)
+      if (movementProfiles[cfg.movement.profile]) movementProfile = cfg.movement.profile
+      else if (!movementProfiles[movementProfile]) movementProfile = DEFAULT_PROFILE
+      refreshMovements()
+    }
+    if (applied.includes('survivalEnabled') && bot && bot.entity) {
+      if (cfg.survivalEnabled) survival.attach(bot)
+      else survival.detach()
+    }
+    const reconnect = applied.some(k => RECONNECT_SETTINGS.includes(k))
+    if (reconnect) {
+      supervisor.retarget({ host: cfg.host, port: cfg.port, pinnedVersion: cfg.version, fallbackVersion: cfg.fallbackVersion })
+      clearTimeout(reloadTimer)
+      reloadTimer = setTimeout(() => supervisor.reconnectNow().catch(e => console.error('[CONN] reconnect failed', e && e.message)), RELOAD_RECONNECT_MS)
+    }
+    if (changed.length) console.log('[CONFIG] Reloaded: ' + applied.join(', ') + (reconnect ? ', reconnecting' : '') + (restart.length ? '; needs a restart for ' + restart.join(', ') : ''))
+    return { changed: applied, reconnect, restart }
+  }
+
+  function describeReload(mine, result) {
+    if (mine.error) return 'Config not applied: ' + mine.error
+    let text = mine.changed.length ? 'Config reloaded, changed ' + mine.changed.join(', ') : 'Config reloaded, nothing changed for me'
+    if (mine.reconnect) text += '; reconnecting to apply it'
+    const restart = [...mine.restart, ...result.restart]
+    if (restart.length) text += '. Needs a restart: ' + restart.join(', ')
+    if (result.warnings.length) text += '. ' + result.warnings.join('. ')
+    return text
+  }
+
+  // "reload config": bot.js re-reads the file for the whole fleet and hands every bot its entry
+  function handleConfigCommand(username, message) {
+    if (!/\breload\s+(?:the\s+|your\s+)?config(?:uration)?\b/i.test(message)) return false
+    if (!permissions.isOwner(username)) { whisper(username, 'Only ' + ownerName + ' can reload my config.'); return true }
+    if (!shared.reloadConfig) { whisper(username, "I can't reload my config here."); return true }
+    const result = shared.reloadConfig(username)
+    if (result.error) { whisper(username, 'Config not reloaded: ' + result.error); return true }
+    const mine = result.bots.find(b => b.id === cfg.id) || { changed: [], reconnect: false, restart: [] }
+    whisper(username, describeReload(mine, result))
+    return true
+  }
+
+  // ---------- Instance surface used by bot.js ----------
+  function save() {
+    saveMemory(); permissions.save(); saveQueue()
+  }
+
+  return {
+    id: cfg.id,
+    cfg,
+    router: api,
+    start: () => supervisor.start(),
+    save,
+    quit: (reason) => {
+      clearTimeout(reloadTimer)
+      supervisor.stop(reason)
+    },
+    applyConfig,
+    status: getStatus,
+    // the name this account is known by in game, whether or not it is connected
+    username: () => (bot && bot.username) || cfg.username,
+    // the live mineflayer bot (or the harness's mock), null between connections
+    bot: () => bot,
+    // resolves once the task queue has nothing running or waiting (or the bot is gone)
+    idle: async () => {
+      while ((queueRunning || taskQueue.length > 0) && bot && bot.entity) await new Promise(r => setTimeout(r, 50))
+    }
+  }
+}
@@ -0,0 +1,89 @@
+// Chat line parsing driven by an ordered rule file (config/chat-formats.json).
+// Kept free of bot state so tools/replay-chat.js can run the same rules offline.
+import fs from 'fs'
+
+const CHANNELS = ['game', 'discord', 'whisper', 'team']
+
+// Compiles the rule file; throws with the rule name when a pattern is unusable
+export function loadChatRules(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const list = Array.isArray(parsed) ? parsed : parsed.rules
+  if (!Array.isArray(list)) throw new Error('chat rules file has no "rules" array: ' + file)
+  return list.map((r, i) => {
+    const name = r.name || 'rule' + (i + 1)
+    let regex
+    try {
+      regex = new RegExp(r.pattern, r.flags || '')
+    } catch (e) {
+      throw new Error('chat rule ' + name + ' has an invalid pattern: ' + e.message)
+    }
+    const channel = CHANNELS.includes(r.channel) ? r.channel : 'game'
+    return { name, regex, channel, event: r.event || null, ignore: !!r.ignore }
+  })
+}
+
+function matchRules(text, rules) {
+  for (const rule of rules) {
+    const m = text.match(rule.regex)
+    if (!m || !m.groups || !m.groups.username) continue
+    const g = m.groups
+    const username = g.username.trim()
+    const result = { username, message: (g.message || '').trim(), channel: rule.channel, rule: rule.name }
+    if (g.replyTo) result.replyTo = g.replyTo.trim()
+    if (g.rank) result.rank = g.rank.trim()
+    if (g.team) result.team = g.team.trim()
+    if (rule.event) {
+      result.event = rule.event
+      // handleChat has always seen join/leave lines as these two messages
+      result.message = rule.event === 'join' ? username + ' has joined' : rule.event === 'leave' ? username + ' left' : result.message
+    }
+    if (rule.ignore) result.ignored = true
+    return result
+  }
+  return null
+}
+
+// Servers sometimes forward the JSON text component instead of its plain form
+function flattenJsonText(raw) {
+  try {
+    const obj = JSON.parse(raw)
+    if (!obj || typeof obj !== 'object') return null
+    const textParts = []
+    for (const list of [obj.extra, obj.with]) {
+      if (!Array.isArray(list)) continue
+      for (const e of list) {
+        if (typeof e === 'string') textParts.push(e)
+        else if (e && typeof e.text === 'string') textParts.push(e.text)
+      }
+    }
+    return textParts.join(' ').trim() || null
+  } catch (e) { return null }
+}
+
+// Last resort: the line starts with the name of someone who is online
+function matchOnlinePlayer(text, players) {
+  for (const p of players) {
+    if (!p) continue
+    const esc = p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const hits = text.match(new RegExp('^' + esc + '[\\s:»,>\\-]+(.+)$', 'i'))
+    if (hits) return { username: p, message: hits[1].trim(), channel: 'game', rule: 'online-player' }
+  }
+  return null
+}
+
+// Returns { username, message, channel, rule, replyTo?, rank?, team?, event?, ignored? } or null
+export function parseChatLine(raw, rules, options = {}) {
+  if (!raw) return null
+  const text = String(raw).trim()
+  const direct = matchRules(text, rules)
+  if (direct) return direct
+
+  const flattened = flattenJsonText(text)
+  if (flattened) {
+    const fromJson = matchRules(flattened, rules)
+    if (fromJson) return { ...fromJson, rule: fromJson.rule + '(json)' }
+  }
+
+  if (Array.isArray(options.players) && options.players.length > 0) return matchOnlinePlayer(text, options.players)
+  return null
+}
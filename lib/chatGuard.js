@@ -0,0 +1,163 @@
+// Keeps the bot from spamming chat, or being used to. Everything the bot says goes through an outbox that sends
+// at most `burst` lines in any `windowSeconds`, drops public lines it said moments ago, and waits out cooldowns
+// the server announces. Lines starting with "/" are refused unless they are built with command() from the
+// allowlist. Incoming, players who keep hitting their rate limit are ignored for a while.
+
+// what the step handlers send: whispers, teleport requests and accepting them
+export const DEFAULT_COMMANDS = ['msg', 'tpa', 'tpaccept']
+
+// how long to hold off when the server says to slow down without saying for how long
+const DEFAULT_COOLDOWN_MS = 3000
+const MAX_COOLDOWN_MS = 60000
+
+// "You must wait 3 seconds before chatting again", "Please wait 1.5s", "You are sending messages too fast"
+const COOLDOWN_WAIT = /\b(?:wait|cooldown)\b[^0-9]{0,24}(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?)\b/i
+const COOLDOWN_NO_TIME = /\b(?:too fast|slow down|(?:don't|do not|stop) spam(?:ming)?|chat cooldown|you are muted for spam)/i
+
+// ms to wait when a server line is a chat cooldown, otherwise null
+export function parseCooldown(text) {
+  const m = String(text).match(COOLDOWN_WAIT)
+  if (m && /\b(?:chat|message|again|before|talk|send)/i.test(text)) {
+    const n = parseFloat(m[1])
+    return Math.min(MAX_COOLDOWN_MS, Math.ceil(/^m/i.test(m[2]) ? n : n * 1000))
+  }
+  return COOLDOWN_NO_TIME.test(text) ? DEFAULT_COOLDOWN_MS : null
+}
+
+// send(line) hands one line to the server. settings is read on every use, so a config reload applies at once:
+// { burst, windowSeconds, dedupSeconds, maxQueue, commands (added to DEFAULT_COMMANDS) }.
+// say() and command() return { queued: true } or { dropped: reason }.
+export function createChatOutbox({ send, settings = {}, onDrop = () => {}, log = console }) {
+  const queue = []
+  const sentAt = []
+  const recent = new Map()
+  let pausedUntil = 0
+  let timer = null
+  const counts = { sent: 0, dropped: 0, refused: 0 }
+
+  const burst = () => settings.burst || 4
+  const windowMs = () => (settings.windowSeconds || 4) * 1000
+  const dedupMs = () => (settings.dedupSeconds != null ? settings.dedupSeconds : 30) * 1000
+  const maxQueue = () => settings.maxQueue || 20
+
+  function allowedCommands() {
+    return [...DEFAULT_COMMANDS, ...(settings.commands || [])].map(c => String(c).toLowerCase().replace(/^\//, ''))
+  }
+
+  function drop(reason, line) {
+    counts[reason === 'command' ? 'refused' : 'dropped']++
+    log.warn('[CHAT-OUT] dropped (' + reason + '): ' + line)
+    onDrop(reason)
+    return { dropped: reason }
+  }
+
+  function pump() {
+    clearTimeout(timer)
+    timer = null
+    while (queue.length) {
+      const now = Date.now()
+      while (sentAt.length && now - sentAt[0] >= windowMs()) sentAt.shift()
+      const wait = now < pausedUntil ? pausedUntil - now : sentAt.length >= burst() ? windowMs() - (now - sentAt[0]) : 0
+      if (wait > 0) {
+        timer = setTimeout(pump, wait)
+        return
+      }
+      const line = queue.shift()
+      sentAt.push(now)
+      counts.sent++
+      try { send(line) } catch (e) { log.error('[CHAT-OUT] send failed', e && e.message) }
+    }
+  }
+
+  function enqueue(line) {
+    const now = Date.now()
+    for (const [text, at] of recent) if (now - at > dedupMs()) recent.delete(text)
+    // whispers go to one player, so only public lines count as repeats
+    if (!line.startsWith('/')) {
+      if (recent.has(line) || queue.includes(line)) return drop('repeat', line)
+      recent.set(line, now)
+    }
+    if (queue.length >= maxQueue()) return drop('queue full', line)
+    queue.push(line)
+    if (!timer) pump()
+    return { queued: true }
+  }
+
+  return {
+    // plain chat; anything that would run as a command is refused
+    say(text) {
+      const line = String(text).replace(/[\r\n]+/g, ' ').trim()
+      if (!line) return { dropped: 'empty' }
+      if (line.startsWith('/')) return drop('command', line)
+      return enqueue(line)
+    },
+    // "/name args" for allowlisted names only; args may not start another line
+    command(name, args = '') {
+      const cmd = String(name).toLowerCase().replace(/^\//, '')
+      const line = ('/' + cmd + ' ' + String(args).replace(/[\r\n]+/g, ' ')).trim()
+      if (!/^[a-z0-9_:-]+$/.test(cmd) || !allowedCommands().includes(cmd)) return drop('command', line)
+      return enqueue(line)
+    },
+    // a server cooldown message: nothing more is sent for ms
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms)
+      log.log('[CHAT-OUT] server cooldown, holding chat for ' + Math.round(ms / 100) / 10 + 's')
+      if (queue.length) {
+        clearTimeout(timer)
+        timer = setTimeout(pump, pausedUntil - Date.now())
+      }
+    },
+    // lines queued for a connection that is gone are not sent on the next one
+    clear() {
+      clearTimeout(timer)
+      timer = null
+      queue.length = 0
+    },
+    allowedCommands,
+    status: () => ({ queued: queue.length, ...counts, pausedUntil: pausedUntil > Date.now() ? pausedUntil : null })
+  }
+}
+
+// Players who keep sending lines after their rate limit refused them: more than settings.floodLines refusals in
+// settings.floodSeconds and they are ignored for settings.floodIgnoreMinutes. Nothing is written to roles.json;
+// it wears off by itself, or with unmute().
+export function createFloodGuard({ settings = {}, log = console }) {
+  const players = new Map()
+
+  const floodLines = () => settings.floodLines || 5
+  const floodMs = () => (settings.floodSeconds || 30) * 1000
+  const ignoreMs = () => (settings.floodIgnoreMinutes || 5) * 60000
+
+  function entry(name) {
+    const key = String(name).toLowerCase()
+    if (!players.has(key)) players.set(key, { name, strikes: [], mutedUntil: 0 })
+    return players.get(key)
+  }
+
+  return {
+    isMuted(name) {
+      const p = players.get(String(name).toLowerCase())
+      return !!p && p.mutedUntil > Date.now()
+    },
+    // a line refused by the rate limit; true when that makes the player a flooder
+    strike(name) {
+      const p = entry(name)
+      const now = Date.now()
+      p.strikes = p.strikes.filter(t => now - t < floodMs())
+      p.strikes.push(now)
+      if (p.strikes.length <= floodLines()) return false
+      p.strikes = []
+      p.mutedUntil = now + ignoreMs()
+      log.warn('[FLOOD] ignoring ' + name + ' for ' + Math.round(ignoreMs() / 60000) + ' minutes')
+      return true
+    },
+    unmute(name) {
+      const p = players.get(String(name).toLowerCase())
+      if (!p || p.mutedUntil <= Date.now()) return false
+      p.mutedUntil = 0
+      return true
+    },
+    minutes: () => Math.round(ignoreMs() / 60000),
+    muted: () => [...players.values()].filter(p => p.mutedUntil > Date.now()).map(p => ({ name: p.name, until: p.mutedUntil }))
+  }
+}
@@ -0,0 +1,189 @@
+// What config/bots.json may contain, and the environment variables that override it. Each setting is
+// [type, env var or null, extra]; extra.values lists enum choices, extra.min/max bound numbers, and extra.perBot
+// marks settings that name one account, which the environment only overrides when there is a single bot.
+
+export const BOT_SETTINGS = {
+  // server
+  host: ['string', 'BOT_HOST'],
+  port: ['port', 'BOT_PORT'],
+  auth: ['enum', 'BOT_AUTH', { values: ['offline', 'microsoft'] }],
+  version: ['version', 'MC_VERSION'],
+  fallbackVersion: ['version', 'FALLBACK_MC_VERSION'],
+  // identity and the names it answers to
+  id: ['id', 'BOT_ID', { perBot: true }],
+  username: ['string', 'BOT_USERNAME', { perBot: true }],
+  password: ['secret', 'BOT_PASSWORD', { perBot: true }],
+  owner: ['string', 'OWNER_NAME'],
+  names: ['list', 'BOT_NAMES'],
+  groupNames: ['list', 'BOT_GROUP_NAMES'],
+  // permissions; roles.json stays the record of who has which role, these only seed it
+  defaultRole: ['string', 'DEFAULT_ROLE'],
+  admins: ['list', 'ADMIN_PLAYERS'],
+  trusted: ['list', 'TRUSTED_PLAYERS'],
+  // replies
+  replyBackend: ['enum', 'REPLY_BACKEND', { values: ['rules', 'openai', 'ollama'] }],
+  llmUrl: ['string', 'LLM_URL'],
+  llmModel: ['string', 'LLM_MODEL'],
+  llmApiKey: ['secret', 'LLM_API_KEY'],
+  llmTimeoutMs: ['int', 'LLM_TIMEOUT_MS', { min: 500 }],
+  llmHistory: ['int', 'LLM_HISTORY', { min: 0 }],
+  llmRateLimit: ['int', 'LLM_RATE_LIMIT', { min: 1 }],
+  personality: ['string', 'LLM_PERSONALITY'],
+  personalityFile: ['path', 'LLM_PERSONALITY_FILE'],
+  planConfirm: ['enum', 'PLAN_CONFIRM', { values: ['multi', 'always', 'never'] }],
+  discordReplyFormat: ['string', 'DISCORD_REPLY_FORMAT'],
+  discordWebhookUrl: ['secret', 'DISCORD_WEBHOOK_URL'],
+  memoryThreadSize: ['int', 'MEMORY_THREAD_SIZE', { min: 1 }],
+  memoryRetentionDays: ['int', 'MEMORY_RETENTION_DAYS', { min: 0 }],
+  memoryMaxFacts: ['int', 'MEMORY_MAX_FACTS', { min: 0 }],
+  // feature toggles
+  viewer: ['bool', 'VIEWER_ENABLED'],
+  viewerHost: ['string', 'VIEWER_HOST'],
+  viewerPort: ['port', 'VIEWER_PORT', { perBot: true }],
+  viewerFirstPerson: ['bool', 'VIEWER_FIRST_PERSON'],
+  survival: ['bool', 'SURVIVAL_ENABLED'],
+  autoEat: ['bool', 'AUTO_EAT'],
+  // tuning
+  mineSearchRadius: ['int', 'MINE_SEARCH_RADIUS', { min: 1, max: 128 }],
+  guardRadius: ['int', 'GUARD_RADIUS', { min: 1, max: 64 }],
+  guardRetreatHealth: ['int', 'GUARD_RETREAT_HEALTH', { min: 0, max: 20 }],
+  survivalCriticalHealth: ['int', 'SURVIVAL_CRITICAL_HEALTH', { min: 1, max: 20 }],
+  survivalReconnectHealth: ['int', 'SURVIVAL_RECONNECT_HEALTH', { min: 0, max: 20 }],
+  survivalCreeperRadius: ['int', 'SURVIVAL_CREEPER_RADIUS', { min: 1, max: 32 }],
+  survivalBedRadius: ['int', 'SURVIVAL_BED_RADIUS', { min: 1, max: 64 }],
+  farmRadius: ['int', 'FARM_RADIUS', { min: 2, max: 32 }],
+  farmIntervalSeconds: ['int', 'FARM_INTERVAL_SECONDS', { min: 5 }],
+  farmDepositMinutes: ['int', 'FARM_DEPOSIT_MINUTES', { min: 1 }],
+  farmKeepSeeds: ['int', 'FARM_KEEP_SEEDS', { min: 0 }],
+  movementProfile: ['string', 'MOVEMENT_PROFILE'],
+  movementProfiles: ['object', null],
+  baseWaypoints: ['list', 'BASE_WAYPOINTS'],
+  baseRadius: ['int', 'BASE_RADIUS', { min: 0 }],
+  followDistance: ['int', 'FOLLOW_DISTANCE', { min: 1, max: 16 }],
+  followSeconds: ['int', 'FOLLOW_SECONDS', { min: 0 }],
+  stuckSeconds: ['int', 'STUCK_SECONDS', { min: 3 }],
+  // chat limits: lines per window, how long a public line counts as a repeat, extra commands the bot may send,
+  // and how many refused lines make a player a flooder
+  chatBurst: ['int', 'CHAT_BURST', { min: 1, max: 20 }],
+  chatWindowSeconds: ['int', 'CHAT_WINDOW_SECONDS', { min: 1 }],
+  chatDedupSeconds: ['int', 'CHAT_DEDUP_SECONDS', { min: 0 }],
+  chatCommands: ['list', 'CHAT_COMMANDS'],
+  floodLines: ['int', 'FLOOD_LINES', { min: 1 }],
+  floodSeconds: ['int', 'FLOOD_SECONDS', { min: 1 }],
+  floodIgnoreMinutes: ['int', 'FLOOD_IGNORE_MINUTES', { min: 1 }],
+  tpaCooldownSeconds: ['int', 'TPA_COOLDOWN_SECONDS', { min: 0 }],
+  // file locations; everything a bot keeps lives in dataDir unless named here
+  dataDir: ['path', 'BOT_DATA_DIR', { perBot: true }],
+  chatFormatsFile: ['path', 'CHAT_FORMATS_FILE'],
+  structuresDir: ['path', 'STRUCTURES_DIR'],
+  memoryFile: ['path', 'MEMORY_FILE', { perBot: true }],
+  conversationsFile: ['path', 'CONVERSATIONS_FILE', { perBot: true }],
+  survivalFile: ['path', 'SURVIVAL_FILE', { perBot: true }],
+  schedulesFile: ['path', 'SCHEDULES_FILE', { perBot: true }],
+  farmFile: ['path', 'FARM_FILE', { perBot: true }],
+  queueFile: ['path', 'QUEUE_FILE', { perBot: true }],
+  waypointsFile: ['path', 'WAYPOINTS_FILE', { perBot: true }],
+  rolesFile: ['path', 'ROLES_FILE', { perBot: true }],
+  rolesAuditFile: ['path', 'ROLES_AUDIT_FILE', { perBot: true }],
+  trustedFile: ['path', 'TRUSTED_FILE', { perBot: true }],
+  ignoredFile: ['path', 'IGNORED_FILE', { perBot: true }]
+}
+
+// the process: web server, API token, logs, and where bots keep their data by default
+export const SERVER_SETTINGS = {
+  port: ['port', 'PORT'],
+  apiToken: ['secret', 'API_TOKEN'],
+  dataRoot: ['path', 'DATA_DIR'],
+  logFile: ['path', 'BOT_LOG_FILE'],
+  eventsFile: ['path', 'BOT_EVENTS_FILE'],
+  logMaxBytes: ['int', 'LOG_MAX_BYTES', { min: 1024 }],
+  logKeep: ['int', 'LOG_KEEP', { min: 1 }]
+}
+
+const TOP_LEVEL = ['server', 'groupNames', 'defaults', 'bots']
+
+// null when value fits the type, otherwise what is wrong with it
+function checkValue(type, value, extra = {}) {
+  switch (type) {
+    case 'string':
+    case 'secret':
+    case 'path':
+      return typeof value === 'string' ? null : 'must be a string'
+    case 'id':
+      return typeof value === 'string' && /^[a-z0-9_-]+$/i.test(value) ? null : 'may only use letters, digits, _ and -'
+    case 'version':
+      return value === false || (typeof value === 'string' && value.trim() !== '') ? null : 'must be a version like 1.20.4, or false to detect it'
+    case 'bool':
+      return typeof value === 'boolean' ? null : 'must be true or false'
+    case 'list':
+      return (Array.isArray(value) && value.every(v => typeof v === 'string')) || typeof value === 'string' ? null : 'must be a list of names'
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object'
+    case 'enum':
+      return extra.values.includes(value) ? null : 'must be one of ' + extra.values.join(', ')
+    case 'port':
+      return Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be a port number'
+    case 'int':
+      if (!Number.isInteger(value)) return 'must be a whole number'
+      if (extra.min != null && value < extra.min) return 'must be at least ' + extra.min
+      if (extra.max != null && value > extra.max) return 'must be at most ' + extra.max
+      return null
+    default:
+      return 'has an unknown type'
+  }
+}
+
+function checkSettings(settings, entry, where, errors) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(where + ' must be an object')
+    return
+  }
+  for (const [key, value] of Object.entries(entry)) {
+    const spec = settings[key]
+    if (!spec) { errors.push(where + '.' + key + ' is not a known setting'); continue }
+    if (value === null || value === undefined) continue
+    const problem = checkValue(spec[0], value, spec[2])
+    if (problem) errors.push(where + '.' + key + ' ' + problem)
+  }
+}
+
+// Every problem in a parsed config file, as "bots[1].port must be a port number"; empty when it is valid
+export function validateConfig(config) {
+  const errors = []
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['the file must hold a JSON object']
+  for (const key of Object.keys(config)) if (!TOP_LEVEL.includes(key)) errors.push(key + ' is not a known setting (expected ' + TOP_LEVEL.join(', ') + ')')
+  if (config.server !== undefined) checkSettings(SERVER_SETTINGS, config.server, 'server', errors)
+  if (config.groupNames !== undefined && checkValue('list', config.groupNames)) errors.push('groupNames must be a list of names')
+  if (config.defaults !== undefined) checkSettings(BOT_SETTINGS, config.defaults, 'defaults', errors)
+  if (!Array.isArray(config.bots) || config.bots.length === 0) errors.push('bots must be a non-empty list')
+  else config.bots.forEach((b, i) => checkSettings(BOT_SETTINGS, b, 'bots[' + i + ']', errors))
+  return errors
+}
+
+// an environment string as the setting's type; throws with the variable's name when it does not fit
+function fromEnv(name, spec, raw) {
+  const [type, , extra] = spec
+  let value = raw
+  if (type === 'bool') value = /^(?:true|1|yes|on)$/i.test(raw) ? true : /^(?:false|0|no|off)$/i.test(raw) ? false : raw
+  else if (type === 'int' || type === 'port') value = /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw
+  else if (type === 'version') value = /^(?:false|auto)?$/i.test(raw.trim()) ? false : raw.trim()
+  else if (type === 'enum') value = raw.toLowerCase()
+  const problem = checkValue(type, value, extra)
+  if (problem) throw new Error(name + ' ' + problem)
+  return value
+}
+
+// The settings the environment sets: { server, bot, perBot }, perBot holding the ones that only apply when
+// there is a single bot. Empty variables count as unset.
+export function envOverrides(env) {
+  const result = { server: {}, bot: {}, perBot: {} }
+  for (const [key, spec] of Object.entries(SERVER_SETTINGS)) {
+    if (spec[1] && env[spec[1]]) result.server[key] = fromEnv(spec[1], spec, env[spec[1]])
+  }
+  for (const [key, spec] of Object.entries(BOT_SETTINGS)) {
+    if (!spec[1] || !env[spec[1]]) continue
+    const target = spec[2] && spec[2].perBot ? result.perBot : result.bot
+    target[key] = fromEnv(spec[1], spec, env[spec[1]])
+  }
+  return result
+}
@@ -0,0 +1,224 @@
+// Keeps exactly one connection per bot alive. Every disconnect (error, kick or end) ends up in one place,
+// which tears the old bot down, decides whether to retry from the kick reason, and schedules a single
+// reconnect with exponential backoff and jitter. The server is pinged first so the protocol version
+// comes from the server itself; the configured versions are only used when that fails.
+import minecraftData from 'minecraft-data'
+import mc from 'minecraft-protocol'
+
+const HISTORY_SIZE = 20
+const PROTOCOL_ERROR = /PartialReadError|Unexpected buffer end|Read error/
+
+// Kick messages arrive as JSON chat components; reduce them to plain text
+export function kickText(reason) {
+  if (reason == null) return ''
+  let value = reason
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value) } catch (e) { return value }
+  }
+  const flatten = (c) => {
+    if (c == null) return ''
+    if (typeof c === 'string') return c
+    if (Array.isArray(c)) return c.map(flatten).join('')
+    let out = typeof c.text === 'string' ? c.text : (typeof c.translate === 'string' ? c.translate : '')
+    if (Array.isArray(c.with)) out += ' ' + c.with.map(flatten).join(' ')
+    if (Array.isArray(c.extra)) out += c.extra.map(flatten).join('')
+    return out
+  }
+  return flatten(value).trim()
+}
+
+// retry: false means reconnecting cannot help until someone changes something on the server
+const KICK_KINDS = [
+  { kind: 'banned', test: /\bbanned\b|banned from this server|multiplayer\.disconnect\.banned/i, retry: false },
+  { kind: 'whitelist', test: /white-?listed|whitelist|multiplayer\.disconnect\.not_whitelisted/i, retry: false },
+  { kind: 'throttled', test: /throttl|too fast|wait before reconnecting|too many connections|too many login/i, retry: true, minDelayMs: 60000 },
+  { kind: 'duplicate-login', test: /logged in from another location|duplicate_login|already (?:logged in|connected)/i, retry: true, minDelayMs: 120000 },
+  { kind: 'server-restart', test: /server (?:closed|is restarting|restart)|shutting down|multiplayer\.disconnect\.server_shutdown/i, retry: true, minDelayMs: 15000 },
+  { kind: 'outdated', test: /outdated (?:client|server)|multiplayer\.disconnect\.outdated/i, retry: true }
+]
+
+export function classifyKick(reason) {
+  const text = kickText(reason)
+  const match = KICK_KINDS.find(k => k.test.test(text))
+  if (!match) return { kind: 'other', retry: true, minDelayMs: 0, text }
+  return { kind: match.kind, retry: match.retry, minDelayMs: match.minDelayMs || 0, text }
+}
+
+// attempt 1 waits about baseMs; jitter spreads a fleet's reconnects so they don't hit the server together
+export function backoffDelay(attempt, { baseMs = 5000, maxMs = 300000, jitter = 0.3 } = {}, random = Math.random) {
+  const exp = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)))
+  const spread = exp * jitter
+  return Math.round(Math.max(1000, exp - spread + random() * spread * 2))
+}
+
+// The server's protocol number is more reliable than its version string ("Paper 1.20.4", "1.8.x-1.21.x")
+export function versionFromPing(response) {
+  const info = response && response.version
+  if (!info) return null
+  const byProtocol = minecraftData.postNettyVersionsByProtocolVersion.pc[info.protocol]
+  if (byProtocol && byProtocol.length) return byProtocol[0].minecraftVersion
+  const named = String(info.name || '').match(/\d+\.\d+(?:\.\d+)?/)
+  if (named && minecraftData(named[0])) return named[0]
+  return null
+}
+
+export async function detectServerVersion(host, port, timeoutMs = 5000) {
+  const response = await mc.ping({ host, port, closeTimeout: timeoutMs, noPongTimeout: timeoutMs })
+  return { version: versionFromPing(response), protocol: response && response.version ? response.version.protocol : null, name: response && response.version ? response.version.name : null }
+}
+
+// connect(version) must return a fresh mineflayer bot; teardown(bot) closes whatever the caller attached
+// to it (viewer, intervals). The supervisor owns the reconnect decision, so callers never reconnect themselves.
+// onRecord(entry) sees every history entry as it is added (metrics, the event log).
+export function createConnectionSupervisor({ host, port, pinnedVersion = false, fallbackVersion = null, connect, teardown = () => {}, onRecord = () => {}, log = console, baseDelayMs = 5000, maxDelayMs = 300000, stableAfterMs = 60000, ping = detectServerVersion }) {
+  let current = null
+  let generation = 0
+  let attempt = 0
+  let state = 'idle'
+  let timer = null
+  let nextRetryAt = null
+  let connectedAt = null
+  let useFallback = false
+  let versionInUse = null
+  let versionSource = null
+  let lastKick = null
+  const history = []
+
+  function record(entry) {
+    history.push({ at: Date.now(), ...entry })
+    while (history.length > HISTORY_SIZE) history.shift()
+    try { onRecord(entry) } catch (e) { log.warn('[CONN] onRecord failed', e && e.message) }
+  }
+
+  function closeCurrent(reason) {
+    const old = current
+    current = null
+    if (!old) return
+    try { teardown(old) } catch (e) { log.warn('[CONN] teardown failed', e && e.message) }
+    old.removeAllListeners()
+    // a dead bot may still emit errors from its socket; without a listener those would crash the process
+    old.on('error', () => {})
+    try { old.quit(reason) } catch (e) { try { old.end(reason) } catch (e2) { /* already closed */ } }
+  }
+
+  async function chooseVersion(gen) {
+    if (useFallback && fallbackVersion) return { version: fallbackVersion, source: 'FALLBACK_MC_VERSION' }
+    try {
+      const detected = await ping(host, port)
+      if (gen !== generation) return null
+      if (detected.version) {
+        if (pinnedVersion && pinnedVersion !== detected.version) log.warn('[CONN] server reports ' + detected.version + ' (' + detected.name + '), ignoring MC_VERSION=' + pinnedVersion)
+        return { version: detected.version, source: 'ping' }
+      }
+      log.warn('[CONN] ping gave an unknown version ' + JSON.stringify(detected))
+    } catch (e) {
+      if (gen !== generation) return null
+      log.warn('[CONN] ping failed: ' + (e && e.message))
+    }
+    return pinnedVersion ? { version: pinnedVersion, source: 'MC_VERSION' } : { version: false, source: 'auto' }
+  }
+
+  async function connectOnce() {
+    clearTimeout(timer)
+    timer = null
+    nextRetryAt = null
+    closeCurrent('reconnecting')
+    const gen = ++generation
+    attempt++
+    state = 'connecting'
+    lastKick = null
+    const chosen = await chooseVersion(gen)
+    if (!chosen || gen !== generation || state === 'stopped') return
+    versionInUse = chosen.version || null
+    versionSource = chosen.source
+    log.log('[CONN] connecting attempt ' + attempt + ' to ' + host + ':' + port + ' version=' + (chosen.version || 'auto') + ' (' + chosen.source + ')')
+    record({ event: 'connecting', attempt, version: chosen.version || 'auto', source: chosen.source })
+
+    let b
+    try {
+      b = connect(chosen.version)
+    } catch (e) {
+      closed(gen, { error: e && e.message })
+      return
+    }
+    current = b
+    let lastError = null
+    b.once('spawn', () => {
+      if (gen !== generation) return
+      state = 'connected'
+      connectedAt = Date.now()
+      useFallback = false
+      versionInUse = b.version || versionInUse
+      record({ event: 'connected', version: b.version })
+    })
+    b.on('kicked', (reason) => { if (gen === generation) lastKick = reason })
+    b.on('error', (err) => {
+      if (gen !== generation) return
+      lastError = err && err.message
+      // before spawn an error means the login failed; don't wait forever for an 'end' that may not come
+      setTimeout(() => { if (state === 'connecting') closed(gen, { error: lastError }) }, 5000)
+    })
+    b.once('end', (reason) => closed(gen, { error: lastError, end: reason }))
+  }
+
+  function closed(gen, { error = null, end = null }) {
+    if (gen !== generation || state === 'stopped' || state === 'waiting') return
+    const uptime = connectedAt ? Date.now() - connectedAt : 0
+    connectedAt = null
+    // a connection that held for a while counts as recovered, so the next failure starts the backoff over
+    if (uptime >= stableAfterMs) attempt = 1
+    closeCurrent('disconnected')
+
+    const kick = lastKick != null ? classifyKick(lastKick) : null
+    if (error && PROTOCOL_ERROR.test(error) && fallbackVersion && !useFallback) {
+      useFallback = true
+      log.warn('[CONN] protocol error, next attempt uses FALLBACK_MC_VERSION=' + fallbackVersion)
+    }
+    const reason = kick ? kick.text : (error || end || 'connection closed')
+    if (kick && !kick.retry) {
+      state = 'stopped'
+      record({ event: 'gave-up', kind: kick.kind, reason })
+      log.error('[CONN] kicked (' + kick.kind + '): ' + reason + '; not reconnecting until asked to')
+      return
+    }
+    const delay = Math.max(backoffDelay(attempt, { baseMs: baseDelayMs, maxMs: maxDelayMs }), kick ? kick.minDelayMs : 0)
+    state = 'waiting'
+    nextRetryAt = Date.now() + delay
+    record({ event: 'disconnected', kind: kick ? kick.kind : (error ? 'error' : 'end'), reason, uptimeMs: uptime, retryInMs: delay })
+    log.log('[CONN] disconnected (' + (kick ? 'kicked, ' + kick.kind : (error ? 'error' : 'end')) + '): ' + reason + '; reconnecting in ' + Math.round(delay / 1000) + 's')
+    timer = setTimeout(() => connectOnce().catch(e => log.error('[CONN] connect failed', e && e.message)), delay)
+  }
+
+  return {
+    start: () => connectOnce(),
+    // manual reconnect, also the way out of a ban or whitelist stop
+    reconnectNow: () => {
+      attempt = 0
+      state = 'idle'
+      record({ event: 'manual-reconnect' })
+      return connectOnce()
+    },
+    stop: (reason) => {
+      state = 'stopped'
+      clearTimeout(timer)
+      timer = null
+      generation++
+      closeCurrent(reason)
+    },
+    current: () => current,
+    // new server settings from a config reload; they are used from the next connection attempt
+    retarget: (next) => {
+      ({ host, port, pinnedVersion = false, fallbackVersion = null } = next)
+      useFallback = false
+    },
+    status: () => ({
+      state,
+      attempt,
+      version: versionInUse,
+      versionSource,
+      connectedSince: connectedAt,
+      nextRetryAt,
+      history: [...history]
+    })
+  }
+}
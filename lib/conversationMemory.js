@@ -0,0 +1,253 @@
+// Per-player conversation memory. Recent messages live in one thread per player (memory.json); once a thread
+// grows past threadSize its older half is summarized and appended to an archive (JSON lines), which is what
+// "what did X say about Y" searches besides the live threads. Facts are long-term notes about a player
+// ("TryChloroform's base is at 100 64 -200") kept until they are replaced or forgotten.
+import fs from 'fs'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const STOPWORDS = new Set(('a an and are as at be but by can could did do does for from get got had has have he her him his how i if ' +
+  'in is it its just me my no not of ok on or our she so some that the their them then there they this to too u up us was we ' +
+  'were what when where which who why will with would yes you your im dont thats lol yeah').split(' '))
+
+function words(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9_\s]/g, ' ').split(/\s+/).filter(w => w.length > 2 && !STOPWORDS.has(w))
+}
+
+// "diamonds" should find "diamond" and the other way round
+function stem(word) {
+  return word.replace(/(?:es|s)$/, '')
+}
+
+export function mentions(text, topic) {
+  const wanted = words(topic).map(stem)
+  if (wanted.length === 0) return false
+  const have = new Set(words(text).map(stem))
+  return wanted.every(w => have.has(w))
+}
+
+function topicsOf(messages, ignore, limit = 5) {
+  const counts = new Map()
+  for (const m of messages) for (const w of words(m.content)) if (!ignore.includes(w)) counts.set(w, (counts.get(w) || 0) + 1)
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([w]) => w)
+}
+
+// Extractive summary, so no reply backend is needed to archive a thread. ignore: the bot's own names.
+export function summarizeMessages(player, messages, ignore = []) {
+  const said = messages.filter(m => m.role === 'user')
+  const topics = topicsOf(said, ignore)
+  const longest = [...said].sort((a, b) => b.content.length - a.content.length)[0]
+  let text = player + ' sent ' + said.length + ' messages'
+  if (topics.length) text += ' about ' + topics.join(', ')
+  if (longest) text += '; e.g. "' + (longest.content.length > 80 ? longest.content.slice(0, 77) + '...' : longest.content) + '"'
+  return { topics, text }
+}
+
+// Facts a player states about themselves. Returns { key, text } or null; key lets a newer fact replace an older one.
+export function extractFact(player, message) {
+  const m = String(message).trim().replace(/[.!]+$/, '')
+  if (!m || /\?$/.test(m) || /^(?:what|where|who|why|how|when|is|are|do|does|can)\b/i.test(m)) return null
+  let match = m.match(/^(?:please\s+)?remember\s+(?:that\s+)?(.+)$/i)
+  const explicit = !!match
+  const body = explicit ? match[1] : m
+  if ((match = body.match(/\bmy\s+([a-z][a-z ]{0,24}?)\s+(is|are)\s+(.+)$/i))) {
+    return { key: match[1].toLowerCase(), text: player + "'s " + match[1].toLowerCase() + ' ' + match[2].toLowerCase() + ' ' + match[3] }
+  }
+  if ((match = body.match(/\b(?:call me|my name is)\s+([A-Za-z0-9_]{2,16})$/i))) return { key: 'name', text: player + ' likes to be called ' + match[1] }
+  if ((match = body.match(/\bi\s+(?:really\s+)?(like|love|hate|prefer|enjoy|dislike)\s+(.+)$/i))) {
+    return { key: match[1].toLowerCase() + ' ' + stem(words(match[2]).join(' ')), text: player + ' ' + match[1].toLowerCase() + 's ' + match[2] }
+  }
+  if (explicit) return { key: null, text: body.replace(/^\bi\b/i, player).replace(/\bi'm\b/ig, player + ' is') }
+  return null
+}
+
+// Turns the flat array the bot used to keep ({ role, content: "name: message" }) into threads. Most of its
+// entries have no timestamp; those count as said at the migration, so the retention limit doesn't drop them all.
+function migrateLegacy(entries, now) {
+  const threads = {}
+  let lastPlayer = null
+  let lastAt = 0
+  for (const e of entries) {
+    if (!e || typeof e.content !== 'string') continue
+    // old bot replies had no timestamp; they happened right after the line they answered
+    const at = lastAt = e.timestamp || lastAt || now
+    if (e.role === 'user') {
+      const i = e.content.indexOf(': ')
+      if (i <= 0) continue
+      lastPlayer = e.content.slice(0, i)
+      ;(threads[lastPlayer] = threads[lastPlayer] || []).push({ role: 'user', content: e.content.slice(i + 2), channel: e.channel || 'game', at })
+    } else if (lastPlayer) {
+      threads[lastPlayer].push({ role: 'assistant', content: e.content, at })
+    }
+  }
+  return threads
+}
+
+// threadSize: recent messages kept per player; retentionDays: messages and archive lines older than this are
+// dropped (0 keeps them forever); maxFacts: facts per player, oldest go first
+export function createConversationMemory({ file, archiveFile, threadSize = 20, retentionDays = 90, maxFacts = 20, ignoreWords = [], log = console }) {
+  let threads = {}
+  let facts = {}
+
+  function expired(at) {
+    return retentionDays > 0 && at < Date.now() - retentionDays * DAY_MS
+  }
+
+  function load() {
+    try {
+      const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+      if (Array.isArray(saved)) {
+        threads = migrateLegacy(saved, Date.now())
+        log.log('[MEMORY] Migrated ' + saved.length + ' entries into ' + Object.keys(threads).length + ' player threads')
+      } else if (saved) {
+        threads = saved.threads || {}
+        facts = saved.facts || {}
+      }
+    } catch (e) { log.error('[MEMORY] Load failed', e.message) }
+    for (const player of Object.keys(threads)) {
+      threads[player] = threads[player].filter(m => !expired(m.at))
+      if (threads[player].length === 0) delete threads[player]
+      else if (threads[player].length > threadSize && archiveFile) archive(player, threads[player].splice(0, threads[player].length - threadSize))
+    }
+    compactArchive()
+    log.log('[MEMORY] Loaded ' + Object.keys(threads).length + ' threads, ' + Object.values(facts).reduce((n, f) => n + f.length, 0) + ' facts')
+  }
+
+  function save() {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ version: 2, threads, facts }, null, 2))
+      log.log('[MEMORY] Saved ' + Object.keys(threads).length + ' threads')
+    } catch (e) { log.error('[MEMORY] Save failed', e.message) }
+  }
+
+  // ---------- Archive ----------
+  function readArchive() {
+    if (!archiveFile || !fs.existsSync(archiveFile)) return []
+    const out = []
+    for (const line of fs.readFileSync(archiveFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue
+      try { out.push(JSON.parse(line)) } catch (e) { /* a torn last line after a crash */ }
+    }
+    return out
+  }
+
+  // rewrites the archive only when retention actually removes something
+  function compactArchive() {
+    if (retentionDays <= 0) return
+    const records = readArchive()
+    const kept = records.filter(r => !expired(r.to))
+    if (kept.length === records.length) return
+    try {
+      fs.writeFileSync(archiveFile, kept.map(r => JSON.stringify(r)).join('\n') + (kept.length ? '\n' : ''))
+      log.log('[MEMORY] Dropped ' + (records.length - kept.length) + ' archived summaries past ' + retentionDays + ' days')
+    } catch (e) { log.error('[MEMORY] Archive compaction failed', e.message) }
+  }
+
+  function archive(player, messages) {
+    const summary = summarizeMessages(player, messages, ignoreWords)
+    const record = { player, from: messages[0].at, to: messages[messages.length - 1].at, count: messages.length, topics: summary.topics, summary: summary.text, messages }
+    try {
+      fs.appendFileSync(archiveFile, JSON.stringify(record) + '\n')
+      log.log('[MEMORY] Archived ' + messages.length + ' messages from ' + player + ': ' + summary.text)
+    } catch (e) { log.error('[MEMORY] Archive append failed', e.message) }
+  }
+
+  // ---------- Threads ----------
+  function record(player, role, content, { channel = 'game' } = {}) {
+    const thread = threads[player] = threads[player] || []
+    thread.push(role === 'user' ? { role, content, channel, at: Date.now() } : { role, content, at: Date.now() })
+    if (thread.length > threadSize && archiveFile) {
+      const old = thread.splice(0, thread.length - Math.ceil(threadSize / 2))
+      archive(player, old)
+    } else if (thread.length > threadSize) {
+      thread.splice(0, thread.length - threadSize)
+    }
+  }
+
+  // the shape reply backends expect: user lines read "name: message"
+  function history(player, limit = threadSize) {
+    return (threads[player] || []).slice(-limit).map(m => ({ role: m.role, content: m.role === 'user' ? player + ': ' + m.content : m.content }))
+  }
+
+  function lastSeen(player) {
+    const said = (threads[player] || []).filter(m => m.role === 'user')
+    return said.length ? said[said.length - 1].at : null
+  }
+
+  // Everything player said mentioning topic, newest first. Whispers are private unless includeWhispers.
+  function search(player, topic, { includeWhispers = false, limit = 3 } = {}) {
+    const lower = String(player).toLowerCase()
+    const matches = []
+    const consider = (m) => {
+      if (m.role !== 'user' || (!includeWhispers && m.channel === 'whisper')) return
+      if (mentions(m.content, topic)) matches.push(m)
+    }
+    for (const [p, thread] of Object.entries(threads)) if (p.toLowerCase() === lower) thread.forEach(consider)
+    for (const r of readArchive()) if (String(r.player).toLowerCase() === lower) (r.messages || []).forEach(consider)
+    return matches.sort((a, b) => b.at - a.at).slice(0, limit)
+  }
+
+  // ---------- Facts ----------
+  function factsAbout(player) {
+    return facts[player] || []
+  }
+
+  // channel is where it was said; facts from whispers are only repeated to that player or a manager
+  function addFact(player, fact, source, channel = 'game') {
+    const list = facts[player] = facts[player] || []
+    const existing = fact.key ? list.findIndex(f => f.key === fact.key) : list.findIndex(f => f.text === fact.text)
+    if (existing >= 0) list.splice(existing, 1)
+    list.push({ key: fact.key, text: fact.text, at: Date.now(), source, channel })
+    while (list.length > maxFacts) list.shift()
+    log.log('[MEMORY] ' + (existing >= 0 ? 'Updated' : 'Learned') + ' fact about ' + player + ': ' + fact.text)
+    return list[list.length - 1]
+  }
+
+  function forgetFacts(player, topic) {
+    const list = facts[player] || []
+    const kept = list.filter(f => !mentions(f.text, topic))
+    facts[player] = kept
+    if (kept.length === 0) delete facts[player]
+    return list.length - kept.length
+  }
+
+  function findFact(player, topic) {
+    return [...factsAbout(player)].reverse().find(f => (f.key && mentions(f.key, topic)) || mentions(f.text, topic)) || null
+  }
+
+  function forgetPlayer(player) {
+    let had = !!(threads[player] || facts[player])
+    delete threads[player]
+    delete facts[player]
+    const records = readArchive()
+    const kept = records.filter(r => r.player !== player)
+    if (kept.length !== records.length) {
+      had = true
+      try { fs.writeFileSync(archiveFile, kept.map(r => JSON.stringify(r)).join('\n') + (kept.length ? '\n' : '')) } catch (e) { log.error('[MEMORY] Archive rewrite failed', e.message) }
+    }
+    return had
+  }
+
+  function summary() {
+    const players = new Set([...Object.keys(threads), ...Object.keys(facts)])
+    return {
+      retention: { threadSize, retentionDays, maxFacts },
+      players: [...players].sort().map(p => ({ player: p, messages: (threads[p] || []).length, facts: factsAbout(p).length, lastSeen: lastSeen(p) }))
+    }
+  }
+
+  load()
+  return {
+    save,
+    record,
+    history,
+    lastSeen,
+    search,
+    facts: factsAbout,
+    addFact,
+    findFact,
+    forgetFacts,
+    forgetPlayer,
+    summary,
+    thread: (player) => [...(threads[player] || [])]
+  }
+}
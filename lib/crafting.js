@@ -0,0 +1,219 @@
+// Recipe planning for "craft 4 torches" and "smelt 32 iron_ore". Crafting recipes come from minecraft-data;
+// it has no furnace recipes, so the common ones are listed here. Everything works on plain inventory counts
+// ({ name: count }), so plans can be worked out (and tested) without a bot.
+
+// at most this many recipe variants are tried per item, and this many items looked at per plan
+const MAX_ALTERNATIVES = 12
+const MAX_DEPTH = 6
+const MAX_NODES = 4000
+
+// input -> output; logs and wood are added by smeltingResult
+export const SMELTING = {
+  raw_iron: 'iron_ingot',
+  iron_ore: 'iron_ingot',
+  deepslate_iron_ore: 'iron_ingot',
+  raw_gold: 'gold_ingot',
+  gold_ore: 'gold_ingot',
+  deepslate_gold_ore: 'gold_ingot',
+  nether_gold_ore: 'gold_ingot',
+  raw_copper: 'copper_ingot',
+  copper_ore: 'copper_ingot',
+  deepslate_copper_ore: 'copper_ingot',
+  ancient_debris: 'netherite_scrap',
+  sand: 'glass',
+  red_sand: 'glass',
+  cobblestone: 'stone',
+  stone: 'smooth_stone',
+  cobbled_deepslate: 'deepslate',
+  sandstone: 'smooth_sandstone',
+  red_sandstone: 'smooth_red_sandstone',
+  quartz_block: 'smooth_quartz',
+  stone_bricks: 'cracked_stone_bricks',
+  clay_ball: 'brick',
+  clay: 'terracotta',
+  netherrack: 'nether_brick',
+  cactus: 'green_dye',
+  kelp: 'dried_kelp',
+  wet_sponge: 'sponge',
+  chorus_fruit: 'popped_chorus_fruit',
+  beef: 'cooked_beef',
+  porkchop: 'cooked_porkchop',
+  chicken: 'cooked_chicken',
+  mutton: 'cooked_mutton',
+  rabbit: 'cooked_rabbit',
+  cod: 'cooked_cod',
+  salmon: 'cooked_salmon',
+  potato: 'baked_potato'
+}
+
+// items smelted per fuel item, best first; logs and planks are last so they are not burnt when needed
+const FUELS = [['coal_block', 80], ['lava_bucket', 100], ['blaze_rod', 12], ['coal', 8], ['charcoal', 8], ['dried_kelp_block', 20]]
+const WOOD_FUEL = /^(?:\w+_)?(?:log|wood|stem|hyphae|planks)$/
+const NOT_FUEL = /^(?:crimson|warped)_/
+
+export function smeltingResult(name) {
+  if (SMELTING[name]) return SMELTING[name]
+  if (/_(?:log|wood)$/.test(name) && !NOT_FUEL.test(name)) return 'charcoal'
+  return null
+}
+
+function fuelValue(name) {
+  const listed = FUELS.find(f => f[0] === name)
+  if (listed) return listed[1]
+  if (WOOD_FUEL.test(name) && !NOT_FUEL.test(name)) return 1.5
+  return 0
+}
+
+// "torches" -> torch, "iron ingots" -> iron_ingot, "planks" -> whichever planks we carry (or oak)
+export function resolveItemName(mcData, name, inventory = {}) {
+  const base = String(name || '').toLowerCase().replace(/^minecraft:/, '').trim().replace(/\s+/g, '_')
+  const candidates = [base]
+  if (base.endsWith('es')) candidates.push(base.slice(0, -2))
+  if (base.endsWith('s')) candidates.push(base.slice(0, -1))
+  for (const c of candidates) if (mcData.itemsByName[c]) return c
+  for (const c of candidates) {
+    const variants = mcData.itemsArray.filter(i => i.name.endsWith('_' + c)).map(i => i.name)
+    if (variants.length) return variants.find(v => inventory[v]) || variants.find(v => v.startsWith('oak_')) || variants[0]
+  }
+  return null
+}
+
+function ingredientIds(recipe) {
+  const cells = recipe.inShape ? recipe.inShape.flat() : (recipe.ingredients || [])
+  const counts = {}
+  for (const cell of cells) {
+    const id = cell && typeof cell === 'object' ? cell.id : cell
+    if (id === null || id === undefined || id < 0) continue
+    counts[id] = (counts[id] || 0) + 1
+  }
+  return counts
+}
+
+// anything bigger than the 2x2 inventory grid needs a crafting table
+export function needsTable(recipe) {
+  if (recipe.inShape) return recipe.inShape.length > 2 || recipe.inShape.some(row => row.length > 2)
+  return (recipe.ingredients || []).length > 4
+}
+
+// redstone from a redstone block: unpacking is only worth it with the block in hand, never to be made first
+function isUnpacking(mcData, recipe, itemId) {
+  const counts = ingredientIds(recipe)
+  const ids = Object.keys(counts)
+  if (ids.length !== 1 || counts[ids[0]] !== 1 || recipe.result.count <= 1) return false
+  return (mcData.recipes[ids[0]] || []).some(r => {
+    const back = Object.keys(ingredientIds(r))
+    return back.length === 1 && Number(back[0]) === itemId
+  })
+}
+
+function carries(mcData, pool, recipe) {
+  return Object.keys(ingredientIds(recipe)).every(id => mcData.items[id] && (pool[mcData.items[id].name] || 0) > 0)
+}
+
+function addCounts(into, from) {
+  for (const [k, v] of Object.entries(from)) into[k] = (into[k] || 0) + v
+}
+
+function total(counts) {
+  return Object.values(counts).reduce((a, b) => a + b, 0)
+}
+
+// wants: [{ name, count }]. Returns { crafts, missing, used, needsTable }: crafts in the order to run them
+// (ingredients first) as { item, times, produces, needsTable }, missing and used as inventory counts.
+// When something is missing the crafts are still the best plan found, just not one that can run.
+export function planCraft(mcData, wants, inventory) {
+  const pool = { ...inventory }
+  let nodes = 0
+
+  function resolve(name, need, pool, depth, visiting) {
+    nodes++
+    const have = pool[name] || 0
+    const take = Math.min(have, need)
+    pool[name] = have - take
+    const result = { crafts: [], missing: {}, used: take ? { [name]: take } : {} }
+    const rest = need - take
+    if (rest === 0) return result
+    const item = mcData.itemsByName[name]
+    const recipes = item && depth < MAX_DEPTH && !visiting.has(name) ? (mcData.recipes[item.id] || []).filter(r => !isUnpacking(mcData, r, item.id) || carries(mcData, pool, r)) : []
+    if (recipes.length === 0) {
+      result.missing[name] = rest
+      return result
+    }
+    const inner = new Set([...visiting, name])
+    let best = null
+    // past the node budget only the first variant is worked out
+    for (const recipe of recipes.slice(0, nodes > MAX_NODES ? 1 : MAX_ALTERNATIVES)) {
+      const trial = { ...pool }
+      const times = Math.ceil(rest / recipe.result.count)
+      const sub = { crafts: [], missing: {}, used: {} }
+      for (const [id, n] of Object.entries(ingredientIds(recipe))) {
+        const ingredient = mcData.items[id]
+        if (!ingredient) continue
+        const r = resolve(ingredient.name, n * times, trial, depth + 1, inner)
+        sub.crafts.push(...r.crafts)
+        addCounts(sub.missing, r.missing)
+        addCounts(sub.used, r.used)
+      }
+      const produces = times * recipe.result.count
+      sub.crafts.push({ item: name, times, produces, needsTable: needsTable(recipe) })
+      // leftovers (3 of the 4 sticks) stay available to the rest of the plan
+      trial[name] = (trial[name] || 0) + produces - rest
+      const score = total(sub.missing)
+      if (!best || score < best.score) best = { ...sub, score, trial }
+      if (score === 0) break
+    }
+    // an ingredient that would need more to make than it is worth (9 nuggets for an ingot) is reported as itself
+    if (depth > 0 && best.score > rest) {
+      result.missing[name] = rest
+      return result
+    }
+    for (const k of Object.keys(best.trial)) pool[k] = best.trial[k]
+    result.crafts = best.crafts
+    result.missing = best.missing
+    addCounts(result.used, best.used)
+    return result
+  }
+
+  const plan = { crafts: [], missing: {}, used: {} }
+  for (const want of wants) {
+    const r = resolve(want.name, want.count, pool, 0, new Set())
+    plan.crafts.push(...r.crafts)
+    addCounts(plan.missing, r.missing)
+    addCounts(plan.used, r.used)
+  }
+  plan.needsTable = plan.crafts.some(c => c.needsTable)
+  return plan
+}
+
+// name may be what goes in ("iron_ore") or what comes out ("glass"); count is how many to put in, or 'all'.
+// Returns { input, output, count, fuel: { name: count }, missing } or { error }.
+export function planSmelt(name, count, inventory) {
+  let input = smeltingResult(name) ? name : null
+  if (!input) {
+    const inputs = Object.keys(inventory).filter(i => inventory[i] > 0 && smeltingResult(i) === name)
+    input = inputs[0] || Object.keys(SMELTING).find(i => SMELTING[i] === name) || null
+  }
+  if (!input) return { error: "I don't know how to smelt " + name }
+  const output = smeltingResult(input)
+  const have = inventory[input] || 0
+  const wanted = count === 'all' ? have : count
+  if (!wanted) return { error: "I don't have any " + input }
+  const missing = {}
+  if (have < wanted) missing[input] = wanted - have
+
+  // fuel from the best kind first, never the stack being smelted
+  const fuel = {}
+  let left = wanted
+  const kinds = [...FUELS.map(f => f[0]), ...Object.keys(inventory).filter(n => WOOD_FUEL.test(n))]
+  for (const kind of kinds) {
+    if (left <= 0) break
+    const value = fuelValue(kind)
+    const available = (inventory[kind] || 0) - (kind === input ? wanted : 0) - (fuel[kind] || 0)
+    if (!value || available <= 0) continue
+    const n = Math.min(available, Math.ceil(left / value))
+    fuel[kind] = (fuel[kind] || 0) + n
+    left -= n * value
+  }
+  if (left > 0) missing['coal (or other fuel)'] = Math.ceil(left / 8)
+  return { input, output, count: wanted, fuel, missing }
+}
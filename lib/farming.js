@@ -0,0 +1,331 @@
+// Farming mode: walks a region on a timer, harvests crops that are fully grown, replants them from the
+// inventory and every so often takes the produce to a chest. Ripeness comes from the crop's "age" block
+// state in minecraft-data, so it follows whatever version the server runs. Like guarding, farming runs
+// beside the task queue: it pauses for queued commands and picks up again once they are done.
+import fs from 'fs'
+import { Vec3 } from 'vec3'
+import minecraftData from 'minecraft-data'
+import { gotoWithin, isItemEntity } from './survival.js'
+
+const TICK_MS = 2000
+const TRAVEL_DISTANCE = 48
+const CHEST_SEARCH_RADIUS = 16
+
+// crop block -> the item that plants it and the block it grows on
+export const CROPS = {
+  wheat: { seed: 'wheat_seeds', soil: 'farmland' },
+  carrots: { seed: 'carrot', soil: 'farmland' },
+  potatoes: { seed: 'potato', soil: 'farmland' },
+  beetroots: { seed: 'beetroot_seeds', soil: 'farmland' },
+  nether_wart: { seed: 'nether_wart', soil: 'soul_sand' }
+}
+// what a harvest drops; everything beyond the seeds kept for replanting goes to the chest
+export const PRODUCE = ['wheat', 'wheat_seeds', 'carrot', 'potato', 'poisonous_potato', 'beetroot', 'beetroot_seeds', 'nether_wart']
+const SEEDS = new Set(Object.values(CROPS).map(c => c.seed))
+
+// Highest "age" the crop can reach in this version, or null for blocks without one
+export function matureAge(mcData, name) {
+  const block = mcData.blocksByName[name]
+  const age = block && (block.states || []).find(s => s.name === 'age')
+  return age ? age.num_values - 1 : null
+}
+
+export function isMature(block, mcData) {
+  if (!block || !CROPS[block.name]) return false
+  const max = matureAge(mcData, block.name)
+  return max !== null && Number(block.getProperties().age) === max
+}
+
+// Regions are { min, max } with inclusive integer corners
+export function regionFromCorners(a, b) {
+  return {
+    min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+    max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) }
+  }
+}
+
+// crops sit on the ground, so a little below and above the centre is enough
+export function regionAround(center, radius) {
+  return regionFromCorners({ x: center.x - radius, y: center.y - 2, z: center.z - radius }, { x: center.x + radius, y: center.y + 3, z: center.z + radius })
+}
+
+export function inRegion(region, pos) {
+  return pos.x >= region.min.x && pos.x <= region.max.x && pos.y >= region.min.y && pos.y <= region.max.y && pos.z >= region.min.z && pos.z <= region.max.z
+}
+
+export function describeRegion(region) {
+  const { min, max } = region
+  return min.x + ' ' + min.y + ' ' + min.z + ' to ' + max.x + ' ' + max.y + ' ' + max.z
+}
+
+function centerOf(region) {
+  return new Vec3((region.min.x + region.max.x) / 2, (region.min.y + region.max.y) / 2, (region.min.z + region.max.z) / 2)
+}
+
+function dimensionOf(bot) {
+  return String(bot.game && bot.game.dimension).replace(/^minecraft:/, '')
+}
+
+// getBot/loadGoals come from the bot instance; busy() names what players have the bot doing ('task',
+// 'guard', 'auto') or returns null; notify(player, text) whispers whoever started the farm
+export function createFarming({ file, getBot, loadGoals, busy, notify = () => {}, log = console, settings = {} }) {
+  // read on every use, so a config reload that changes settings applies from the next pass
+  const intervalMs = () => (settings.intervalSeconds || 60) * 1000
+  const depositMs = () => (settings.depositMinutes || 10) * 60000
+  const keepSeeds = () => settings.keepSeeds != null ? settings.keepSeeds : 32
+
+  // farm: { active, owner, region, chest, dimension, startedAt }; survives restarts so farming resumes
+  let farm = null
+  let stats = { passes: 0, harvested: 0, replanted: 0, deposited: 0, lastPass: null, lastDeposit: null, lastResult: null }
+  // positions harvested but not replanted yet (no seeds, not reachable), as "x,y,z" -> crop
+  const toReplant = new Map()
+  let running = null
+  let nextPassAt = 0
+  let timer = null
+  let ticking = false
+  // warn once, not every pass
+  let warnedNoChest = false
+  let warnedNoSeeds = false
+
+  function load() {
+    try {
+      const saved = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+      if (saved && saved.farm) farm = saved.farm
+      if (saved && saved.stats) stats = { ...stats, ...saved.stats }
+      if (farm) log.log('[FARM] Loaded farm ' + describeRegion(farm.region) + (farm.active ? ' (active)' : ''))
+    } catch (e) { log.warn('[FARM] Load failed', e.message) }
+  }
+
+  function save() {
+    if (!file) return
+    try { fs.writeFileSync(file, JSON.stringify({ farm, stats }, null, 2)) } catch (e) { log.error('[FARM] Save failed', e.message) }
+  }
+
+  // 'planted', 'settled' when the spot no longer needs us (someone planted it, the soil is gone) or false to retry
+  async function replant(bot, goals, pos, cropName, run) {
+    const crop = CROPS[cropName]
+    const soil = bot.blockAt(pos.offset(0, -1, 0))
+    const here = bot.blockAt(pos)
+    if (!soil || !here) return false
+    if (soil.name !== crop.soil || here.name !== 'air') return 'settled'
+    const seed = bot.inventory.items().find(i => i.name === crop.seed)
+    if (!seed) return false
+    if (!(await gotoWithin(bot, new goals.GoalNear(pos.x, pos.y, pos.z, 3), 20000, run))) return false
+    try {
+      await bot.equip(seed, 'hand')
+      await bot.placeBlock(soil, new Vec3(0, 1, 0))
+      return 'planted'
+    } catch (e) {
+      log.warn('[FARM] replant at ' + pos + ' failed: ' + (e && e.message))
+      return false
+    }
+  }
+
+  async function collectDrops(bot, goals, run) {
+    const tried = new Set()
+    for (let i = 0; i < 64 && !run.cancelled; i++) {
+      const item = bot.nearestEntity(e => isItemEntity(e) && !tried.has(e.id) && inRegion(farm.region, e.position.floored()))
+      if (!item) break
+      tried.add(item.id)
+      await gotoWithin(bot, new goals.GoalNear(item.position.x, item.position.y, item.position.z, 0), 8000, run)
+    }
+  }
+
+  function findChest(bot) {
+    if (farm.chest) return bot.blockAt(new Vec3(farm.chest.x, farm.chest.y, farm.chest.z))
+    const center = centerOf(farm.region)
+    const reach = center.distanceTo(new Vec3(farm.region.max.x, farm.region.max.y, farm.region.max.z)) + CHEST_SEARCH_RADIUS
+    return bot.findBlock({ point: center, matching: b => /chest|barrel/.test(b.name), maxDistance: reach })
+  }
+
+  // everything the farm produced except a stack of seeds per crop for the next replant
+  function produceToStore(bot) {
+    const kept = {}
+    const out = []
+    for (const item of bot.inventory.items()) {
+      if (!PRODUCE.includes(item.name)) continue
+      let count = item.count
+      if (SEEDS.has(item.name)) {
+        const keep = Math.min(count, keepSeeds() - (kept[item.name] || 0))
+        kept[item.name] = (kept[item.name] || 0) + keep
+        count -= keep
+      }
+      if (count > 0) out.push({ item, count })
+    }
+    return out
+  }
+
+  async function depositProduce(bot, goals, run) {
+    const store = produceToStore(bot)
+    if (store.length === 0) return 0
+    const chest = findChest(bot)
+    if (!chest || !/chest|barrel/.test(chest.name)) {
+      if (!warnedNoChest) notify(farm.owner, "There's no chest " + (farm.chest ? 'at ' + farm.chest.x + ' ' + farm.chest.y + ' ' + farm.chest.z : 'near the farm') + ' for the harvest, so I am holding on to it.')
+      warnedNoChest = true
+      return 0
+    }
+    warnedNoChest = false
+    if (!(await gotoWithin(bot, new goals.GoalNear(chest.position.x, chest.position.y, chest.position.z, 2), 60000, run))) return 0
+    const container = await bot.openContainer(chest)
+    let moved = 0
+    try {
+      for (const { item, count } of store) {
+        try {
+          await container.deposit(item.type, item.metadata, count)
+          moved += count
+        } catch (e) {
+          log.warn('[FARM] deposit stopped: ' + (e && e.message))
+          break
+        }
+      }
+    } finally {
+      container.close()
+    }
+    stats.deposited += moved
+    stats.lastDeposit = Date.now()
+    log.log('[FARM] stored ' + moved + ' items in the chest at ' + chest.position)
+    return moved
+  }
+
+  async function farmPass(bot, run) {
+    const goals = await loadGoals()
+    const mcData = minecraftData(bot.version)
+    if (farm.dimension && farm.dimension !== dimensionOf(bot)) return 'the farm is in the ' + farm.dimension
+    const center = centerOf(farm.region)
+    if (bot.entity.position.distanceTo(center) > TRAVEL_DISTANCE) {
+      const size = Math.max(farm.region.max.x - farm.region.min.x, farm.region.max.z - farm.region.min.z)
+      if (!(await gotoWithin(bot, new goals.GoalNear(center.x, center.y, center.z, Math.ceil(size / 2)), 120000, run))) return run.cancelled ? 'interrupted' : "couldn't get to the farm"
+    }
+    const ids = Object.keys(CROPS).filter(n => mcData.blocksByName[n]).map(n => mcData.blocksByName[n].id)
+    const reach = Math.ceil(center.distanceTo(new Vec3(farm.region.max.x, farm.region.max.y, farm.region.max.z))) + 1
+    const ripe = bot.findBlocks({ matching: ids, point: center, maxDistance: reach, count: 1024 })
+      .filter(p => inRegion(farm.region, p) && isMature(bot.blockAt(p), mcData))
+
+    let harvested = 0
+    while (ripe.length && !run.cancelled) {
+      // nearest next, so the bot works through the rows instead of zigzagging across the field
+      ripe.sort((a, b) => a.distanceTo(bot.entity.position) - b.distanceTo(bot.entity.position))
+      const pos = ripe.shift()
+      if (!(await gotoWithin(bot, new goals.GoalNear(pos.x, pos.y, pos.z, 2), 20000, run))) continue
+      const block = bot.blockAt(pos)
+      if (!isMature(block, mcData)) continue
+      try {
+        await bot.dig(block)
+        harvested++
+        toReplant.set(pos.toString(), block.name)
+      } catch (e) { log.warn('[FARM] harvest at ' + pos + ' failed: ' + (e && e.message)) }
+    }
+    if (run.cancelled) return 'interrupted after ' + harvested + ' crops'
+    await collectDrops(bot, goals, run)
+
+    // replant after collecting, since the seeds usually come from the harvest itself
+    let replanted = 0
+    for (const [key, cropName] of [...toReplant.entries()]) {
+      if (run.cancelled) break
+      const pos = new Vec3(...key.slice(1, -1).split(',').map(Number))
+      const result = await replant(bot, goals, pos, cropName, run)
+      if (result) toReplant.delete(key)
+      if (result === 'planted') replanted++
+    }
+    const seeds = [...new Set([...toReplant.values()].map(c => CROPS[c].seed))]
+    const outOfSeeds = toReplant.size > 0 && !seeds.some(s => bot.inventory.items().some(i => i.name === s))
+    if (outOfSeeds && !warnedNoSeeds && !run.cancelled) notify(farm.owner, 'I need ' + seeds.join(' or ') + ' to replant ' + toReplant.size + (toReplant.size === 1 ? ' spot' : ' spots') + ' on the farm.')
+    warnedNoSeeds = outOfSeeds
+
+    stats.harvested += harvested
+    stats.replanted += replanted
+    let stored = 0
+    const full = bot.inventory.emptySlotCount() < 4
+    if (!run.cancelled && (full || Date.now() - (stats.lastDeposit || farm.startedAt) >= depositMs())) stored = await depositProduce(bot, goals, run)
+    return 'harvested ' + harvested + ', replanted ' + replanted + (stored ? ', stored ' + stored : '')
+  }
+
+  function startPass(bot) {
+    const run = { cancelled: false, done: null }
+    running = run
+    run.done = farmPass(bot, run)
+      .then(result => { stats.lastResult = result; log.log('[FARM] pass: ' + result) })
+      .catch(e => { stats.lastResult = 'failed: ' + (e && e.message); log.warn('[FARM] pass failed', e && e.message) })
+      .finally(() => {
+        if (running === run) running = null
+        stats.passes++
+        stats.lastPass = Date.now()
+        nextPassAt = Date.now() + intervalMs()
+        save()
+      })
+  }
+
+  function cancelRunning() {
+    if (!running) return null
+    running.cancelled = true
+    const bot = getBot()
+    try { if (bot && bot.pathfinder) bot.pathfinder.setGoal(null) } catch (e) { /* bot gone */ }
+    return running.done
+  }
+
+  function tick() {
+    const bot = getBot()
+    if (!farm || !farm.active || running || Date.now() < nextPassAt) return
+    if (!bot || !bot.entity || !bot.pathfinder) return
+    if (busy()) return
+    startPass(bot)
+  }
+
+  load()
+  return {
+    attach() {
+      clearInterval(timer)
+      nextPassAt = Date.now() + 5000
+      timer = setInterval(() => {
+        if (ticking) return
+        ticking = true
+        try { tick() } catch (e) { log.warn('[FARM] tick failed', e && e.message) } finally { ticking = false }
+      }, TICK_MS)
+    },
+    detach() {
+      clearInterval(timer)
+      timer = null
+      cancelRunning()
+      running = null
+    },
+    // owner, region, chest (or null for the nearest one), dimension
+    start(options) {
+      cancelRunning()
+      farm = { active: true, owner: options.owner, region: options.region, chest: options.chest || null, dimension: options.dimension || null, startedAt: Date.now() }
+      toReplant.clear()
+      warnedNoChest = false
+      warnedNoSeeds = false
+      nextPassAt = 0
+      save()
+      log.log('[FARM] ' + options.owner + ' started farming ' + describeRegion(options.region))
+    },
+    stop() {
+      if (!farm || !farm.active) return false
+      farm.active = false
+      cancelRunning()
+      save()
+      log.log('[FARM] stopped')
+      return true
+    },
+    // queued commands go first; a pass in progress stops between crops
+    async yieldToCommands() {
+      const done = cancelRunning()
+      if (done) await done
+    },
+    interrupt: () => { cancelRunning() },
+    running: () => !!running,
+    active: () => !!(farm && farm.active),
+    // the last farm, so a bare "farm" can start it again
+    lastFarm: () => farm,
+    status: () => ({
+      active: !!(farm && farm.active),
+      running: !!running,
+      owner: farm ? farm.owner : null,
+      region: farm ? farm.region : null,
+      chest: farm ? farm.chest : null,
+      nextPass: farm && farm.active && !running ? Math.max(nextPassAt, Date.now()) : null,
+      pendingReplant: toReplant.size,
+      ...stats
+    })
+  }
+}
@@ -0,0 +1,205 @@
+// Which bot accounts this process runs and how. config/bots.json (or BOTS_FILE) lists every account under "bots",
+// with shared settings in "defaults" and the process's own under "server"; lib/configSchema.js says what each
+// may hold. Environment variables override the file, and without a file they describe a single bot.
+import fs from 'fs'
+import path from 'path'
+import { validateConfig, envOverrides } from './configSchema.js'
+
+// the bot before fleets kept these in /tmp; found there, they are copied into the data directory of a bot
+// configured from the environment alone, as that bot was
+const LEGACY_TMP_FILES = {
+  memory: '/tmp/memory.json',
+  legacyTrusted: '/tmp/trusted.json',
+  legacyIgnored: '/tmp/ignored.json'
+}
+
+function asList(value, fallback) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean)
+  if (typeof value === 'string' && value.trim()) return value.split(',').map(v => v.trim()).filter(Boolean)
+  return fallback
+}
+
+function orDefault(value, fallback) {
+  return value === undefined || value === null || value === '' ? fallback : value
+}
+
+// setting -> file name in dataDir, under the key botInstance uses
+const DATA_FILES = {
+  memory: ['memoryFile', 'memory.json'],
+  conversations: ['conversationsFile', 'conversations.jsonl'],
+  survival: ['survivalFile', 'survival.json'],
+  schedules: ['schedulesFile', 'schedules.json'],
+  farm: ['farmFile', 'farm.json'],
+  queue: ['queueFile', 'queue.json'],
+  waypoints: ['waypointsFile', 'waypoints.json'],
+  roles: ['rolesFile', 'roles.json'],
+  rolesAudit: ['rolesAuditFile', 'roles-audit.jsonl'],
+  legacyTrusted: ['trustedFile', 'trusted.json'],
+  legacyIgnored: ['ignoredFile', 'ignored.json']
+}
+
+// entry: one "bots" block merged over "defaults"; index decides the default viewer port. fleet is the whole
+// config file (or {} without one), for groupNames and server.dataRoot.
+export function normalizeBot(entry, index, fleet, rootDir) {
+  const username = entry.username || 'phyll'
+  const id = String(entry.id || username).toLowerCase()
+  if (!/^[a-z0-9_-]+$/.test(id)) throw new Error('bot id "' + id + '" may only use letters, digits, _ and -')
+  // relative paths in the file are from the project directory, not wherever the process was started
+  const dataRoot = path.resolve(rootDir, (fleet.server && fleet.server.dataRoot) || 'data')
+  const dataDir = entry.dataDir ? path.resolve(rootDir, entry.dataDir) : path.join(dataRoot, id)
+  const files = {}
+  const legacyFiles = {}
+  for (const [key, [setting, name]] of Object.entries(DATA_FILES)) {
+    files[key] = entry[setting] || path.join(dataDir, name)
+    if (!entry[setting] && !entry.dataDir && !fleet.bots && index === 0 && LEGACY_TMP_FILES[key]) legacyFiles[key] = LEGACY_TMP_FILES[key]
+  }
+  let personality = entry.personality || null
+  if (entry.personalityFile) {
+    try { personality = fs.readFileSync(entry.personalityFile, 'utf8') } catch (e) { throw new Error('personalityFile: ' + e.message) }
+  }
+  const backend = entry.replyBackend || 'rules'
+  return {
+    id,
+    username,
+    host: entry.host || 'localhost',
+    port: parseInt(entry.port || 25565, 10),
+    auth: entry.auth || 'offline',
+    password: entry.password || undefined,
+    version: entry.version || false,
+    fallbackVersion: entry.fallbackVersion || null,
+    owner: entry.owner || 'TryChloroform',
+    names: asList(entry.names, [username.toLowerCase()]).map(n => n.toLowerCase()),
+    groupNames: asList(entry.groupNames, asList(fleet.groupNames, ['bots'])).map(n => n.toLowerCase()),
+    // seeds for roles.json: players named here get the role unless they already have one
+    permissions: {
+      defaultRole: entry.defaultRole || null,
+      admins: asList(entry.admins, []),
+      trusted: asList(entry.trusted, [])
+    },
+    viewerHost: entry.viewerHost || '127.0.0.1',
+    viewerPort: parseInt(entry.viewerPort || 3001 + index, 10),
+    viewerFirstPerson: entry.viewerFirstPerson === true,
+    // "viewer": false skips the 3D viewer, for headless installs and the offline harness
+    viewerEnabled: entry.viewer !== false,
+    // "survival": false leaves the automatic behaviors (escaping lava, eating, sleeping...) off entirely
+    survivalEnabled: entry.survival !== false,
+    autoEat: entry.autoEat !== false,
+    chatFormatsFile: entry.chatFormatsFile || path.join(rootDir, 'config', 'chat-formats.json'),
+    // .schem, .litematic and .json files for "build <name> at x y z"; bots may share one directory
+    structuresDir: entry.structuresDir || path.join(rootDir, 'structures'),
+    // replies to chat that is not a command: built-in rules, or an OpenAI-compatible or Ollama server with the
+    // rules as fallback; planConfirm says which plans are read back before they run
+    reply: {
+      backend,
+      llmUrl: entry.llmUrl || (backend === 'ollama' ? 'http://127.0.0.1:11434/api/chat' : 'http://127.0.0.1:8080/v1/chat/completions'),
+      llmModel: entry.llmModel || (backend === 'ollama' ? 'llama3' : 'local-model'),
+      llmApiKey: entry.llmApiKey || '',
+      llmTimeoutMs: orDefault(entry.llmTimeoutMs, 8000),
+      llmHistory: orDefault(entry.llmHistory, 12),
+      llmRateLimit: orDefault(entry.llmRateLimit, 4),
+      planConfirm: entry.planConfirm || 'multi'
+    },
+    // Discord bridge: replies to Discord users go out as public chat in replyFormat, which the bridge relays,
+    // or straight to a Discord webhook when webhookUrl is set
+    discord: {
+      replyFormat: entry.discordReplyFormat || '@{player} {message}',
+      webhookUrl: entry.discordWebhookUrl || null
+    },
+    // pathfinding: the movement profile to start with (lib/movement.js, plus any in movementProfiles), which shared
+    // waypoints count as bases that are never dug into, and how following and stuck detection behave
+    movement: {
+      profile: String(entry.movementProfile || 'normal').toLowerCase(),
+      profiles: entry.movementProfiles || {},
+      baseWaypoints: asList(entry.baseWaypoints, ['base', 'home']).map(n => n.toLowerCase()),
+      baseRadius: parseInt(orDefault(entry.baseRadius, 24), 10),
+      followDistance: parseInt(entry.followDistance || 1, 10),
+      // 0 follows until told to stop
+      followSeconds: parseInt(orDefault(entry.followSeconds, 60), 10),
+      stuckSeconds: parseInt(entry.stuckSeconds || 15, 10)
+    },
+    // outgoing chat pace and the slash commands allowed besides /msg, /tpa and /tpaccept (lib/chatGuard.js);
+    // a Discord replyFormat that starts with a command needs that command listed here
+    chat: {
+      burst: orDefault(entry.chatBurst, 4),
+      windowSeconds: orDefault(entry.chatWindowSeconds, 4),
+      dedupSeconds: orDefault(entry.chatDedupSeconds, 30),
+      commands: asList(entry.chatCommands, []).map(c => c.toLowerCase().replace(/^\//, '')),
+      floodLines: orDefault(entry.floodLines, 5),
+      floodSeconds: orDefault(entry.floodSeconds, 30),
+      floodIgnoreMinutes: orDefault(entry.floodIgnoreMinutes, 5),
+      tpaCooldownSeconds: orDefault(entry.tpaCooldownSeconds, 30)
+    },
+    mineSearchRadius: orDefault(entry.mineSearchRadius, 32),
+    guard: {
+      radius: orDefault(entry.guardRadius, 16),
+      retreatHealth: orDefault(entry.guardRetreatHealth, 8)
+    },
+    survival: {
+      criticalHealth: orDefault(entry.survivalCriticalHealth, 6),
+      reconnectHealth: orDefault(entry.survivalReconnectHealth, 3),
+      creeperRadius: orDefault(entry.survivalCreeperRadius, 7),
+      bedRadius: orDefault(entry.survivalBedRadius, 24)
+    },
+    farming: {
+      radius: orDefault(entry.farmRadius, 8),
+      intervalSeconds: orDefault(entry.farmIntervalSeconds, 60),
+      depositMinutes: orDefault(entry.farmDepositMinutes, 10),
+      keepSeeds: orDefault(entry.farmKeepSeeds, 32)
+    },
+    personality,
+    // how much conversation is kept; facts are capped per player, not by age
+    memory: {
+      threadSize: parseInt(entry.memoryThreadSize || 20, 10),
+      retentionDays: parseInt(orDefault(entry.memoryRetentionDays, 90), 10),
+      maxFacts: parseInt(entry.memoryMaxFacts || 20, 10)
+    },
+    dataDir,
+    files,
+    // earlier default locations of the files above, copied over when the new file does not exist yet
+    legacyFiles
+  }
+}
+
+// Reads and checks the config file, applies the environment on top and normalizes every bot. Throws with
+// every problem found, so a bad reload leaves the running config alone. Returns { file, bots, server, warnings }.
+export function loadFleetConfig(env, rootDir) {
+  const file = env.BOTS_FILE || path.join(rootDir, 'config', 'bots.json')
+  const exists = fs.existsSync(file)
+  if (!exists && env.BOTS_FILE) throw new Error('BOTS_FILE ' + file + ' not found')
+  let fleet = {}
+  if (exists) {
+    try { fleet = JSON.parse(fs.readFileSync(file, 'utf8')) } catch (e) { throw new Error(file + ': ' + e.message) }
+    const errors = validateConfig(fleet)
+    if (errors.length) throw new Error(file + ': ' + errors.join('; '))
+  }
+  const overrides = envOverrides(env)
+  const warnings = []
+  const single = !exists || fleet.bots.length === 1
+  if (!single && Object.keys(overrides.perBot).length) warnings.push('ignoring ' + Object.keys(overrides.perBot).join(', ') + ' from the environment: the config file has several bots')
+
+  const server = { ...(fleet.server || {}), ...overrides.server }
+  fleet = { ...fleet, server }
+  // without a file the environment is the whole config, with the names every install used to answer to
+  const entries = exists ? fleet.bots.map(b => ({ ...(fleet.defaults || {}), ...b })) : [{ names: ['trychlorophyll', 'phyll'] }]
+  const bots = entries.map((e, i) => normalizeBot({ ...e, ...overrides.bot, ...(single ? overrides.perBot : {}) }, i, fleet, rootDir))
+  for (const key of ['id', 'viewerPort']) {
+    const seen = new Set()
+    for (const b of bots) {
+      if (seen.has(b[key])) throw new Error('two bots share ' + key + ' ' + b[key])
+      seen.add(b[key])
+    }
+  }
+  return {
+    file: exists ? file : null,
+    bots,
+    server: {
+      port: orDefault(server.port, 3000),
+      apiToken: server.apiToken || '',
+      logFile: path.resolve(rootDir, server.logFile || 'logs/bot-debug.log'),
+      eventsFile: path.resolve(rootDir, server.eventsFile || 'logs/bot-events.jsonl'),
+      logMaxBytes: server.logMaxBytes || null,
+      logKeep: server.logKeep || null
+    },
+    warnings
+  }
+}
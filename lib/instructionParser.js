@@ -0,0 +1,350 @@
+// Instruction grammar: splits a chat message into clauses and parses each one into steps, in the order written.
+// "mine 8 oak logs, then deposit all in the chest at 10 64 20 and then repeat 3 times"
+// "go 20 blocks north then wait 5 seconds; if you see a creeper, come back"
+// Pure functions only, so the parser can be tested without a bot.
+
+export const MAX_REPEAT = 10
+export const MAX_PLAN_STEPS = 30
+
+const CLAUSE_SPLIT = /\s*(?:\band then\b|\bthen\b|\bafter that\b|;|,(?!\s*-?\d))\s*/i
+const FILLER_WORDS = ['hey', 'hi', 'yo', 'please', 'pls', 'ok', 'okay', 'can', 'could', 'would', 'you', 'now', 'and', 'first', 'next', 'finally']
+const NUMBER_WORDS = { once: 1, twice: 2, thrice: 3, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 }
+const DIRECTIONS = { north: 'north', south: 'south', east: 'east', west: 'west', up: 'up', down: 'down', forward: 'forward', forwards: 'forward', ahead: 'forward', back: 'back', backward: 'back', backwards: 'back', left: 'left', right: 'right' }
+const DIRECTION_WORDS = Object.keys(DIRECTIONS).join('|')
+
+const REPEAT_RE = /(?:\band\s+)?\b(?:repeat(?:\s+(?:it|that|this|all\s+that))?|do\s+(?:it|that|this|all\s+that)(?:\s+again)?)\s+(\d+|[a-z]+)(?:\s*(?:times|x))?\s*$/i
+const CONDITION_RE = /\b(?:if|when|whenever|once)\s+(?:you\s+)?(?:see|spot|notice|find|meet)\s+(?:(?:any|an|a|some|the)\s+)?([a-z_]+)(?:\s+(?:within|in)\s+(\d+)(?:\s+blocks?)?)?/i
+
+function toNumber(word) {
+  if (/^\d+$/.test(word)) return parseInt(word, 10)
+  return NUMBER_WORDS[String(word).toLowerCase()] || null
+}
+
+// "creepers" -> "creeper", "endermen" -> "enderman"
+function singularMob(word) {
+  const w = word.toLowerCase()
+  if (w.endsWith('men')) return w.slice(0, -3) + 'man'
+  return w.replace(/(?<!s)s$/, '')
+}
+
+// ---------- Clause parsers ----------
+// "mine 16 oak_log", "dig iron_ore near me", "collect 8 oak logs"
+const MINE_STOP_WORDS = ['near', 'around', 'by', 'close', 'then', 'and', 'for', 'please', 'from', 'here']
+export function parseMineRequest(message) {
+  const m = message.toLowerCase().match(/\b(?:mine|dig|collect|gather)\s+(.+)$/)
+  if (!m) return null
+  const words = m[1].replace(/[^a-z0-9_\s]/g, ' ').split(/\s+/).filter(Boolean)
+  let count = 1
+  if (words.length && /^\d+$/.test(words[0])) count = parseInt(words.shift(), 10)
+  while (words.length && ['some', 'a', 'an', 'the', 'of'].includes(words[0])) words.shift()
+  const nameWords = []
+  for (const w of words) {
+    if (MINE_STOP_WORDS.includes(w) || /^\d+$/.test(w)) break
+    nameWords.push(w)
+  }
+  if (nameWords.length === 0) return null
+  const step = { action: 'mine', block: nameWords.join('_'), count }
+  if (/\bnear me\b|\baround me\b|\bby me\b/.test(m[1])) step.nearPlayer = true
+  return step
+}
+
+// "hold diamond_pickaxe", "drop all cobblestone", "give me 10 bread", "put everything in the chest at x y z"
+function cleanItemWords(text) {
+  const words = String(text || '').toLowerCase().replace(/[^a-z0-9_\s]/g, ' ').split(/\s+/).filter(Boolean)
+  const out = []
+  for (const w of words) {
+    if (['the', 'your', 'my', 'of', 'a', 'an', 'some'].includes(w) && out.length === 0) continue
+    if (['in', 'into', 'to', 'then', 'and', 'please', 'at', 'on'].includes(w)) break
+    out.push(w)
+  }
+  return out.join('_')
+}
+
+function parseCount(word) {
+  if (!word) return null
+  if (/^(all|everything)$/i.test(word)) return 'all'
+  return parseInt(word, 10)
+}
+
+export function parseInventoryRequest(username, message) {
+  const lower = message.toLowerCase()
+  let m = lower.match(/\b(?:put|deposit|store)\s+(?:(all|everything|\d+)\s+)?(?:of\s+)?(.*?)\s*(?:in|into)\s+(?:the\s+|that\s+)?chest\s+(?:at\s+)?(-?\d+)[,\s]+(-?\d+)[,\s]+(-?\d+)/)
+  if (m) {
+    const item = cleanItemWords(m[2])
+    return { action: 'deposit', item: item && !['everything', 'all', 'stuff', 'items'].includes(item) ? item : null, count: parseCount(m[1]) || 'all', x: parseInt(m[3], 10), y: parseInt(m[4], 10), z: parseInt(m[5], 10) }
+  }
+  // no coordinates: whichever chest is closest when the step runs
+  m = lower.match(/\b(?:put|deposit|store)\s+(?:(all|everything|\d+)\s+)?(?:of\s+)?(.*?)\s*(?:in|into)\s+(?:the\s+|a\s+|that\s+)?(?:nearest\s+|closest\s+)?chest\b/)
+  if (m) {
+    const item = cleanItemWords(m[2])
+    return { action: 'deposit', item: item && !['everything', 'all', 'stuff', 'items'].includes(item) ? item : null, count: parseCount(m[1]) || 'all', nearest: true }
+  }
+  m = lower.match(/\bgive\s+(\w+)\s+(?:(all|\d+)\s+)?(?:of\s+)?(?:your\s+)?(.+)$/)
+  if (m) {
+    const item = cleanItemWords(m[3])
+    if (item) return { action: 'give', player: m[1] === 'me' ? username : message.match(/\bgive\s+(\w+)/i)[1], item, count: parseCount(m[2]) || 1 }
+  }
+  m = lower.match(/\bdrop\s+(?:(all|everything|\d+)\s*)?(?:of\s+)?(.*)$/)
+  if (m) {
+    const item = cleanItemWords(m[2])
+    if (item || m[1]) return { action: 'drop', item: item && item !== 'everything' ? item : null, count: parseCount(m[1]) || (item ? 1 : 'all') }
+  }
+  m = lower.match(/\b(?:hold|equip|wield)\s+(.+)$/)
+  if (m) {
+    const item = cleanItemWords(m[1])
+    if (item) return { action: 'hold', item }
+  }
+  return null
+}
+
+// "guard here within 12", "guard me", "guard Steve", "attack zombies"
+export function parseGuardRequest(username, message) {
+  const lower = message.toLowerCase()
+  const radiusMatch = lower.match(/\b(?:within|radius)\s+(\d+)/)
+  const radius = radiusMatch ? parseInt(radiusMatch[1], 10) : undefined
+  let m = lower.match(/\battack\s+(?:the\s+|all\s+|those\s+)?([a-z_]+)/)
+  if (m) {
+    const word = m[1]
+    const any = ['mobs', 'monsters', 'hostiles', 'everything', 'them', 'it'].includes(word)
+    return { action: 'attack', mob: any ? null : word.replace(/(?<!s)s$/, ''), radius }
+  }
+  m = message.match(/\bguard\s+(\w+)/i)
+  if (m) {
+    const word = m[1].toLowerCase()
+    if (['here', 'this', 'area', 'spot', 'post', 'within', 'radius'].includes(word)) return { action: 'guard', radius }
+    return { action: 'guard', player: word === 'me' ? username : m[1], radius }
+  }
+  if (/\bguard\b/.test(lower)) return { action: 'guard', radius }
+  return null
+}
+
+// "build farmhouse at 100 64 -200", "build a farmhouse here"; the structure is looked up when the step runs
+export function parseBuildRequest(message) {
+  let m = message.match(/\bbuild\s+(?:me\s+)?(?:a\s+|an\s+|the\s+)?([a-z0-9_-]+)\s+(?:at\s+)?(-?\d+)[,\s]+(-?\d+)[,\s]+(-?\d+)/i)
+  if (m) return { action: 'build', structure: m[1].toLowerCase(), x: parseInt(m[2], 10), y: parseInt(m[3], 10), z: parseInt(m[4], 10) }
+  m = message.match(/\bbuild\s+(?:me\s+)?(?:a\s+|an\s+|the\s+)?([a-z0-9_-]+)\s+(?:here|where i am|at me)\b/i)
+  if (m) return { action: 'build', structure: m[1].toLowerCase(), here: true }
+  return null
+}
+
+// "craft 4 torches", "craft a crafting table", "smelt 32 iron_ore", "cook all the beef"; count is how many to
+// make when crafting and how many to put in when smelting. Item names are resolved when the step runs.
+export function parseCraftRequest(message) {
+  const m = message.toLowerCase().match(/\b(craft|smelt|cook)\s+(?:me\s+|us\s+)?(?:(all|\d+)\s+)?(?:of\s+)?(.+)$/)
+  if (!m) return null
+  const item = cleanItemWords(m[3])
+  if (!item) return null
+  return { action: m[1] === 'craft' ? 'craft' : 'smelt', item, count: parseCount(m[2]) || (m[1] === 'craft' ? 1 : 'all') }
+}
+
+// "farm", "farm from 0 64 0 to 20 64 20", "farm at wheatfield within 10", "farm here and store in the chest at 5 64 5";
+// a bare "farm" means the last farm (or the "farm" waypoint), worked out when the step runs
+export function parseFarmRequest(message) {
+  const step = { action: 'farm' }
+  let m = message.match(/\b(?:from|between)\s+(-?\d+)[,\s]+(-?\d+)[,\s]+(-?\d+)\s+(?:to|and)\s+(-?\d+)[,\s]+(-?\d+)[,\s]+(-?\d+)/i)
+  if (m) {
+    const n = m.slice(1).map(v => parseInt(v, 10))
+    step.corners = [{ x: n[0], y: n[1], z: n[2] }, { x: n[3], y: n[4], z: n[5] }]
+  } else if (/\bfarm(?:ing)?\s+(?:right\s+)?here\b/i.test(message)) {
+    step.here = true
+  } else if ((m = message.match(/\bfarm(?:ing)?\s+(?:at|near|around)\s+(?:the\s+|my\s+)?([a-z][a-z0-9_-]*)/i))) {
+    step.waypoint = m[1].toLowerCase()
+  }
+  m = message.match(/\bwithin\s+(\d+)/i)
+  if (m) step.radius = parseInt(m[1], 10)
+  m = message.match(/\bchest\s+at\s+(-?\d+)[,\s]+(-?\d+)[,\s]+(-?\d+)/i)
+  if (m) step.chest = { x: parseInt(m[1], 10), y: parseInt(m[2], 10), z: parseInt(m[3], 10) }
+  return step
+}
+
+const DURATION_UNITS = { s: 1, sec: 1, secs: 1, second: 1, seconds: 1, m: 60, min: 60, mins: 60, minute: 60, minutes: 60, h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600 }
+
+// "follow me", "follow Steve", "come here", "come back", "come to Steve"; "for 5 minutes" and "at 3 blocks" set
+// how long and how close, "forever" follows until stopped (seconds: 0)
+function parseFollow(username, text) {
+  if (!/\b(?:follow|come)\b/i.test(text)) return null
+  const m = text.match(/\bfollow\s+(\w+)/i) || text.match(/\bcome\s+(?:to|with)\s+(\w+)/i)
+  const named = m && !['me', 'us', 'here', 'back', 'the', 'along'].includes(m[1].toLowerCase())
+  const step = { action: 'follow', player: named ? m[1] : username }
+  const distance = text.match(/\b(?:at|from|keep(?:ing)?|stay(?:ing)?)\s+(\d+)\s*blocks?\b/i) || text.match(/\b(\d+)\s*blocks?\s+(?:behind|away|back)\b/i)
+  if (distance) step.distance = parseInt(distance[1], 10)
+  const duration = text.match(/\bfor\s+(\d+|an?|[a-z]+)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?)\b/i)
+  const amount = duration && (/^an?$/i.test(duration[1]) ? 1 : toNumber(duration[1]))
+  if (amount) step.seconds = amount * DURATION_UNITS[duration[2].toLowerCase()]
+  else if (/\b(?:forever|indefinitely|until\s+(?:i|we)\s+(?:say|tell)|until\s+told)\b/i.test(text)) step.seconds = 0
+  return step
+}
+
+// "tpa Steve", "/tpa Steve", "tp to Steve", "teleport to Steve"
+function parseTpa(username, text) {
+  if (/\brequest\b/i.test(text)) return null
+  const m = text.match(/(?:\/tpa|\btpa|\btp(?:\s+to)?|\bteleport(?:\s+to)?)\s+(\w+)/i)
+  if (!m || ['me', 'us', 'to'].includes(m[1].toLowerCase()) || m[1] === username) return null
+  return { action: 'tpa', player: m[1] }
+}
+
+function parseWait(text) {
+  const m = text.match(/\b(?:wait|pause|stop)\s+(?:\w+\s+)?(\d+)\s*(?:seconds?|secs?)\b/i)
+  return m ? { action: 'wait', seconds: parseInt(m[1], 10) } : null
+}
+
+// Exact coordinates, then relative movement ("go 20 blocks north", "walk north 5"), then a waypoint name
+function parseMovement(username, text, isWaypoint) {
+  let m = text.match(/\b(?:go to|goto|move to|walk to|head to|travel to)\s+(-?\d+)[,\s]+(-?\d+)[,\s]+(-?\d+)/i)
+  // "via the nether" takes the portals there and back
+  const via = /\b(?:via|through|using)\s+(?:the\s+)?nether\b/i.test(text) ? { via: 'nether' } : {}
+  if (m) return { action: 'goto', x: parseInt(m[1], 10), y: parseInt(m[2], 10), z: parseInt(m[3], 10), ...via }
+  m = text.match(new RegExp('\\b(?:go|move|walk|head|run)\\s+(\\d+)\\s*(?:blocks?|meters?|m)?\\s+(?:to\\s+the\\s+)?(' + DIRECTION_WORDS + ')\\b', 'i'))
+  if (m) return { action: 'move', distance: parseInt(m[1], 10), direction: DIRECTIONS[m[2].toLowerCase()] }
+  m = text.match(new RegExp('\\b(?:go|move|walk|head|run)\\s+(?:to\\s+the\\s+)?(' + DIRECTION_WORDS + ')\\s+(?:for\\s+)?(\\d+)\\b', 'i'))
+  if (m) return { action: 'move', distance: parseInt(m[2], 10), direction: DIRECTIONS[m[1].toLowerCase()] }
+  m = text.match(/\b(?:go to|goto|move to|go|head to|return to|walk to)\s+(?:the\s+)?(?:my\s+)?([\w-]+)/i)
+  if (m && isWaypoint(username, m[1])) return { action: 'goto', waypoint: m[1].toLowerCase(), ...via }
+  return null
+}
+
+// keyword finds where a command starts in the clause so several commands in one clause keep their order
+const CLAUSE_MATCHERS = [
+  { keyword: /\b(?:go|goto|move|walk|head|run|return|travel)\b/i, parse: (u, text, opts) => parseMovement(u, text, opts.isWaypoint) },
+  { keyword: /\b(?:follow|come)\b/i, parse: (u, text) => parseFollow(u, text) },
+  { keyword: /(?:\/tpa|\btpa|\btp|\bteleport)\b/i, parse: (u, text) => parseTpa(u, text) },
+  { keyword: /\b(?:wait|pause|stop)\b/i, parse: (u, text) => parseWait(text) },
+  { keyword: /\b(?:mine|dig|collect|gather)\b/i, parse: (u, text) => parseMineRequest(text) },
+  { keyword: /\b(?:put|deposit|store|give|drop|hold|equip|wield)\b/i, parse: (u, text) => parseInventoryRequest(u, text) },
+  { keyword: /\b(?:guard|attack)\b/i, parse: (u, text) => parseGuardRequest(u, text) },
+  { keyword: /\bbuild\b/i, parse: (u, text) => parseBuildRequest(text) },
+  { keyword: /\b(?:craft|smelt|cook)\b/i, parse: (u, text) => parseCraftRequest(text) },
+  // only as the command itself, so "go to the farm" stays a goto; the rest of the clause ("and store it in the
+  // chest at ...") is part of the farm command, so it owns everything after it
+  { keyword: /(?:^|\b(?:please|pls|now|start|and)\s+)farm(?:ing)?\b/i, parse: (u, text) => parseFarmRequest(text), ownsRest: true }
+]
+
+// options.isWaypoint(username, name) says whether a bare word after "go to" is a known waypoint
+export function parseClause(username, text, options = {}) {
+  const opts = { isWaypoint: () => false, ...options }
+  const found = []
+  for (const matcher of CLAUSE_MATCHERS) {
+    const index = text.search(matcher.keyword)
+    if (index === -1) continue
+    const step = matcher.parse(username, text.slice(index), opts)
+    if (step) found.push({ index, step, ownsRest: !!matcher.ownsRest })
+  }
+  found.sort((a, b) => a.index - b.index)
+  const owner = found.find(f => f.ownsRest)
+  return found.filter(f => !owner || f.index <= owner.index).map(f => f.step)
+}
+
+// ---------- Plans ----------
+function stripBotNames(message, botNames) {
+  let text = ' ' + message + ' '
+  for (const name of botNames) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    text = text.replace(new RegExp('\\b' + escaped + '\\b[,:]?', 'gi'), ' ')
+  }
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+export function splitClauses(message, botNames = []) {
+  return stripBotNames(message, botNames)
+    .split(CLAUSE_SPLIT)
+    .map(c => c.trim())
+    .filter(c => c.split(/\s+/).some(w => w && !FILLER_WORDS.includes(w.toLowerCase().replace(/[^a-z]/g, ''))))
+}
+
+function flatten(items) {
+  const steps = []
+  for (const item of items) {
+    if (item.action === 'repeat') {
+      for (let i = 0; i < item.times; i++) steps.push(...item.steps.map(s => ({ ...s })))
+    } else steps.push(item)
+  }
+  return steps
+}
+
+// Returns { items, steps, watches, skipped, error }:
+//   items keep repeats as { action: 'repeat', times, steps } for describing the plan,
+//   steps is the flat list to run, watches are { mob, radius, steps } that interrupt the plan when the mob shows up,
+//   skipped lists clauses nothing could be made of.
+export function parseInstructions(username, message, options = {}) {
+  const clauses = splitClauses(message, options.botNames || [])
+  const items = []
+  const watches = []
+  const skipped = []
+  let segmentStart = 0
+  let error = null
+
+  for (let i = 0; i < clauses.length; i++) {
+    let text = clauses[i]
+    let times = null
+    const rep = text.match(REPEAT_RE)
+    if (rep) {
+      times = toNumber(rep[1])
+      text = text.slice(0, rep.index).trim()
+    }
+    const cond = text.match(CONDITION_RE)
+    if (cond) {
+      // "if you see a creeper, come back": the action is either in the same clause or the next one
+      let actionText = (text.slice(0, cond.index) + ' ' + text.slice(cond.index + cond[0].length)).trim()
+      if (!actionText && i + 1 < clauses.length) actionText = clauses[++i]
+      const steps = parseClause(username, actionText, options)
+      if (steps.length > 0) watches.push({ mob: singularMob(cond[1]), radius: cond[2] ? parseInt(cond[2], 10) : null, steps })
+      else skipped.push(clauses[i])
+      text = ''
+    }
+    if (text) {
+      const steps = parseClause(username, text, options)
+      if (steps.length > 0) items.push(...steps)
+      else skipped.push(text)
+    }
+    if (rep) {
+      if (!times || times < 1) { error = "I can't repeat something " + rep[1] + ' times'; continue }
+      if (times > MAX_REPEAT) { error = 'I can repeat things at most ' + MAX_REPEAT + ' times'; continue }
+      const body = items.splice(segmentStart)
+      if (body.length > 0) items.push({ action: 'repeat', times, steps: body })
+      segmentStart = items.length
+    }
+  }
+
+  const steps = flatten(items)
+  if (!error && steps.length > MAX_PLAN_STEPS) error = 'That plan has ' + steps.length + ' steps; the most I take at once is ' + MAX_PLAN_STEPS
+  return { items, steps, watches, skipped, error }
+}
+
+// ---------- Describing plans ----------
+export function describeSeconds(seconds) {
+  if (seconds % 3600 === 0) return seconds / 3600 + 'h'
+  if (seconds % 60 === 0) return seconds / 60 + 'min'
+  return seconds + 's'
+}
+
+export function describeStep(step) {
+  switch (step.action) {
+    case 'follow': return 'follow ' + step.player + (step.distance ? ' at ' + step.distance + ' blocks' : '') + (step.seconds === 0 ? ' until stopped' : step.seconds ? ' for ' + describeSeconds(step.seconds) : '')
+    case 'goto': return 'go to ' + (step.waypoint || step.x + ' ' + step.y + ' ' + step.z) + (step.via ? ' via the ' + step.via : '')
+    case 'move': return 'go ' + step.distance + ' blocks ' + step.direction
+    case 'tpa': return 'teleport to ' + step.player
+    case 'wait': return 'wait ' + step.seconds + 's'
+    case 'mine': return 'mine ' + step.count + ' ' + step.block + (step.nearPlayer ? ' near you' : '')
+    case 'hold': return 'hold ' + step.item
+    case 'drop': return 'drop ' + step.count + ' ' + (step.item || 'items')
+    case 'give': return 'give ' + step.player + ' ' + step.count + ' ' + step.item
+    case 'deposit': return 'put ' + step.count + ' ' + (step.item || 'items') + (step.nearest ? ' in the nearest chest' : ' in the chest at ' + step.x + ' ' + step.y + ' ' + step.z)
+    case 'guard': return 'guard ' + (step.player || 'here') + (step.radius ? ' within ' + step.radius : '')
+    case 'attack': return 'attack ' + (step.mob || 'hostiles')
+    case 'farm': return 'farm ' + (step.corners ? step.corners.map(c => c.x + ' ' + c.y + ' ' + c.z).join(' to ') : step.here ? 'here' : step.waypoint || 'the usual spot') + (step.chest ? ', chest at ' + step.chest.x + ' ' + step.chest.y + ' ' + step.chest.z : '')
+    case 'build': return 'build ' + step.structure + (step.here ? ' here' : ' at ' + step.x + ' ' + step.y + ' ' + step.z)
+    case 'craft': return 'craft ' + step.count + ' ' + step.item
+    case 'smelt': return 'smelt ' + step.count + ' ' + step.item
+    case 'repeat': return 'repeat ' + step.times + 'x [' + step.steps.map(describeStep).join(', ') + ']'
+    default: return step.action
+  }
+}
+
+// One chat line: "1) mine 8 oak_log 2) repeat 3x [...]; if I see a creeper: follow Steve"
+export function describePlan(plan) {
+  let text = plan.items.map((item, i) => (i + 1) + ') ' + describeStep(item)).join(' ')
+  for (const w of plan.watches) {
+    text += (text ? '; ' : '') + 'if I see a ' + w.mob + (w.radius ? ' within ' + w.radius : '') + ': ' + w.steps.map(describeStep).join(', ')
+  }
+  return text
+}
@@ -0,0 +1,59 @@
+// Log files: the plain text log that console output is copied to, and events.jsonl, one JSON object per
+// line for things worth querying later (chat, commands, step results, disconnects, deaths). Both rotate
+// by size: file -> file.1 -> file.2 ... and the oldest is dropped.
+import fs from 'fs'
+import path from 'path'
+
+export const DEFAULT_MAX_BYTES = 10 * 1024 * 1024
+export const DEFAULT_KEEP = 5
+
+// Appends synchronously so a crash never loses the lines that explain it
+export function createRotatingFile({ file, maxBytes = DEFAULT_MAX_BYTES, keep = DEFAULT_KEEP }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  let size = 0
+  try { size = fs.statSync(file).size } catch (e) { /* not created yet */ }
+
+  function rotate() {
+    for (let i = keep - 1; i >= 1; i--) {
+      if (fs.existsSync(file + '.' + i)) fs.renameSync(file + '.' + i, file + '.' + (i + 1))
+    }
+    if (keep > 0) fs.renameSync(file, file + '.1')
+    else fs.unlinkSync(file)
+    size = 0
+  }
+
+  return {
+    file,
+    write(text) {
+      const bytes = Buffer.byteLength(text)
+      if (size > 0 && size + bytes > maxBytes) rotate()
+      fs.appendFileSync(file, text)
+      size += bytes
+    }
+  }
+}
+
+// Control characters would break a line apart or garble a terminal; everything else, accents and CJK
+// player names included, is kept as written
+export function stripControl(s) {
+  return String(s).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+}
+
+// write(type, { bot, ... }) adds a line like {"ts":"2024-05-01T12:00:00.000Z","type":"command","bot":"main",...}
+export function createEventLog({ file, maxBytes, keep, log = console }) {
+  const out = createRotatingFile({ file, maxBytes, keep })
+  let failed = false
+  return {
+    file,
+    write(type, data = {}) {
+      try {
+        out.write(JSON.stringify({ ts: new Date().toISOString(), type, ...data }) + '\n')
+        failed = false
+      } catch (e) {
+        // say so once, not on every event while the disk stays full
+        if (!failed) log.warn('[EVENTS] write failed', e && e.message)
+        failed = true
+      }
+    }
+  }
+}
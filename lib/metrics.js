@@ -0,0 +1,71 @@
+// Counters and gauges rendered in the Prometheus text format for GET /metrics. Counters are kept here;
+// gauges that mirror live state (health, queue length, connected) are read by collectors at scrape time.
+const NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function labelKey(labels) {
+  const keys = Object.keys(labels).sort()
+  if (keys.length === 0) return ''
+  return '{' + keys.map(k => k + '="' + escapeLabel(labels[k]) + '"').join(',') + '}'
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf'
+  if (v === -Infinity) return '-Inf'
+  return Number.isNaN(v) ? 'NaN' : String(v)
+}
+
+export function createMetrics() {
+  // name -> { type, help, values: Map(labelKey -> value) }
+  const families = new Map()
+  const collectors = []
+  const collected = new Set()
+
+  function family(name, type, help) {
+    if (!NAME.test(name)) throw new Error('bad metric name ' + name)
+    let f = families.get(name)
+    if (!f) {
+      f = { type, help, values: new Map() }
+      families.set(name, f)
+    }
+    return f
+  }
+
+  return {
+    counter(name, help) { family(name, 'counter', help) },
+    gauge(name, help) { family(name, 'gauge', help) },
+    inc(name, labels = {}, by = 1) {
+      const f = family(name, 'counter', '')
+      const key = labelKey(labels)
+      f.values.set(key, (f.values.get(key) || 0) + by)
+    },
+    set(name, labels, value) {
+      const f = family(name, 'gauge', '')
+      f.values.set(labelKey(labels), value)
+    },
+    // fn(set) runs before every render; set(name, labels, value) fills gauges from live state. What a
+    // collector set last time is cleared first, so a series it no longer reports disappears.
+    collect(fn) { collectors.push(fn) },
+    render() {
+      for (const name of collected) families.get(name).values.clear()
+      collected.clear()
+      const set = (name, labels, value) => {
+        family(name, 'gauge', '').values.set(labelKey(labels), value)
+        collected.add(name)
+      }
+      for (const fn of collectors) {
+        try { fn(set) } catch (e) { /* a broken collector must not break the scrape */ }
+      }
+      const lines = []
+      for (const [name, f] of families) {
+        if (f.help) lines.push('# HELP ' + name + ' ' + f.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'))
+        lines.push('# TYPE ' + name + ' ' + f.type)
+        for (const [key, value] of f.values) lines.push(name + key + ' ' + formatValue(value))
+      }
+      return lines.join('\n') + '\n'
+    }
+  }
+}
@@ -0,0 +1,65 @@
+// Named movement profiles for mineflayer-pathfinder. A profile is a handful of switches applied to a fresh
+// Movements: whether the bot may break blocks (and whether bases are off limits), jump gaps, pillar up with
+// scaffolding blocks, sprint, or swim when there is a dry way around. Fleet config can add or override profiles.
+
+export const DEFAULT_PROFILE = 'normal'
+
+export const DEFAULT_PROFILES = {
+  // pathfinder's defaults, except that nothing near a base is broken
+  normal: { dig: true, protectBases: true, parkour: true, scaffold: true, sprint: true, avoidWater: false },
+  // no jumping over gaps and no swimming unless there is no other way
+  safe: { dig: true, protectBases: true, parkour: false, scaffold: true, sprint: true, avoidWater: true },
+  // never breaks or places anything, for walking around other people's builds
+  gentle: { dig: false, protectBases: true, parkour: false, scaffold: false, sprint: false, avoidWater: true },
+  // whatever is shortest, bases included
+  direct: { dig: true, protectBases: false, parkour: true, scaffold: true, sprint: true, avoidWater: false }
+}
+
+// what pathfinder treats as "can't break"; anything lower is only a higher cost
+const NO_BREAK_COST = 100
+const WATER_COST = 20
+
+// custom: { name: { ...switches } } from the fleet config; unknown switches are left out, missing ones come
+// from the normal profile
+export function mergeProfiles(custom = {}) {
+  const profiles = { ...DEFAULT_PROFILES }
+  for (const [name, switches] of Object.entries(custom || {})) {
+    const key = String(name).toLowerCase()
+    const base = profiles[key] || DEFAULT_PROFILES[DEFAULT_PROFILE]
+    const merged = { ...base }
+    for (const k of Object.keys(base)) if (switches && typeof switches[k] === 'boolean') merged[k] = switches[k]
+    profiles[key] = merged
+  }
+  return profiles
+}
+
+// bases: [{ x, y, z }] protected within radius blocks when the profile says so
+export function applyProfile(movements, profile, { bases = [], baseRadius = 24 } = {}) {
+  movements.canDig = !!profile.dig
+  movements.allowParkour = !!profile.parkour
+  movements.allow1by1towers = !!profile.scaffold
+  if (!profile.scaffold) movements.scafoldingBlocks = []
+  movements.allowSprinting = !!profile.sprint
+  if (profile.avoidWater) movements.liquidCost = WATER_COST
+  if (profile.dig && profile.protectBases && bases.length) {
+    const r2 = baseRadius * baseRadius
+    movements.exclusionAreasBreak.push(block => bases.some(b => {
+      const dx = block.position.x - b.x
+      const dy = block.position.y - b.y
+      const dz = block.position.z - b.z
+      return dx * dx + dy * dy + dz * dz <= r2
+    }) ? NO_BREAK_COST : 0)
+  }
+  return movements
+}
+
+export function describeProfile(name, profile) {
+  const parts = [
+    profile.dig ? 'breaks blocks' + (profile.protectBases ? ' (not near bases)' : '') : 'never breaks blocks',
+    profile.parkour ? 'jumps gaps' : 'no parkour',
+    profile.scaffold ? 'scaffolds' : 'no scaffolding',
+    profile.avoidWater ? 'avoids water' : 'swims'
+  ]
+  if (!profile.sprint) parts.push('walks')
+  return name + ': ' + parts.join(', ')
+}
@@ -0,0 +1,253 @@
+// Role-based permissions: named roles with per-action grants, per-role rate limits and an audit log.
+// Replaces the old trusted/ignored arrays; those files are migrated on first load.
+import fs from 'fs'
+
+// Everything a chat command can ask for. 'waypoint' covers shared waypoints; private ones are open to all.
+export const ACTIONS = ['follow', 'goto', 'tpa', 'wait', 'mine', 'hold', 'drop', 'give', 'deposit', 'guard', 'attack', 'build', 'farm', 'craft', 'smelt', 'stop', 'cancel', 'waypoint']
+
+// rank orders roles for "who may change whom"; rateLimit is commands per window, null for unlimited
+export const DEFAULT_ROLES = {
+  owner: { rank: 100, actions: ['*'], manage: true, rateLimit: null },
+  admin: { rank: 80, actions: ['*'], manage: true, rateLimit: { count: 30, seconds: 60 } },
+  trusted: { rank: 50, actions: [...ACTIONS], manage: false, rateLimit: { count: 15, seconds: 60 } },
+  guest: { rank: 10, actions: [], manage: false, rateLimit: { count: 5, seconds: 60 } },
+  banned: { rank: 0, actions: [], manage: false, ignored: true, rateLimit: null }
+}
+
+const AUDIT_MEMORY = 50
+
+// log: a console-like object; bots in a fleet pass one that tags lines with the bot id
+export function createPermissions({ file, auditFile, ownerName, legacyTrustedFile = null, legacyIgnoredFile = null, log = console }) {
+  let state = { roles: { ...DEFAULT_ROLES }, players: {}, grants: {}, defaultRole: 'guest', actions: [...ACTIONS] }
+  const recentAudit = []
+  const rateWindows = new Map()
+
+  function readJson(f) {
+    return f && fs.existsSync(f) ? JSON.parse(fs.readFileSync(f, 'utf8')) : null
+  }
+
+  function load() {
+    try {
+      const saved = readJson(file)
+      if (saved) {
+        state = {
+          roles: { ...DEFAULT_ROLES, ...(saved.roles || {}) },
+          players: saved.players || {},
+          grants: saved.grants || {},
+          defaultRole: saved.defaultRole || 'guest',
+          actions: [...ACTIONS]
+        }
+        // a role that had every action there was when the file was saved also gets the ones added since
+        if (Array.isArray(saved.actions)) {
+          const added = ACTIONS.filter(a => !saved.actions.includes(a))
+          for (const role of Object.values(state.roles)) {
+            if (added.length && Array.isArray(role.actions) && saved.actions.every(a => role.actions.includes(a))) role.actions = [...new Set([...role.actions, ...added])]
+          }
+        }
+        log.log('[ROLES] Loaded roles for ' + Object.keys(state.players).length + ' players')
+      } else {
+        // first run after the switch from trusted.json / ignored.json
+        const trusted = readJson(legacyTrustedFile) || []
+        const ignored = readJson(legacyIgnoredFile) || []
+        for (const p of trusted) state.players[p] = 'trusted'
+        for (const p of ignored) state.players[p] = 'banned'
+        log.log('[ROLES] Migrated ' + trusted.length + ' trusted and ' + ignored.length + ' ignored players')
+        if (ownerName) state.players[ownerName] = 'owner'
+        save()
+      }
+    } catch (e) { log.warn('[ROLES] Load failed', e.message) }
+    if (ownerName) state.players[ownerName] = 'owner'
+  }
+
+  function save() {
+    try { fs.writeFileSync(file, JSON.stringify(state, null, 2)); log.log('[ROLES] Saved roles') } catch (e) { log.error('[ROLES] Save failed', e.message) }
+  }
+
+  function audit(entry) {
+    const record = { timestamp: Date.now(), ...entry }
+    recentAudit.push(record)
+    while (recentAudit.length > AUDIT_MEMORY) recentAudit.shift()
+    log.log('[ROLES] ' + record.by + ' ' + record.change + ' ' + record.target + ' ' + JSON.stringify({ from: record.from, to: record.to }))
+    try { fs.appendFileSync(auditFile, JSON.stringify(record) + '\n') } catch (e) { log.error('[ROLES] Audit write failed', e.message) }
+  }
+
+  // Minecraft names are case-insensitive; reuse whatever spelling is already stored
+  function keyFor(map, name) {
+    const lower = String(name).toLowerCase()
+    return Object.keys(map).find(k => k.toLowerCase() === lower) || name
+  }
+
+  function roleOf(name) {
+    const role = state.players[keyFor(state.players, name)]
+    return role && state.roles[role] ? role : state.defaultRole
+  }
+
+  function roleInfo(name) {
+    return state.roles[roleOf(name)] || DEFAULT_ROLES.guest
+  }
+
+  function grantsOf(name) {
+    return state.grants[keyFor(state.grants, name)] || { allow: [], deny: [] }
+  }
+
+  function can(name, action) {
+    const g = grantsOf(name)
+    if (g.deny.includes(action)) return false
+    if (g.allow.includes(action)) return true
+    const actions = roleInfo(name).actions || []
+    return actions.includes('*') || actions.includes(action)
+  }
+
+  function allowedActions(name) {
+    return ACTIONS.filter(a => can(name, a))
+  }
+
+  // actor may change target if they manage roles and outrank them (owners may change anyone but themselves)
+  function canManage(actor, target, newRole = null) {
+    const a = roleInfo(actor)
+    if (!a.manage) return 'you cannot manage roles'
+    if (String(actor).toLowerCase() === String(target).toLowerCase()) return 'you cannot change your own role'
+    if (roleOf(actor) === 'owner') return null
+    if (roleInfo(target).rank >= a.rank) return target + ' has the same or a higher role than you'
+    if (newRole && state.roles[newRole] && state.roles[newRole].rank >= a.rank) return 'you cannot hand out ' + newRole
+    return null
+  }
+
+  // by: who made the change ('api' for the HTTP API, which acts as owner)
+  function setRole(by, target, role) {
+    if (!state.roles[role]) return { error: 'unknown role ' + role }
+    if (by !== 'api') {
+      const denied = canManage(by, target, role)
+      if (denied) return { error: denied }
+    }
+    const key = keyFor(state.players, target)
+    const from = roleOf(target)
+    if (from === role) return { changed: false, from, to: role }
+    if (role === state.defaultRole) delete state.players[key]
+    else state.players[key] = role
+    save()
+    audit({ by, target: key, change: 'role', from, to: role })
+    return { changed: true, from, to: role }
+  }
+
+  function setGrant(by, target, actions, allow) {
+    const unknown = actions.filter(a => !ACTIONS.includes(a))
+    if (unknown.length) return { error: 'unknown actions ' + unknown.join(', ') }
+    if (by !== 'api') {
+      const denied = canManage(by, target)
+      if (denied) return { error: denied }
+    }
+    const key = keyFor(state.grants, target)
+    const from = grantsOf(target)
+    const g = { allow: [...from.allow], deny: [...from.deny] }
+    for (const a of actions) {
+      g.allow = g.allow.filter(x => x !== a)
+      g.deny = g.deny.filter(x => x !== a)
+      if (allow) g.allow.push(a)
+      else g.deny.push(a)
+    }
+    state.grants[key] = g
+    save()
+    audit({ by, target: key, change: allow ? 'allow' : 'deny', from, to: g })
+    return { changed: true, grants: g }
+  }
+
+  function clearGrants(by, target) {
+    if (by !== 'api') {
+      const denied = canManage(by, target)
+      if (denied) return { error: denied }
+    }
+    const key = keyFor(state.grants, target)
+    if (!state.grants[key]) return { changed: false }
+    const from = state.grants[key]
+    delete state.grants[key]
+    save()
+    audit({ by, target: key, change: 'clear-grants', from, to: null })
+    return { changed: true }
+  }
+
+  // Sliding window per player; returns { allowed, notify } where notify is true only for the first refusal
+  function checkRate(name) {
+    const limit = roleInfo(name).rateLimit
+    if (!limit) return { allowed: true, notify: false }
+    const now = Date.now()
+    const windowMs = limit.seconds * 1000
+    const entry = rateWindows.get(name) || { hits: [], warned: false }
+    entry.hits = entry.hits.filter(t => now - t < windowMs)
+    if (entry.hits.length >= limit.count) {
+      const notify = !entry.warned
+      entry.warned = true
+      rateWindows.set(name, entry)
+      return { allowed: false, notify }
+    }
+    entry.hits.push(now)
+    entry.warned = false
+    rateWindows.set(name, entry)
+    return { allowed: true, notify: false }
+  }
+
+  // Settings from the fleet config, at start and on "reload config": who owns the bot, the role of players
+  // without one, and admins and trusted players to add. Players who already have a role keep it, so changes made
+  // in game survive a reload. Returns { changes } (lines for the owner) or { error } with nothing changed.
+  function configure({ owner = ownerName, defaultRole = null, admins = [], trusted = [] }) {
+    if (defaultRole && !state.roles[defaultRole]) return { error: 'unknown default role ' + defaultRole }
+    const changes = []
+    if (owner && owner !== ownerName) {
+      const old = keyFor(state.players, ownerName)
+      if (state.players[old] === 'owner') {
+        delete state.players[old]
+        audit({ by: 'config', target: old, change: 'role', from: 'owner', to: roleOf(old) })
+        changes.push(old + ' is no longer owner')
+      }
+      ownerName = owner
+    }
+    if (ownerName && roleOf(ownerName) !== 'owner') {
+      const key = keyFor(state.players, ownerName)
+      const from = roleOf(key)
+      state.players[key] = 'owner'
+      audit({ by: 'config', target: key, change: 'role', from, to: 'owner' })
+      changes.push(key + ' is now owner')
+    }
+    if (defaultRole && defaultRole !== state.defaultRole) {
+      changes.push('players without a role are now ' + defaultRole + ' (were ' + state.defaultRole + ')')
+      state.defaultRole = defaultRole
+    }
+    for (const [names, role] of [[admins, 'admin'], [trusted, 'trusted']]) {
+      for (const name of names) {
+        if (state.players[keyFor(state.players, name)]) continue
+        state.players[name] = role
+        audit({ by: 'config', target: name, change: 'role', from: state.defaultRole, to: role })
+        changes.push(name + ' is now ' + role)
+      }
+    }
+    if (changes.length) save()
+    return { changes }
+  }
+
+  function playersWithRank(minRank) {
+    return Object.keys(state.players).filter(p => (state.roles[state.players[p]] || {}).rank >= minRank)
+  }
+
+  load()
+  return {
+    save,
+    roleOf,
+    roleInfo,
+    can,
+    allowedActions,
+    canManage,
+    setRole,
+    setGrant,
+    clearGrants,
+    configure,
+    checkRate,
+    grantsOf,
+    isIgnored: name => !!roleInfo(name).ignored,
+    isOwner: name => roleOf(name) === 'owner',
+    roleNames: () => Object.keys(state.roles),
+    playersWithRole: role => Object.keys(state.players).filter(p => state.players[p] === role),
+    trustedPlayers: () => playersWithRank(state.roles.trusted ? state.roles.trusted.rank : DEFAULT_ROLES.trusted.rank),
+    recentAudit: () => [...recentAudit],
+    toJSON: () => state
+  }
+}
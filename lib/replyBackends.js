@@ -0,0 +1,101 @@
+// Conversational reply backends. Every backend exposes async reply({ username, message, isTrusted, history, facts })
+// and returns a string; history is the player's own thread and facts what the bot remembers about them.
+// createReplyService adds per-player rate limits and the rule-based fallback.
+
+const MAX_REPLY_LENGTH = 220
+
+// The compromise rules in bot.js; `generate` is generateResponse(message, username, isTrusted)
+export function createRuleBackend(generate) {
+  return {
+    name: 'rules',
+    reply: async ({ username, message, isTrusted }) => generate(message, username, isTrusted)
+  }
+}
+
+// history entries are memory records: { role: 'user'|'assistant', content }
+function toChatMessages(systemPrompt, history) {
+  const messages = [{ role: 'system', content: systemPrompt }]
+  for (const h of history) {
+    if (!h || typeof h.content !== 'string') continue
+    messages.push({ role: h.role === 'assistant' ? 'assistant' : 'user', content: h.content })
+  }
+  return messages
+}
+
+// style 'openai' posts to an OpenAI-compatible /v1/chat/completions, 'ollama' to Ollama's /api/chat
+export function createHttpLlmBackend({ url, style = 'openai', model, apiKey = '', timeoutMs = 8000, personality = '', botName = 'the bot', historySize = 12 }) {
+  if (!url) throw new Error('LLM backend needs a url')
+  const systemPrompt = (personality ? personality.trim() + '\n' : '') +
+    'You are ' + botName + ', a helper bot on a Minecraft server. Lines from players look like "name: message". ' +
+    'Reply in one short chat line without markdown. Commands such as follow or mine are handled elsewhere, so only talk.'
+
+  async function reply({ username, history, facts = [] }) {
+    const known = facts.length ? '\nWhat you remember about ' + username + ': ' + facts.join('; ') + '.' : ''
+    const messages = toChatMessages(systemPrompt + known, history.slice(-historySize))
+    const body = style === 'ollama'
+      ? { model, messages, stream: false, options: { num_predict: 120 } }
+      : { model, messages, max_tokens: 120, temperature: 0.7 }
+    const headers = { 'content-type': 'application/json' }
+    if (apiKey) headers.authorization = 'Bearer ' + apiKey
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeoutMs)
+    let res
+    try {
+      res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: controller.signal })
+    } catch (e) {
+      throw new Error(e.name === 'AbortError' ? 'timed out after ' + timeoutMs + 'ms' : e.message)
+    } finally {
+      clearTimeout(timer)
+    }
+    if (!res.ok) throw new Error('HTTP ' + res.status)
+    const data = await res.json()
+    const text = style === 'ollama'
+      ? data && data.message && data.message.content
+      : data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content
+    if (!text || !String(text).trim()) throw new Error('empty reply')
+    return String(text)
+  }
+
+  return { name: style + ':' + (model || 'default'), reply }
+}
+
+// Chat can only carry one short line
+function tidyReply(text) {
+  const oneLine = String(text).replace(/\s+/g, ' ').replace(/^["']|["']$/g, '').trim()
+  return oneLine.length > MAX_REPLY_LENGTH ? oneLine.slice(0, MAX_REPLY_LENGTH - 3).trimEnd() + '...' : oneLine
+}
+
+// primary may be the rule backend itself; perPlayer limits how often one player reaches the primary.
+// log: a console-like object; bots in a fleet pass one that tags lines with the bot id
+export function createReplyService({ primary, fallback, perPlayer = { count: 4, seconds: 60 }, log = console }) {
+  const calls = new Map()
+
+  function underLimit(username) {
+    if (!perPlayer || primary === fallback) return true
+    const now = Date.now()
+    const hits = (calls.get(username) || []).filter(t => now - t < perPlayer.seconds * 1000)
+    if (hits.length >= perPlayer.count) { calls.set(username, hits); return false }
+    hits.push(now)
+    calls.set(username, hits)
+    return true
+  }
+
+  async function reply(request) {
+    if (primary !== fallback) {
+      if (!underLimit(request.username)) {
+        log.log('[REPLY] ' + request.username + ' over ' + primary.name + ' limit, using ' + fallback.name)
+      } else {
+        try {
+          const text = tidyReply(await primary.reply(request))
+          if (text) return text
+        } catch (e) {
+          log.warn('[REPLY] ' + primary.name + ' failed, using ' + fallback.name + ': ' + e.message)
+        }
+      }
+    }
+    return tidyReply(await fallback.reply(request))
+  }
+
+  return { reply, backend: () => primary.name }
+}
@@ -0,0 +1,207 @@
+// Rules that make the bot act on its own: "every 20 minutes deposit logs into the chest", "every day at dusk
+// go to base", "when TryChloroform joins, greet and follow", "when someone says 'dinner' go to base".
+// This module parses and stores the rules and decides when they fire; what firing does is the caller's run().
+import fs from 'fs'
+
+const TICK_MS = 5000
+// chat and join rules fire at most this often, so a chatty player can't flood the queue
+const EVENT_COOLDOWN_MS = 30000
+const MIN_INTERVAL_MINUTES = 1
+const MAX_RULES = 50
+
+// in-game ticks (0-23999) for the times of day people say
+export const GAME_TIMES = { sunrise: 23000, dawn: 23000, morning: 1000, noon: 6000, evening: 11500, sunset: 12000, dusk: 12000, night: 13000, midnight: 18000 }
+const GAME_TIME_WORDS = Object.keys(GAME_TIMES).join('|')
+const ANYONE = /^(?:someone|anyone|somebody|anybody|a player|any player)$/i
+
+// greet/say parts of an action; the rest is ordinary instruction text for the plan parser
+export function parseAction(text) {
+  let rest = String(text).trim().replace(/^(?:then\s+|,\s*)/i, '')
+  let greet = false
+  let say = null
+  for (let i = 0; i < 2; i++) {
+    let m = rest.match(/^(?:greet|welcome|say (?:hi|hello))(?:\s+(?:them|him|her))?\s*(?:,|\band\b|\bthen\b)?\s*/i)
+    if (m) { greet = true; rest = rest.slice(m[0].length); continue }
+    m = rest.match(/^say\s+["'](.+?)["']\s*(?:,|\band\b|\bthen\b)?\s*/i)
+    if (m) { say = m[1]; rest = rest.slice(m[0].length); continue }
+  }
+  return { greet, say, instructions: rest.trim() }
+}
+
+function withAction(trigger, actionText) {
+  const action = parseAction(actionText)
+  if (!action.greet && !action.say && !action.instructions) return { error: 'what should I do then?' }
+  return { trigger, action, text: actionText.trim() }
+}
+
+// A rule definition, { error } for one that is recognisably a rule but broken, or null for anything else.
+// text should already have the bot's names removed.
+export function parseScheduleCommand(text) {
+  const t = String(text).trim().replace(/[.!]+$/, '')
+  let m = t.match(/^(?:every|each)\s+(\d+)\s*(minutes?|mins?|hours?|hrs?)\s*,?\s+(.+)$/i) || t.match(/^(?:every|each)\s+()(minute|hour)\s*,?\s+(.+)$/i)
+  if (m) {
+    const minutes = (parseInt(m[1] || '1', 10)) * (/^h/i.test(m[2]) ? 60 : 1)
+    if (minutes < MIN_INTERVAL_MINUTES) return { error: 'the shortest interval is ' + MIN_INTERVAL_MINUTES + ' minute' }
+    return withAction({ type: 'interval', minutes }, m[3])
+  }
+  m = t.match(/^every\s+day\s+at\s+(\d{1,2}):(\d{2})\s*,?\s+(.+)$/i)
+  if (m) {
+    const hour = parseInt(m[1], 10)
+    const minute = parseInt(m[2], 10)
+    if (hour > 23 || minute > 59) return { error: m[1] + ':' + m[2] + ' is not a time' }
+    return withAction({ type: 'clock', hour, minute }, m[3])
+  }
+  m = t.match(new RegExp('^(?:every\\s+day\\s+at|every\\s+day\\s+at\\s+the|at|every|each)\\s+(' + GAME_TIME_WORDS + ')(?:\\s+every\\s+day)?\\s*,?\\s+(.+)$', 'i'))
+  if (m) return withAction({ type: 'gametime', name: m[1].toLowerCase(), tick: GAME_TIMES[m[1].toLowerCase()] }, m[2])
+  m = t.match(/^(?:when(?:ever)?|if|once)\s+([A-Za-z0-9_]{2,16}|a player|any player)\s+(joins|logs (?:in|on)|comes online|leaves|logs (?:off|out)|quits)\s*,?\s+(.+)$/i)
+  if (m) {
+    const type = /^(?:joins|logs (?:in|on)|comes online)$/i.test(m[2]) ? 'join' : 'leave'
+    return withAction({ type, player: ANYONE.test(m[1]) ? null : m[1] }, m[3])
+  }
+  m = t.match(/^(?:when(?:ever)?|if)\s+([A-Za-z0-9_]{2,16}|a player|any player)\s+says\s+["'](.+?)["']\s*,?\s+(.+)$/i)
+  if (m) return withAction({ type: 'chat', player: ANYONE.test(m[1]) ? null : m[1], pattern: m[2].toLowerCase() }, m[3])
+  if (/^(?:when(?:ever)?|if)\s+\S+\s+says\s+[^"']/i.test(t)) return { error: "put what they say in quotes, like: when someone says 'dinner' go to base" }
+  return null
+}
+
+export function describeTrigger(trigger) {
+  switch (trigger.type) {
+    case 'interval': return trigger.minutes % 60 === 0 ? 'every ' + (trigger.minutes / 60) + 'h' : 'every ' + trigger.minutes + 'm'
+    case 'clock': return 'daily at ' + String(trigger.hour).padStart(2, '0') + ':' + String(trigger.minute).padStart(2, '0')
+    case 'gametime': return 'every ' + trigger.name
+    case 'join': return 'when ' + (trigger.player || 'anyone') + ' joins'
+    case 'leave': return 'when ' + (trigger.player || 'anyone') + ' leaves'
+    case 'chat': return 'when ' + (trigger.player || 'anyone') + " says '" + trigger.pattern + "'"
+    default: return trigger.type
+  }
+}
+
+// run(rule, { player, reason }) does the work and returns false when it could not (not connected, still busy)
+export function createScheduler({ file, run, getTimeOfDay = () => null, log = console }) {
+  let rules = []
+  let nextId = 1
+  let timer = null
+  let lastTimeOfDay = null
+  const lastEvent = new Map()
+
+  function load() {
+    try {
+      const saved = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+      if (saved && Array.isArray(saved.rules)) {
+        rules = saved.rules
+        nextId = Math.max(saved.nextId || 1, ...rules.map(r => r.id + 1))
+      }
+      log.log('[SCHEDULE] Loaded ' + rules.length + ' rules')
+    } catch (e) { log.warn('[SCHEDULE] Load failed', e.message) }
+  }
+
+  function save() {
+    if (!file) return
+    try { fs.writeFileSync(file, JSON.stringify({ nextId, rules }, null, 2)) } catch (e) { log.error('[SCHEDULE] Save failed', e.message) }
+  }
+
+  function fire(rule, context) {
+    let ran = false
+    try { ran = run(rule, context) !== false } catch (e) { log.warn('[SCHEDULE] rule #' + rule.id + ' failed', e && e.message) }
+    if (!ran) return
+    rule.lastRun = Date.now()
+    rule.runs = (rule.runs || 0) + 1
+    log.log('[SCHEDULE] fired #' + rule.id + ' (' + context.reason + ')')
+    save()
+  }
+
+  // an event rule fires once per cooldown for each player that sets it off
+  function coolingDown(rule, player) {
+    const key = rule.id + ':' + (player || '')
+    const last = lastEvent.get(key) || 0
+    if (Date.now() - last < EVENT_COOLDOWN_MS) return true
+    lastEvent.set(key, Date.now())
+    return false
+  }
+
+  function clockDue(rule, now) {
+    const today = new Date(now)
+    today.setHours(rule.trigger.hour, rule.trigger.minute, 0, 0)
+    return now >= today.getTime() && (rule.lastRun || rule.createdAt) < today.getTime()
+  }
+
+  // timeOfDay wraps at 24000, so "crossed" has to look both sides of midnight
+  function crossed(from, to, tick) {
+    if (from === null || from === to) return false
+    return from < to ? from < tick && tick <= to : tick > from || tick <= to
+  }
+
+  function tick() {
+    const now = Date.now()
+    const timeOfDay = getTimeOfDay()
+    for (const rule of rules) {
+      if (!rule.enabled) continue
+      const t = rule.trigger
+      if (t.type === 'interval' && now - (rule.lastRun || rule.createdAt) >= t.minutes * 60000) fire(rule, { reason: describeTrigger(t) })
+      else if (t.type === 'clock' && clockDue(rule, now)) fire(rule, { reason: describeTrigger(t) })
+      else if (t.type === 'gametime' && timeOfDay !== null && crossed(lastTimeOfDay, timeOfDay, t.tick)) fire(rule, { reason: describeTrigger(t) })
+    }
+    lastTimeOfDay = timeOfDay
+  }
+
+  function matchesPlayer(rule, player) {
+    return !rule.trigger.player || rule.trigger.player.toLowerCase() === String(player).toLowerCase()
+  }
+
+  load()
+  return {
+    start() {
+      clearInterval(timer)
+      lastTimeOfDay = null
+      timer = setInterval(() => {
+        try { tick() } catch (e) { log.warn('[SCHEDULE] tick failed', e && e.message) }
+      }, TICK_MS)
+    },
+    stop() {
+      clearInterval(timer)
+      timer = null
+    },
+    // definition: what parseScheduleCommand returned
+    add(owner, definition) {
+      if (rules.length >= MAX_RULES) return { error: 'there are already ' + MAX_RULES + ' rules' }
+      const rule = { id: nextId++, owner, trigger: definition.trigger, action: definition.action, text: definition.text, enabled: true, createdAt: Date.now(), lastRun: null, runs: 0 }
+      rules.push(rule)
+      save()
+      log.log('[SCHEDULE] ' + owner + ' added #' + rule.id + ' ' + describeTrigger(rule.trigger) + ': ' + rule.text)
+      return { rule }
+    },
+    remove(id) {
+      const rule = rules.find(r => r.id === id)
+      if (!rule) return null
+      rules = rules.filter(r => r !== rule)
+      save()
+      return rule
+    },
+    setEnabled(id, enabled) {
+      const rule = rules.find(r => r.id === id)
+      if (!rule) return null
+      rule.enabled = enabled
+      save()
+      return rule
+    },
+    get: (id) => rules.find(r => r.id === id) || null,
+    list: () => rules.map(r => ({ ...r, description: describeTrigger(r.trigger) + ': ' + r.text })),
+    onPlayerEvent(event, player) {
+      for (const rule of rules) {
+        if (!rule.enabled || rule.trigger.type !== event || !matchesPlayer(rule, player)) continue
+        if (coolingDown(rule, player)) continue
+        fire(rule, { player, reason: player + ' ' + (event === 'join' ? 'joined' : 'left') })
+      }
+    },
+    onChat(player, message) {
+      const lower = String(message).toLowerCase()
+      // the line that defines a rule contains its own pattern
+      if (/\b(?:when(?:ever)?|if)\s+(?:a\s+|any\s+)?\S+\s+says\s+["']/.test(lower)) return
+      for (const rule of rules) {
+        if (!rule.enabled || rule.trigger.type !== 'chat' || !matchesPlayer(rule, player)) continue
+        if (!lower.includes(rule.trigger.pattern) || coolingDown(rule, player)) continue
+        fire(rule, { player, reason: player + " said '" + rule.trigger.pattern + "'" })
+      }
+    }
+  }
+}
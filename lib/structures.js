@@ -0,0 +1,214 @@
+// Structure files the bot can build: Sponge schematics (.schem, WorldEdit), Litematica (.litematic) and a
+// simple JSON format for hand-written ones. Every loader returns the same shape:
+// { name, size: { x, y, z }, blocks: [{ x, y, z, name, properties }] } with air left out and the lowest
+// corner at 0 0 0.
+import fs from 'fs'
+import path from 'path'
+import nbt from 'prismarine-nbt'
+
+export const STRUCTURE_EXTENSIONS = ['.json', '.schem', '.litematic']
+const MAX_BLOCKS = 100000
+
+const AIR = new Set(['air', 'cave_air', 'void_air', 'structure_void'])
+// blocks that appear by themselves, or that need buckets or lighters rather than placing
+const NOT_PLACED = new Set(['piston_head', 'moving_piston', 'fire', 'soul_fire', 'nether_portal', 'end_portal', 'bubble_column', 'water', 'lava'])
+// blocks whose item has a different name
+const ITEM_FOR_BLOCK = {
+  redstone_wire: 'redstone',
+  tripwire: 'string',
+  wall_torch: 'torch',
+  soul_wall_torch: 'soul_torch',
+  redstone_wall_torch: 'redstone_torch',
+  wheat: 'wheat_seeds',
+  carrots: 'carrot',
+  potatoes: 'potato',
+  beetroots: 'beetroot_seeds',
+  cocoa: 'cocoa_beans',
+  sweet_berry_bush: 'sweet_berries',
+  melon_stem: 'melon_seeds',
+  pumpkin_stem: 'pumpkin_seeds',
+  farmland: 'dirt',
+  dirt_path: 'dirt'
+}
+
+// "minecraft:oak_stairs[facing=north,half=bottom]" -> { name: 'oak_stairs', properties: { facing: 'north', half: 'bottom' } }
+export function parseBlockState(text) {
+  const m = String(text).trim().match(/^(?:[a-z0-9_.-]+:)?([a-z0-9_/.-]+)(?:\[(.*)\])?$/i)
+  if (!m) return { name: String(text), properties: {} }
+  const properties = {}
+  for (const pair of (m[2] || '').split(',')) {
+    const [k, v] = pair.split('=')
+    if (k && v !== undefined) properties[k.trim()] = v.trim()
+  }
+  return { name: m[1].toLowerCase(), properties }
+}
+
+// The item to place for a block, or null for blocks that are never placed by hand (air, door tops, ...)
+export function itemForBlock(name, properties = {}) {
+  if (AIR.has(name) || NOT_PLACED.has(name)) return null
+  if (properties.half === 'upper' || properties.part === 'head') return null
+  if (ITEM_FOR_BLOCK[name]) return ITEM_FOR_BLOCK[name]
+  if (/_wall_(?:torch|sign|banner|head|skull|fan)$/.test(name)) return name.replace('_wall_', '_')
+  if (name.startsWith('potted_')) return 'flower_pot'
+  return name
+}
+
+// Item name -> count needed for the whole structure
+export function materialsFor(blocks) {
+  const counts = {}
+  for (const b of blocks) {
+    const item = itemForBlock(b.name, b.properties)
+    if (item) counts[item] = (counts[item] || 0) + 1
+  }
+  return counts
+}
+
+// What is still missing given inventory counts ({ name: count })
+export function missingMaterials(required, inventory) {
+  const missing = {}
+  for (const [item, n] of Object.entries(required)) {
+    const have = inventory[item] || 0
+    if (have < n) missing[item] = n - have
+  }
+  return missing
+}
+
+// ---------- Loaders ----------
+function finish(name, blocks) {
+  if (blocks.length > MAX_BLOCKS) throw new Error(name + ' has ' + blocks.length + ' blocks; the limit is ' + MAX_BLOCKS)
+  if (blocks.length === 0) throw new Error(name + ' has no blocks')
+  const min = { x: Infinity, y: Infinity, z: Infinity }
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity }
+  for (const b of blocks) {
+    for (const k of ['x', 'y', 'z']) {
+      min[k] = Math.min(min[k], b[k])
+      max[k] = Math.max(max[k], b[k])
+    }
+  }
+  const shifted = blocks.map(b => ({ ...b, x: b.x - min.x, y: b.y - min.y, z: b.z - min.z }))
+  return { name, size: { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 }, blocks: shifted }
+}
+
+function solidBlock(x, y, z, state) {
+  const { name, properties } = typeof state === 'string' ? parseBlockState(state) : state
+  return AIR.has(name) ? null : { x, y, z, name, properties }
+}
+
+// { "blocks": [{ "x": 0, "y": 0, "z": 0, "block": "oak_planks" }] } or a palette with layers drawn as text,
+// bottom layer first, one string per z row and one character per x: { "palette": { "P": "oak_planks" },
+// "layers": [["PPP", "P.P", "PPP"]] }. "." and " " are air.
+export function parseJsonStructure(name, data) {
+  const blocks = []
+  if (Array.isArray(data.blocks)) {
+    for (const b of data.blocks) {
+      const block = solidBlock(parseInt(b.x, 10), parseInt(b.y, 10), parseInt(b.z, 10), b.block || b.name)
+      if (block && [block.x, block.y, block.z].every(Number.isFinite)) blocks.push(block)
+    }
+  } else if (Array.isArray(data.layers) && data.palette) {
+    data.layers.forEach((rows, y) => rows.forEach((row, z) => [...row].forEach((ch, x) => {
+      if (ch === '.' || ch === ' ') return
+      if (!data.palette[ch]) throw new Error(name + ': "' + ch + '" is not in the palette')
+      const block = solidBlock(x, y, z, data.palette[ch])
+      if (block) blocks.push(block)
+    })))
+  } else {
+    throw new Error(name + ': expected "blocks" or "palette" and "layers"')
+  }
+  return finish(data.name || name, blocks)
+}
+
+// Sponge schematic v1-v3. Blocks are a varint per block, x fastest, then z, then y.
+export function parseSpongeSchematic(name, root) {
+  const schem = root.Schematic || root
+  const width = schem.Width
+  const height = schem.Height
+  const length = schem.Length
+  const palette = schem.Blocks ? schem.Blocks.Palette : schem.Palette
+  const data = schem.Blocks ? schem.Blocks.Data : schem.BlockData
+  if (!palette || !data || !width) throw new Error(name + ' is not a Sponge schematic')
+  const byId = []
+  for (const [state, id] of Object.entries(palette)) byId[id] = parseBlockState(state)
+  const blocks = []
+  let index = 0
+  for (let i = 0; i < data.length;) {
+    let value = 0
+    let shift = 0
+    let byte
+    do {
+      byte = data[i++] & 0xff
+      value |= (byte & 0x7f) << shift
+      shift += 7
+    } while (byte & 0x80)
+    const x = index % width
+    const z = Math.floor(index / width) % length
+    const y = Math.floor(index / (width * length))
+    index++
+    if (y >= height) break
+    const block = byId[value] && solidBlock(x, y, z, byId[value])
+    if (block) blocks.push(block)
+  }
+  return finish(name, blocks)
+}
+
+// prismarine-nbt gives longs as [high, low] pairs of signed ints
+function toUnsigned64(long) {
+  if (typeof long === 'bigint') return BigInt.asUintN(64, long)
+  return BigInt.asUintN(64, (BigInt(long[0]) << 32n) | BigInt(long[1] >>> 0))
+}
+
+// Litematica: one or more regions, each a palette plus indices packed tightly into longs (an index may
+// span two longs). Region sizes can be negative, meaning the region extends the other way from Position.
+export function parseLitematic(name, root) {
+  if (!root.Regions) throw new Error(name + ' is not a Litematica schematic')
+  const blocks = []
+  for (const region of Object.values(root.Regions)) {
+    const size = region.Size
+    const pos = region.Position
+    const sx = Math.abs(size.x)
+    const sy = Math.abs(size.y)
+    const sz = Math.abs(size.z)
+    const origin = { x: pos.x + (size.x < 0 ? size.x + 1 : 0), y: pos.y + (size.y < 0 ? size.y + 1 : 0), z: pos.z + (size.z < 0 ? size.z + 1 : 0) }
+    const palette = region.BlockStatePalette.map(p => ({ name: parseBlockState(p.Name).name, properties: p.Properties || {} }))
+    const longs = region.BlockStates.map(toUnsigned64)
+    const bits = BigInt(Math.max(2, Math.ceil(Math.log2(palette.length))))
+    const mask = (1n << bits) - 1n
+    for (let i = 0; i < sx * sy * sz; i++) {
+      const start = BigInt(i) * bits
+      const word = Number(start >> 6n)
+      const offset = start & 63n
+      let value = longs[word] >> offset
+      if (offset + bits > 64n) value |= longs[word + 1] << (64n - offset)
+      const state = palette[Number(value & mask)]
+      if (!state) continue
+      const block = solidBlock(origin.x + i % sx, origin.y + Math.floor(i / (sx * sz)), origin.z + Math.floor(i / sx) % sz, state)
+      if (block) blocks.push(block)
+    }
+  }
+  return finish(name, blocks)
+}
+
+export async function loadStructure(file) {
+  const ext = path.extname(file).toLowerCase()
+  const name = path.basename(file, ext)
+  const buffer = fs.readFileSync(file)
+  if (ext === '.json') return parseJsonStructure(name, JSON.parse(buffer.toString('utf8')))
+  const { parsed } = await nbt.parse(buffer)
+  const root = nbt.simplify(parsed)
+  if (ext === '.litematic') return parseLitematic(name, root)
+  if (ext === '.schem') return parseSpongeSchematic(name, root)
+  throw new Error('unsupported structure file ' + file)
+}
+
+// Structure names in dir, without extensions
+export function listStructures(dir) {
+  if (!dir || !fs.existsSync(dir)) return []
+  return fs.readdirSync(dir).filter(f => STRUCTURE_EXTENSIONS.includes(path.extname(f).toLowerCase())).map(f => path.basename(f, path.extname(f))).sort()
+}
+
+// Finds "farmhouse" in dir whatever its extension; names are matched case-insensitively
+export function findStructureFile(dir, name) {
+  if (!dir || !fs.existsSync(dir)) return null
+  const wanted = String(name).toLowerCase()
+  const file = fs.readdirSync(dir).find(f => STRUCTURE_EXTENSIONS.includes(path.extname(f).toLowerCase()) && path.basename(f, path.extname(f)).toLowerCase() === wanted)
+  return file ? path.join(dir, file) : null
+}
@@ -0,0 +1,331 @@
+// Idle and self-preservation behaviors that run between (and sometimes instead of) queued commands.
+// Each behavior has a priority; queued commands sit at COMMAND_PRIORITY. Behaviors above it interrupt a
+// running task, which resumes from its current step afterwards; behaviors below it only run when the bot
+// has nothing else to do. Toggles and priorities are saved to a JSON file.
+import fs from 'fs'
+
+export const COMMAND_PRIORITY = 50
+const TICK_MS = 1000
+const ITEM_LIFETIME_MS = 5 * 60 * 1000
+const PICKUP_MAX_DISTANCE = 200
+// health and the mob are usually still there after a relog, so reconnecting again at once would only loop
+const RECONNECT_COOLDOWN_MS = 5 * 60 * 1000
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// pathfinder.goto that gives up after timeoutMs or once the run is cancelled
+export async function gotoWithin(bot, goal, timeoutMs, run) {
+  let timer = null
+  let poll = null
+  try {
+    await Promise.race([
+      bot.pathfinder.goto(goal),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('timed out')), timeoutMs)
+        poll = setInterval(() => { if (run.cancelled) reject(new Error('cancelled')) }, 250)
+      })
+    ])
+    return true
+  } catch (e) {
+    bot.pathfinder.setGoal(null)
+    return false
+  } finally {
+    clearTimeout(timer)
+    clearInterval(poll)
+  }
+}
+
+export function isItemEntity(e) {
+  return e && (e.name === 'item' || (e.type === 'object' && e.objectType === 'Item'))
+}
+
+function isNight(bot) {
+  const t = bot.time && bot.time.timeOfDay
+  return (typeof t === 'number' && t >= 12542 && t <= 23459) || bot.thunderState > 0
+}
+
+function inOverworld(bot) {
+  return String(bot.game && bot.game.dimension).includes('overworld')
+}
+
+// getBot/loadGoals/isHostile come from the bot instance; busy() says what the bot is doing for players
+// ('task', 'guard', 'moving' or null); preempt(reason) interrupts the running task and resume() restarts the queue
+export function createSurvival({ file, getBot, loadGoals, isHostile, busy, preempt, resume, reconnect, notify = () => {}, log = console, settings = {} }) {
+  // read on every use, so a config reload that changes settings takes effect on the next tick
+  const criticalHealth = () => settings.criticalHealth || 6
+  const reconnectHealth = () => settings.reconnectHealth || 3
+  const creeperRadius = () => settings.creeperRadius || 7
+  const bedRadius = () => settings.bedRadius || 24
+
+  let timer = null
+  let attachedTo = null
+  let active = null
+  let deathSpot = null
+  let bedRetryAt = 0
+  let lastReconnectAt = 0
+  let ticking = false
+
+  function nearestHostile(bot, radius) {
+    return bot.nearestEntity(e => e !== bot.entity && isHostile(e) && e.position.distanceTo(bot.entity.position) <= radius)
+  }
+
+  async function fleeFrom(bot, entity, distance, timeoutMs, run) {
+    const goals = await loadGoals()
+    bot.pathfinder.setGoal(new goals.GoalInvert(new goals.GoalFollow(entity, distance)), true)
+    const until = Date.now() + timeoutMs
+    while (!run.cancelled && Date.now() < until && entity.isValid !== false && entity.position.distanceTo(bot.entity.position) < distance) await sleep(250)
+    bot.pathfinder.setGoal(null)
+  }
+
+  // name, description, priority, wants(bot) and run(bot, run) -> short result text
+  const BEHAVIORS = [
+    {
+      name: 'escape',
+      description: 'get out of lava, or out of water when drowning',
+      priority: 100,
+      wants: (bot) => !!(bot.entity.isInLava || (bot.entity.isInWater && bot.oxygenLevel < 15)),
+      run: async (bot, run) => {
+        const goals = await loadGoals()
+        const inLava = bot.entity.isInLava
+        const footing = bot.findBlocks({
+          matching: b => b.boundingBox === 'block' && !['lava', 'water'].includes(b.name),
+          maxDistance: 8,
+          count: 64
+        }).filter(p => {
+          const above = bot.blockAt(p.offset(0, 1, 0))
+          const head = bot.blockAt(p.offset(0, 2, 0))
+          return above && head && above.boundingBox === 'empty' && head.boundingBox === 'empty' && !['lava', 'water'].includes(above.name)
+        }).sort((a, b) => a.distanceTo(bot.entity.position) - b.distanceTo(bot.entity.position))[0]
+        bot.setControlState('jump', true)
+        try {
+          if (!footing) {
+            // nowhere to stand nearby: keep swimming up and hope
+            const until = Date.now() + 5000
+            while (!run.cancelled && Date.now() < until && (bot.entity.isInLava || bot.entity.isInWater)) await sleep(250)
+            return 'no dry ground in reach'
+          }
+          const ok = await gotoWithin(bot, new goals.GoalBlock(footing.x, footing.y + 1, footing.z), 15000, run)
+          return (ok ? 'climbed out of ' : 'tried to leave ') + (inLava ? 'lava' : 'water')
+        } finally {
+          bot.setControlState('jump', false)
+        }
+      }
+    },
+    {
+      name: 'critical',
+      description: 'run from hostiles at critical health, reconnect if cornered',
+      priority: 90,
+      wants: (bot) => bot.health <= criticalHealth() && !!nearestHostile(bot, 16),
+      run: async (bot, run) => {
+        const threat = nearestHostile(bot, 16)
+        if (!threat) return 'threat gone'
+        if (bot.health <= reconnectHealth() && threat.position.distanceTo(bot.entity.position) <= 6 && Date.now() - lastReconnectAt >= RECONNECT_COOLDOWN_MS) {
+          lastReconnectAt = Date.now()
+          notify('Health ' + Math.round(bot.health) + ' with a ' + threat.name + ' next to me, reconnecting to get away.')
+          reconnect('critical health')
+          return 'reconnected at health ' + Math.round(bot.health)
+        }
+        notify('Health is critical (' + Math.round(bot.health) + '), running from a ' + threat.name + '.')
+        await fleeFrom(bot, threat, 20, 15000, run)
+        return 'fled from ' + threat.name
+      }
+    },
+    {
+      name: 'creeper',
+      description: 'back away from creepers',
+      priority: 80,
+      // a guarding bot fights creepers like any other mob
+      wants: (bot) => busy() !== 'guard' && !!bot.nearestEntity(e => e.name === 'creeper' && e.position.distanceTo(bot.entity.position) <= creeperRadius()),
+      run: async (bot, run) => {
+        const creeper = bot.nearestEntity(e => e.name === 'creeper')
+        if (!creeper) return 'creeper gone'
+        await fleeFrom(bot, creeper, creeperRadius() + 6, 10000, run)
+        return 'avoided a creeper'
+      }
+    },
+    {
+      name: 'pickup',
+      description: 'collect my items after dying',
+      priority: 30,
+      wants: (bot) => !!deathSpot && Date.now() < deathSpot.expires && deathSpot.dimension === String(bot.game.dimension) &&
+        deathSpot.position.distanceTo(bot.entity.position) <= PICKUP_MAX_DISTANCE,
+      run: async (bot, run) => {
+        const goals = await loadGoals()
+        const spot = deathSpot
+        const before = bot.inventory.items().reduce((n, i) => n + i.count, 0)
+        await gotoWithin(bot, new goals.GoalNear(spot.position.x, spot.position.y, spot.position.z, 2), 90000, run)
+        const tried = new Set()
+        for (let i = 0; i < 36 && !run.cancelled; i++) {
+          const item = bot.nearestEntity(e => isItemEntity(e) && !tried.has(e.id) && e.position.distanceTo(spot.position) <= 10)
+          if (!item) break
+          tried.add(item.id)
+          await gotoWithin(bot, new goals.GoalNear(item.position.x, item.position.y, item.position.z, 0), 10000, run)
+          await sleep(300)
+        }
+        if (run.cancelled) return 'interrupted'
+        deathSpot = null
+        const gained = bot.inventory.items().reduce((n, i) => n + i.count, 0) - before
+        if (gained > 0) notify('Picked up ' + gained + ' items where I died.')
+        return 'picked up ' + gained + ' items'
+      }
+    },
+    {
+      name: 'sleep',
+      description: 'sleep in a nearby bed at night',
+      priority: 20,
+      wants: (bot) => isNight(bot) && inOverworld(bot) && !bot.isSleeping && Date.now() >= bedRetryAt &&
+        !!bot.findBlock({ matching: b => bot.isABed(b), maxDistance: bedRadius() }),
+      run: async (bot, run) => {
+        const goals = await loadGoals()
+        const bed = bot.findBlock({ matching: b => bot.isABed(b), maxDistance: bedRadius() })
+        if (!bed) return 'no bed'
+        await gotoWithin(bot, new goals.GoalNear(bed.position.x, bed.position.y, bed.position.z, 1), 30000, run)
+        if (run.cancelled) return 'interrupted'
+        try {
+          await bot.sleep(bed)
+        } catch (e) {
+          // monsters nearby, someone else's bed, not night yet...; don't walk back every second
+          bedRetryAt = Date.now() + 60000
+          return 'could not sleep: ' + (e && e.message)
+        }
+        while (!run.cancelled && bot.isSleeping) await sleep(500)
+        if (bot.isSleeping) await bot.wake().catch(() => {})
+        return 'slept'
+      }
+    }
+  ]
+
+  let state = {}
+  for (const b of BEHAVIORS) state[b.name] = { enabled: true, priority: b.priority, runs: 0, lastRun: null, lastResult: null }
+
+  function load() {
+    try {
+      const saved = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+      for (const [name, s] of Object.entries((saved && saved.behaviors) || {})) {
+        if (!state[name]) continue
+        if (typeof s.enabled === 'boolean') state[name].enabled = s.enabled
+        if (Number.isFinite(s.priority)) state[name].priority = s.priority
+      }
+    } catch (e) { log.warn('[AUTO] Load failed', e.message) }
+  }
+
+  function save() {
+    if (!file) return
+    try {
+      const behaviors = {}
+      for (const [name, s] of Object.entries(state)) behaviors[name] = { enabled: s.enabled, priority: s.priority }
+      fs.writeFileSync(file, JSON.stringify({ behaviors }, null, 2))
+    } catch (e) { log.error('[AUTO] Save failed', e.message) }
+  }
+
+  function start(behavior, bot, interrupted) {
+    const run = { behavior, cancelled: false, interrupted, done: null }
+    active = run
+    const s = state[behavior.name]
+    s.runs++
+    s.lastRun = Date.now()
+    log.log('[AUTO] ' + behavior.name + ' starting' + (interrupted ? ' (interrupted task)' : ''))
+    run.done = behavior.run(bot, run)
+      .then(result => { s.lastResult = result; log.log('[AUTO] ' + behavior.name + ': ' + result) })
+      .catch(e => { s.lastResult = 'failed: ' + (e && e.message); log.warn('[AUTO] ' + behavior.name + ' failed', e && e.message) })
+      .finally(() => {
+        if (active === run) active = null
+        if (run.interrupted) resume()
+      })
+  }
+
+  function cancelActive() {
+    if (!active) return null
+    active.cancelled = true
+    const bot = getBot()
+    try { if (bot && bot.pathfinder) bot.pathfinder.setGoal(null) } catch (e) { /* bot gone */ }
+    return active.done
+  }
+
+  function tick() {
+    const bot = getBot()
+    if (!bot || !bot.entity || !bot.pathfinder) return
+    const ordered = BEHAVIORS.filter(b => state[b.name].enabled).sort((a, b) => state[b.name].priority - state[a.name].priority)
+    for (const behavior of ordered) {
+      const priority = state[behavior.name].priority
+      if (active && state[active.behavior.name].priority >= priority) return
+      let wanted = false
+      try { wanted = behavior.wants(bot) } catch (e) { wanted = false }
+      if (!wanted) continue
+      const doing = active ? null : busy()
+      if (doing && priority <= COMMAND_PRIORITY) continue
+      let interrupted = false
+      if (active) {
+        interrupted = active.interrupted
+        cancelActive()
+        active = null
+      }
+      if (doing === 'task') {
+        preempt(behavior.name)
+        interrupted = true
+      }
+      start(behavior, bot, interrupted)
+      return
+    }
+  }
+
+  load()
+  return {
+    // called once the bot has spawned; the pathfinder must be loadable by then
+    attach(bot) {
+      clearInterval(timer)
+      loadGoals().catch(e => log.warn('[AUTO] pathfinder unavailable', e && e.message))
+      // attached again after a detach (survival switched off and on in the config) the listener is already there
+      if (bot !== attachedTo) {
+        attachedTo = bot
+        bot.on('death', () => {
+          cancelActive()
+          if (!bot.entity) return
+          deathSpot = { position: bot.entity.position.clone(), dimension: String(bot.game.dimension), expires: Date.now() + ITEM_LIFETIME_MS }
+          log.log('[AUTO] died at ' + deathSpot.position.floored() + ', will try to pick up my items')
+        })
+      }
+      timer = setInterval(() => {
+        if (ticking) return
+        ticking = true
+        try { tick() } catch (e) { log.warn('[AUTO] tick failed', e && e.message) } finally { ticking = false }
+      }, TICK_MS)
+    },
+    detach() {
+      clearInterval(timer)
+      timer = null
+      if (active) active.cancelled = true
+      active = null
+    },
+    // the queue calls this before each task: idle behaviors stop, self-preservation finishes first
+    async yieldToCommands() {
+      if (!active) return
+      if (state[active.behavior.name].priority <= COMMAND_PRIORITY) {
+        const bot = getBot()
+        const done = cancelActive()
+        if (bot && bot.isSleeping) await bot.wake().catch(() => {})
+        await done
+      } else {
+        await Promise.race([active.done, sleep(30000)])
+      }
+    },
+    names: () => BEHAVIORS.map(b => b.name),
+    setEnabled(name, enabled) {
+      const names = name === 'all' ? Object.keys(state) : [name]
+      for (const n of names) state[n].enabled = enabled
+      if (!enabled && active && names.includes(active.behavior.name)) cancelActive()
+      save()
+    },
+    setPriority(name, priority) {
+      state[name].priority = priority
+      save()
+    },
+    status: () => ({
+      active: active ? active.behavior.name : null,
+      commandPriority: COMMAND_PRIORITY,
+      behaviors: BEHAVIORS.map(b => ({ name: b.name, description: b.description, ...state[b.name] }))
+    })
+  }
+}
@@ -0,0 +1,175 @@
+// Dashboard client. Reads /api/bots for the fleet, streams /api/bots/<id>/events (server-sent events)
+// and sends console input to /chat or /steps. The API_TOKEN is kept in sessionStorage only.
+(function () {
+  const LOG_LIMIT = 300
+  const $ = (id) => document.getElementById(id)
+
+  let botId = null
+  let stream = null
+  let listsTimer = null
+
+  function token() {
+    let t = sessionStorage.getItem('apiToken')
+    if (!t) {
+      t = window.prompt('API token (API_TOKEN from the server .env)') || ''
+      if (t) sessionStorage.setItem('apiToken', t)
+    }
+    return t
+  }
+
+  function base() {
+    return '/api/bots/' + encodeURIComponent(botId)
+  }
+
+  async function api(method, path, body) {
+    const res = await fetch(base() + path, {
+      method,
+      headers: { 'content-type': 'application/json', authorization: 'Bearer ' + token() },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    const data = await res.json().catch(() => ({}))
+    if (res.status === 401) sessionStorage.removeItem('apiToken')
+    if (!res.ok) throw new Error(data.error || res.status + ' ' + res.statusText)
+    return data
+  }
+
+  // ---------- Rendering ----------
+  function appendLog(listId, text, className, at) {
+    const list = $(listId)
+    const li = document.createElement('li')
+    if (className) li.className = className
+    const time = document.createElement('span')
+    time.className = 'time'
+    time.textContent = new Date(at || Date.now()).toLocaleTimeString()
+    li.append(time, text)
+    const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4
+    list.append(li)
+    while (list.children.length > LOG_LIMIT) list.firstChild.remove()
+    if (atBottom) list.scrollTop = list.scrollHeight
+  }
+
+  function fillList(listId, values, empty) {
+    const list = $(listId)
+    list.replaceChildren(...(values.length ? values : [empty]).map(v => {
+      const li = document.createElement('li')
+      li.textContent = v
+      return li
+    }))
+  }
+
+  function describeTask(task) {
+    if (!task) return '-'
+    let text = '#' + task.id + ' ' + task.state + ' for ' + task.owner + ': ' + task.steps.map(s => s.action).join(', ')
+    if (task.progress) text += ' (step ' + task.progress.step + '/' + task.progress.of + (task.progress.detail ? ', ' + task.progress.detail : '') + ')'
+    return text
+  }
+
+  function renderStatus(s) {
+    $('conn-state').textContent = s.state || 'unknown'
+    $('conn-state').className = 'badge ' + (s.state || '')
+    $('health').value = s.health || 0
+    $('health-text').textContent = s.health == null ? '-' : Math.round(s.health) + '/20'
+    $('food').value = s.food || 0
+    $('food-text').textContent = s.food == null ? '-' : s.food + '/20'
+    $('position').textContent = s.position ? s.position.x + ' ' + s.position.y + ' ' + s.position.z : '-'
+    $('task').textContent = describeTask(s.task)
+    $('queued').textContent = s.queued
+    $('guard').textContent = s.guard ? s.guard.mode + (s.guard.player ? ' ' + s.guard.player : '') + (s.guard.target ? ' (fighting ' + s.guard.target + ')' : '') : '-'
+    $('held').textContent = s.held || '-'
+    if (s.survival) {
+      const off = s.survival.behaviors.filter(b => !b.enabled).map(b => b.name)
+      $('auto').textContent = (s.survival.active || 'idle') + (off.length ? ' (off: ' + off.join(', ') + ')' : '')
+    }
+    const b = s.build
+    $('build').textContent = b ? b.structure + ' ' + b.placed + '/' + b.total + ' (' + b.percent + '%), layer ' + b.layer + '/' + b.layers + (b.paused ? ', paused: ' + b.reason : '') : '-'
+    const f = s.farm
+    $('farm').textContent = f && f.active ? (f.running ? 'working' : 'waiting') + ', ' + f.harvested + ' harvested, ' + f.deposited + ' stored' : '-'
+    fillList('inventory', (s.inventory || []).sort((a, b) => b.count - a.count).map(i => i.count + ' ' + i.name), 'empty')
+  }
+
+  async function refreshLists() {
+    try {
+      const [trusted, ignored] = await Promise.all([api('GET', '/trusted'), api('GET', '/ignored')])
+      fillList('trusted', trusted, 'nobody')
+      fillList('ignored', ignored, 'nobody')
+    } catch (e) {
+      console.warn('list refresh failed', e.message)
+    }
+  }
+
+  // ---------- Event stream ----------
+  function connect() {
+    if (stream) stream.close()
+    clearInterval(listsTimer)
+    $('chat-log').replaceChildren()
+    $('raw-log').replaceChildren()
+    $('viewer').src = '/viewer/' + encodeURIComponent(botId) + '/'
+
+    stream = new EventSource(base() + '/events?token=' + encodeURIComponent(token()))
+    stream.addEventListener('status', (e) => renderStatus(JSON.parse(e.data).status))
+    stream.addEventListener('raw', (e) => {
+      const ev = JSON.parse(e.data)
+      appendLog('raw-log', ev.raw, null, ev.at)
+    })
+    stream.addEventListener('chat', (e) => {
+      const ev = JSON.parse(e.data)
+      appendLog('chat-log', '<' + ev.username + '> ' + ev.message, null, ev.at)
+    })
+    stream.addEventListener('say', (e) => {
+      const ev = JSON.parse(e.data)
+      appendLog('chat-log', (ev.to ? '-> ' + ev.to + ': ' : '> ') + ev.message, 'say', ev.at)
+    })
+    stream.onerror = () => {
+      $('conn-state').textContent = 'stream lost'
+      $('conn-state').className = 'badge stopped'
+    }
+
+    refreshLists()
+    listsTimer = setInterval(refreshLists, 15000)
+  }
+
+  // ---------- Console ----------
+  $('console-form').addEventListener('submit', async (e) => {
+    e.preventDefault()
+    const input = $('console-input')
+    const message = input.value.trim()
+    if (!message) return
+    try {
+      if ($('console-mode').value === 'chat') {
+        await api('POST', '/chat', { message })
+        $('console-result').textContent = 'sent'
+      } else {
+        const task = await api('POST', '/steps', { message })
+        $('console-result').textContent = 'queued task #' + task.id + ': ' + task.steps.map(s => s.action).join(', ')
+      }
+      input.value = ''
+    } catch (err) {
+      $('console-result').textContent = 'error: ' + err.message
+    }
+  })
+
+  $('token-button').addEventListener('click', () => {
+    sessionStorage.removeItem('apiToken')
+    if (token() && botId) connect()
+  })
+
+  $('bot-select').addEventListener('change', (e) => {
+    botId = e.target.value
+    connect()
+  })
+
+  async function init() {
+    const bots = await fetch('/api/bots').then(r => r.json())
+    $('bot-select').replaceChildren(...bots.map(b => {
+      const option = document.createElement('option')
+      option.value = b.id
+      option.textContent = b.id + ' (' + b.username + ' @ ' + b.server + ')'
+      return option
+    }))
+    if (!bots.length) return
+    botId = bots[0].id
+    if (token()) connect()
+  }
+
+  init().catch(e => { $('console-result').textContent = 'could not load bots: ' + e.message })
+})()
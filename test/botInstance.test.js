@@ -0,0 +1,179 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness } from '../tools/harness.js'
+
+const OWNER = 'TryChloroform'
+let h
+
+before(async () => {
+  h = await createHarness({ players: [OWNER, 'Steve', 'Alex'], roles: { Steve: 'trusted' } })
+})
+
+after(async () => {
+  await h.close()
+})
+
+// runs the lines and returns what the bot sent and which goals it set in answer
+async function exchange(...lines) {
+  const sent = h.replies().length
+  const goals = h.goals().length
+  for (const line of lines) await h.chat(line)
+  return { replies: h.replies(sent), goals: h.goals(goals) }
+}
+
+test('owner goto sets a block goal and reports arrival', async () => {
+  const r = await exchange('<' + OWNER + '> phyll go to 10 64 -20')
+  assert.deepEqual(r.replies, [{ to: OWNER, message: 'Going to 10, 64, -20' }, { to: OWNER, message: 'Arrived at 10, 64, -20' }])
+  assert.deepEqual(r.goals, [{ type: 'GoalBlock', x: 10, y: 64, z: -20, dynamic: false }])
+})
+
+test('trusted players can move the bot relative to where it is', async () => {
+  const r = await exchange('<Steve> phyll move 5 blocks east')
+  assert.deepEqual(r.replies.map(x => x.message), ['Going 5 blocks east', 'Arrived at the spot 5 blocks east'])
+  assert.equal(r.goals.length, 1)
+  assert.equal(r.goals[0].type, 'GoalXZ')
+  assert.equal(r.goals[0].x, 15)
+})
+
+test('guests are told to ask the owner and nothing moves', async () => {
+  const r = await exchange('<Alex> phyll go to 1 2 3')
+  assert.deepEqual(r.replies, [{ to: 'Alex', message: 'Sorry, only trusted players can give me commands. Ask ' + OWNER + '!' }])
+  assert.deepEqual(r.goals, [])
+})
+
+test('an unreachable goal is reported back', async () => {
+  h.bot().pathfinder.unreachable = true
+  try {
+    const r = await exchange('<' + OWNER + '> phyll go to 100 64 100')
+    assert.deepEqual(r.replies.map(x => x.message), ['Going to 100, 64, 100', "I can't find a way to 100, 64, 100."])
+  } finally {
+    h.bot().pathfinder.unreachable = false
+  }
+})
+
+test('whispers need no name and are answered privately', async () => {
+  const r = await exchange(OWNER + ' whispers to you: go to 0 70 0')
+  assert.deepEqual(r.replies, [{ to: OWNER, message: 'Going to 0, 70, 0' }, { to: OWNER, message: 'Arrived at 0, 70, 0' }])
+})
+
+test('what a player whispered is not repeated to others', async () => {
+  await exchange('Steve whispers to you: remember that my base is at 100 64 -200')
+  const other = await exchange('<Alex> phyll what do you know about Steve')
+  assert.equal(other.replies.length, 1)
+  assert.ok(!/100 64 -200/.test(other.replies[0].message))
+  const own = await exchange('Steve whispers to you: what do you know about me')
+  assert.match(own.replies[0].message, /100 64 -200/)
+})
+
+test('follow takes a distance and a duration', async () => {
+  const r = await exchange('<' + OWNER + '> phyll follow Steve at 3 blocks for 5 minutes')
+  assert.deepEqual(r.replies, [{ to: OWNER, message: 'Following Steve for 5min' }])
+  assert.equal(r.goals.length, 1)
+  assert.deepEqual([r.goals[0].type, r.goals[0].target, r.goals[0].rangeSq, r.goals[0].dynamic], ['GoalFollow', 'Steve', 9, true])
+  await exchange('<' + OWNER + '> phyll stop')
+})
+
+test('chatter that mentions stop or cancel leaves the current task alone', async () => {
+  await exchange('<' + OWNER + '> phyll follow Steve')
+  const chatter = await exchange('<' + OWNER + "> phyll don't stop me now", '<' + OWNER + '> phyll I had to cancel the raid')
+  assert.ok(!chatter.replies.some(x => /^(?:Stopped|Cancelled)/.test(x.message)), JSON.stringify(chatter.replies))
+  const stop = await exchange('<' + OWNER + '> phyll, stop please!')
+  assert.match(stop.replies[0].message, /^Stopped /)
+})
+
+test('a nether route without a known portal walks instead', async () => {
+  const r = await exchange('<' + OWNER + '> phyll go to 800 70 -1600 via the nether')
+  assert.deepEqual(r.replies.map(x => x.message), ['Going to 800, 70, -1600', "I don't know a nether portal that comes out near there, so I am walking.", 'Arrived at 800, 70, -1600'])
+})
+
+test('Discord users are separate identities and are answered through the bridge', async () => {
+  const r = await exchange('[Discord] | ' + OWNER + ' » phyll go to 1 2 3')
+  assert.deepEqual(r.goals, [])
+  assert.deepEqual(r.replies, [{ to: null, message: '@' + OWNER + ' Sorry, only trusted players can give me commands. Ask ' + OWNER + '!' }])
+
+  const reply = await exchange('Discord: | qwewewe (replying to TryChlorophyll) » lol')
+  assert.equal(reply.replies.length, 1)
+  assert.match(reply.replies[0].message, /^@qwewewe /)
+})
+
+test('every line addressed to the bot gets an answer', async () => {
+  // from memory.json, when the bot went quiet for hours
+  const lines = [
+    OWNER + ': phyll are you working now?',
+    OWNER + ': phyll u up?',
+    OWNER + ': phyll, operational?',
+    OWNER + ': testing phyll, u there>',
+    'qwewewe: rip phyll'
+  ]
+  for (const result of await h.replay(lines)) assert.ok(result.replies.length > 0, 'no answer to: ' + result.line)
+})
+
+test('only a line asking for the queue lists it', async () => {
+  const asked = await exchange('<' + OWNER + '> phyll show the queue?')
+  assert.deepEqual(asked.replies, [{ to: OWNER, message: 'The queue is empty.' }])
+  const chatter = await exchange('<' + OWNER + '> phyll the queue at the nether hub is long')
+  assert.ok(!chatter.replies.some(x => x.message === 'The queue is empty.'))
+})
+
+test('crafting with nothing in hand lists what is missing', async () => {
+  const r = await exchange('<' + OWNER + '> phyll craft 4 torches')
+  assert.deepEqual(r.replies, [{ to: OWNER, message: 'To craft 4 torch I still need 1 coal, 1 oak_log' }])
+})
+
+test('only the owner can reload the config, and new names work at once', async () => {
+  h.editConfig({ names: ['trychlorophyll', 'phyll', 'leafy'], planConfirm: 'never' })
+  try {
+    const denied = await exchange('<Steve> phyll reload config')
+    assert.deepEqual(denied.replies, [{ to: 'Steve', message: 'Only ' + OWNER + ' can reload my config.' }])
+
+    const r = await exchange('<' + OWNER + '> phyll reload config')
+    assert.deepEqual(r.replies, [{ to: OWNER, message: 'Config reloaded, changed names, reply' }])
+    const moved = await exchange('<' + OWNER + '> leafy go to 1 64 1')
+    assert.equal(moved.goals.length, 1)
+  } finally {
+    h.editConfig({ names: ['trychlorophyll', 'phyll'], planConfirm: 'multi' })
+    await exchange('<' + OWNER + '> phyll reload config')
+  }
+})
+
+test('the same public line is not said twice in a row', async () => {
+  const r = await exchange('qwewewe: phyll thanks', 'qwewewe: phyll thanks')
+  assert.deepEqual(r.replies, [{ to: null, message: "You're welcome!" }])
+})
+
+test('slash commands only go out when allowlisted', async () => {
+  h.editConfig({ discordReplyFormat: '/dc {player}: {message}' })
+  try {
+    await exchange('<' + OWNER + '> phyll reload config')
+    const refused = await exchange('[Discord] | Jeb » phyll how are you')
+    assert.deepEqual(refused.replies, [])
+
+    h.editConfig({ chatCommands: ['dc'] })
+    await exchange('<' + OWNER + '> phyll reload config')
+    const sent = await exchange('[Discord] | Jeb » phyll how are you')
+    assert.deepEqual(sent.replies, [{ to: null, message: "/dc Jeb: I'm functioning properly and ready to help!" }])
+  } finally {
+    h.editConfig({ discordReplyFormat: '@{player} {message}', chatCommands: [] })
+    await exchange('<' + OWNER + '> phyll reload config')
+  }
+})
+
+test('a guest who keeps going after the rate limit is ignored for a while', async () => {
+  const r = await exchange(...Array.from({ length: 12 }, () => '<Alex> phyll go to 1 2 3'))
+  const messages = r.replies.map(x => x.message)
+  assert.ok(messages.includes("You're sending me commands too fast, slow down a bit."))
+  assert.equal(messages[messages.length - 1], "You kept going, so I'm ignoring you for 5 minutes.")
+  assert.deepEqual((await exchange('<Alex> phyll hello')).replies, [])
+
+  const unmuted = await exchange('<' + OWNER + '> phyll unmute Alex')
+  assert.deepEqual(unmuted.replies, [{ to: OWNER, message: 'Listening to Alex again.' }])
+})
+
+test('a hunt with nothing to hunt ends at once', async () => {
+  const sent = h.replies().length
+  await h.say(OWNER, 'phyll attack zombies')
+  // the first guard tick decides
+  await h.settle(400)
+  assert.deepEqual(h.replies(sent).map(x => x.message), ['Attacking zombies within 16 blocks', 'No zombies nearby.'])
+  assert.equal(h.instance.status().guard, null)
+})
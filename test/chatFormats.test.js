@@ -0,0 +1,49 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { loadChatRules, parseChatLine } from '../lib/chatFormats.js'
+
+const rules = loadChatRules(path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'chat-formats.json'))
+
+// [line, expected parse] for every rule in config/chat-formats.json
+const LINES = [
+  ['[me -> Steve] hi', { username: 'Steve', message: 'hi', channel: 'whisper', rule: 'whisper-outgoing', ignored: true }],
+  ['You whisper to Steve: hi', { username: 'Steve', message: 'hi', channel: 'whisper', rule: 'whisper-outgoing-vanilla', ignored: true }],
+  ['Steve whispers to you: go to 1 2 3', { username: 'Steve', message: 'go to 1 2 3', channel: 'whisper', rule: 'whisper-vanilla' }],
+  ['[Steve -> me] follow me', { username: 'Steve', message: 'follow me', channel: 'whisper', rule: 'whisper-essentials' }],
+  ['From Steve: hello', { username: 'Steve', message: 'hello', channel: 'whisper', rule: 'whisper-from' }],
+  ['[Blue] <Steve> phyll hi', { username: 'Steve', message: 'phyll hi', channel: 'team', rule: 'team', team: 'Blue' }],
+  ['-> [Blue] <Steve> hi', { username: 'Steve', message: 'hi', channel: 'team', rule: 'team', team: 'Blue' }],
+  ['<Steve> phyll hi', { username: 'Steve', message: 'phyll hi', channel: 'game', rule: 'vanilla' }],
+  ['[Discord] | Jeb » phyll hi', { username: 'Jeb', message: 'phyll hi', channel: 'discord', rule: 'discord-srv' }],
+  ['Discord | Jeb (replying to Steve) » yes', { username: 'Jeb', message: 'yes', channel: 'discord', rule: 'discord-srv', replyTo: 'Steve' }],
+  ['[Discord] Jeb: hi', { username: 'Jeb', message: 'hi', channel: 'discord', rule: 'discord-colon' }],
+  ['[Admin] [VIP] Steve » hi', { username: 'Steve', message: 'hi', channel: 'game', rule: 'ranked', rank: '[Admin] [VIP]' }],
+  ['[Admin] <Steve>: hi', { username: 'Steve', message: 'hi', channel: 'game', rule: 'ranked', rank: '[Admin]' }],
+  ['Steve: hello', { username: 'Steve', message: 'hello', channel: 'game', rule: 'plain' }],
+  ['Steve joined the game', { username: 'Steve', message: 'Steve has joined', channel: 'game', rule: 'join', event: 'join' }],
+  ['Steve has left the server', { username: 'Steve', message: 'Steve left', channel: 'game', rule: 'leave', event: 'leave' }]
+]
+
+for (const [line, expected] of LINES) {
+  test('chat line: ' + line, () => {
+    assert.deepEqual(parseChatLine(line, rules), expected)
+  })
+}
+
+test('every shipped rule has a line above', () => {
+  const covered = new Set(LINES.map(([, expected]) => expected.rule))
+  assert.deepEqual(rules.map(r => r.name).filter(name => !covered.has(name)), [])
+})
+
+test('a JSON text component is flattened and parsed by the same rules', () => {
+  const raw = JSON.stringify({ text: '', extra: ['<Steve>', { text: 'hi there' }] })
+  assert.deepEqual(parseChatLine(raw, rules), { username: 'Steve', message: 'hi there', channel: 'game', rule: 'vanilla(json)' })
+})
+
+test('an unknown format is only read when it starts with an online player', () => {
+  assert.equal(parseChatLine('Steve >> hello', rules), null)
+  assert.deepEqual(parseChatLine('Steve >> hello', rules, { players: ['Steve'] }), { username: 'Steve', message: 'hello', channel: 'game', rule: 'online-player' })
+  assert.equal(parseChatLine('random server broadcast', rules, { players: ['Steve'] }), null)
+})
@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createChatOutbox, createFloodGuard } from '../lib/chatGuard.js'
+
+const quiet = { log: () => {}, warn: () => {}, error: () => {} }
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function outbox(settings) {
+  const sent = []
+  return { sent, box: createChatOutbox({ send: (line) => sent.push(line), settings, log: quiet }) }
+}
+
+test('the outbox sends a burst, then the rest once the window has passed', async () => {
+  const { sent, box } = outbox({ burst: 2, windowSeconds: 0.1 })
+  for (const line of ['one', 'two', 'three', 'four']) box.say(line)
+  assert.deepEqual(sent, ['one', 'two'])
+  assert.equal(box.status().queued, 2)
+  await sleep(150)
+  assert.deepEqual(sent, ['one', 'two', 'three', 'four'])
+  box.clear()
+})
+
+test('only public lines are dropped as repeats, and only for dedupSeconds', async () => {
+  const { sent, box } = outbox({ burst: 20, windowSeconds: 1, dedupSeconds: 0.1 })
+  assert.deepEqual(box.say('hello'), { queued: true })
+  assert.deepEqual(box.say('hello'), { dropped: 'repeat' })
+  // the same whisper twice is two answers to the same player
+  box.command('msg', 'Steve hello')
+  box.command('msg', 'Steve hello')
+  assert.deepEqual(sent, ['hello', '/msg Steve hello', '/msg Steve hello'])
+  await sleep(150)
+  assert.deepEqual(box.say('hello'), { queued: true })
+  assert.equal(box.status().dropped, 1)
+  box.clear()
+})
+
+test('slash lines only go out through command() and the allowlist', () => {
+  const { sent, box } = outbox({ commands: ['dc'] })
+  assert.deepEqual(box.say('/op Steve'), { dropped: 'command' })
+  assert.deepEqual(box.command('op', 'Steve'), { dropped: 'command' })
+  box.command('dc', 'hi\n/op Steve')
+  assert.deepEqual(sent, ['/dc hi /op Steve'])
+  assert.equal(box.status().refused, 2)
+  box.clear()
+})
+
+test('strikes wear off after floodSeconds, and only a run of them mutes', async () => {
+  const flood = createFloodGuard({ settings: { floodLines: 2, floodSeconds: 0.1, floodIgnoreMinutes: 5 }, log: quiet })
+  assert.deepEqual([flood.strike('Alex'), flood.strike('Alex')], [false, false])
+  await sleep(150)
+  assert.equal(flood.strike('Alex'), false)
+  assert.equal(flood.isMuted('Alex'), false)
+  assert.deepEqual([flood.strike('alex'), flood.strike('Alex')], [false, true])
+  assert.equal(flood.isMuted('ALEX'), true)
+  assert.deepEqual(flood.muted().map(m => m.name), ['Alex'])
+  assert.equal(flood.unmute('Alex'), true)
+  assert.equal(flood.isMuted('Alex'), false)
+})
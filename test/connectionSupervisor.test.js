@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { classifyKick, backoffDelay, versionFromPing } from '../lib/connectionSupervisor.js'
+
+test('kick reasons decide whether reconnecting can help', () => {
+  assert.deepEqual(classifyKick('{"translate":"multiplayer.disconnect.not_whitelisted"}'),
+    { kind: 'whitelist', retry: false, minDelayMs: 0, text: 'multiplayer.disconnect.not_whitelisted' })
+  assert.equal(classifyKick({ text: 'You are banned from this server!' }).retry, false)
+  const throttled = classifyKick({ text: 'Connection throttled! ', extra: [{ text: 'Please wait before reconnecting.' }] })
+  assert.equal(throttled.kind, 'throttled')
+  assert.equal(throttled.minDelayMs, 60000)
+  assert.equal(classifyKick('You logged in from another location').kind, 'duplicate-login')
+  assert.deepEqual(classifyKick(null), { kind: 'other', retry: true, minDelayMs: 0, text: '' })
+})
+
+test('the reconnect delay doubles per attempt, with jitter, up to the cap', () => {
+  const middle = () => 0.5
+  assert.deepEqual([1, 2, 3, 4].map(n => backoffDelay(n, {}, middle)), [5000, 10000, 20000, 40000])
+  assert.equal(backoffDelay(20, {}, middle), 300000)
+  assert.equal(backoffDelay(1, {}, () => 0), 3500)
+  assert.equal(backoffDelay(1, {}, () => 1), 6500)
+  // never sooner than a second, whatever the settings
+  assert.equal(backoffDelay(1, { baseMs: 100 }, () => 0), 1000)
+})
+
+test('the ping version comes from the protocol number before the version name', () => {
+  assert.equal(versionFromPing({ version: { protocol: 765, name: 'Paper 1.20.4' } }), '1.20.4')
+  assert.equal(versionFromPing({ version: { protocol: 999999, name: 'Paper 1.20.1' } }), '1.20.1')
+  assert.equal(versionFromPing({ version: { protocol: 999999, name: 'Velocity 3.3.0' } }), null)
+  assert.equal(versionFromPing({}), null)
+})
@@ -0,0 +1,27 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createConversationMemory } from '../lib/conversationMemory.js'
+
+const quiet = { log: () => {}, warn: () => {}, error: () => {} }
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbot-memory-'))
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('the old flat memory.json keeps its threads, though it has no timestamps', () => {
+  const file = path.join(dir, 'memory.json')
+  fs.writeFileSync(file, JSON.stringify([
+    { role: 'user', content: 'Steve: hi phyll' },
+    { role: 'assistant', content: 'Hello Steve!' },
+    { role: 'user', content: 'Alex: where are the diamonds' },
+    { role: 'assistant', content: 'No idea.' }
+  ]))
+  const memory = createConversationMemory({ file, archiveFile: path.join(dir, 'archive.jsonl'), log: quiet })
+  assert.deepEqual(memory.thread('Steve').map(m => [m.role, m.content]), [['user', 'hi phyll'], ['assistant', 'Hello Steve!']])
+  assert.deepEqual(memory.thread('Alex').map(m => m.content), ['where are the diamonds', 'No idea.'])
+  assert.ok(memory.lastSeen('Alex') > 0)
+})
@@ -0,0 +1,33 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import minecraftData from 'minecraft-data'
+import { planCraft, planSmelt } from '../lib/crafting.js'
+
+const mcData = minecraftData('1.20.4')
+
+test('torches are planned from planks, and the spare sticks are used before crafting more', () => {
+  const plan = planCraft(mcData, [{ name: 'torch', count: 8 }, { name: 'stick', count: 2 }], { coal: 2, oak_planks: 2 })
+  assert.deepEqual(plan.crafts, [
+    { item: 'stick', times: 1, produces: 4, needsTable: false },
+    { item: 'torch', times: 2, produces: 8, needsTable: false }
+  ])
+  assert.deepEqual(plan.missing, {})
+  assert.deepEqual(plan.used, { coal: 2, oak_planks: 2, stick: 2 })
+  assert.equal(plan.needsTable, false)
+})
+
+test('a craft plan reports the raw materials it is missing', () => {
+  const plan = planCraft(mcData, [{ name: 'torch', count: 4 }], { coal: 1 })
+  assert.deepEqual(plan.crafts.map(c => c.item), ['oak_planks', 'stick', 'torch'])
+  assert.deepEqual(plan.missing, { oak_log: 1 })
+  assert.equal(planCraft(mcData, [{ name: 'chest', count: 1 }], { oak_planks: 8 }).needsTable, true)
+})
+
+test('smelting picks the input from the output and burns the best fuel first', () => {
+  assert.deepEqual(planSmelt('iron_ingot', 10, { raw_iron: 10, coal: 1, oak_planks: 4 }),
+    { input: 'raw_iron', output: 'iron_ingot', count: 10, fuel: { coal: 1, oak_planks: 2 }, missing: {} })
+  // the logs being smelted are never their own fuel
+  assert.deepEqual(planSmelt('oak_log', 'all', { oak_log: 6 }).missing, { 'coal (or other fuel)': 1 })
+  assert.deepEqual(planSmelt('dirt', 1, { dirt: 1 }), { error: "I don't know how to smelt dirt" })
+  assert.deepEqual(planSmelt('raw_gold', 'all', {}), { error: "I don't have any raw_gold" })
+})
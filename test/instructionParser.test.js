@@ -0,0 +1,111 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseInstructions, splitClauses, describePlan, MAX_REPEAT } from '../lib/instructionParser.js'
+
+const ME = 'TryChloroform'
+const options = { botNames: ['trychlorophyll', 'phyll'], isWaypoint: (username, name) => ['base', 'farm'].includes(name.toLowerCase()) }
+const mine = (block, count) => ({ action: 'mine', block, count })
+
+// [message, expected steps, expected watches (optional)]
+const PHRASES = [
+  // single commands keep their old meaning
+  ['phyll follow me', [{ action: 'follow', player: ME }]],
+  ['phyll follow Steve', [{ action: 'follow', player: 'Steve' }]],
+  ['phyll come here', [{ action: 'follow', player: ME }]],
+  ['phyll follow me for 5 minutes', [{ action: 'follow', player: ME, seconds: 300 }]],
+  ['phyll follow Steve at 3 blocks forever', [{ action: 'follow', player: 'Steve', distance: 3, seconds: 0 }]],
+  ['phyll go to 800 70 -1600 via the nether', [{ action: 'goto', x: 800, y: 70, z: -1600, via: 'nether' }]],
+  ['phyll goto 100 64 -200', [{ action: 'goto', x: 100, y: 64, z: -200 }]],
+  ['phyll go to 100, 64, -200', [{ action: 'goto', x: 100, y: 64, z: -200 }]],
+  ['phyll go to base', [{ action: 'goto', waypoint: 'base' }]],
+  ['phyll go to the mall', []],
+  ['phyll tpa Steve', [{ action: 'tpa', player: 'Steve' }]],
+  ['phyll tp to Steve', [{ action: 'tpa', player: 'Steve' }]],
+  ['phyll wait 5 seconds', [{ action: 'wait', seconds: 5 }]],
+  ['phyll mine 16 oak_log', [mine('oak_log', 16)]],
+  ['phyll dig iron_ore near me', [{ action: 'mine', block: 'iron_ore', count: 1, nearPlayer: true }]],
+  ['phyll give me 10 bread', [{ action: 'give', player: ME, item: 'bread', count: 10 }]],
+  ['phyll drop all cobblestone', [{ action: 'drop', item: 'cobblestone', count: 'all' }]],
+  ['phyll deposit logs into the chest', [{ action: 'deposit', item: 'logs', count: 'all', nearest: true }]],
+  ['phyll guard me within 8', [{ action: 'guard', player: ME, radius: 8 }]],
+  ['phyll attack zombies', [{ action: 'attack', mob: 'zombie', radius: undefined }]],
+  ['phyll build farmhouse at 100 64 -200', [{ action: 'build', structure: 'farmhouse', x: 100, y: 64, z: -200 }]],
+  ['phyll build a farmhouse here', [{ action: 'build', structure: 'farmhouse', here: true }]],
+  ['phyll build status', []],
+  ['phyll farm', [{ action: 'farm' }]],
+  ['phyll farm from 0 64 0 to 20 64 20 and store in the chest at 5 64 -3', [{ action: 'farm', corners: [{ x: 0, y: 64, z: 0 }, { x: 20, y: 64, z: 20 }], chest: { x: 5, y: 64, z: -3 } }]],
+  ['phyll start farming at wheatfield within 10', [{ action: 'farm', waypoint: 'wheatfield', radius: 10 }]],
+  ['phyll go to farm', [{ action: 'goto', waypoint: 'farm' }]],
+  ['phyll craft 4 torches', [{ action: 'craft', item: 'torches', count: 4 }]],
+  ['phyll craft a crafting table', [{ action: 'craft', item: 'crafting_table', count: 1 }]],
+  ['phyll smelt 32 iron_ore', [{ action: 'smelt', item: 'iron_ore', count: 32 }]],
+  ['phyll cook all the beef then give me 5 cooked_beef', [{ action: 'smelt', item: 'beef', count: 'all' }, { action: 'give', player: ME, item: 'cooked_beef', count: 5 }]],
+
+  // clause order is the order they were written in
+  ['phyll wait 5 seconds then follow me', [{ action: 'wait', seconds: 5 }, { action: 'follow', player: ME }]],
+  ['phyll follow me then wait 5 seconds', [{ action: 'follow', player: ME }, { action: 'wait', seconds: 5 }]],
+  ['phyll tpa Steve and then goto 1 64 2', [{ action: 'tpa', player: 'Steve' }, { action: 'goto', x: 1, y: 64, z: 2 }]],
+  ['phyll mine 3 stone, go to base, drop all stone', [mine('stone', 3), { action: 'goto', waypoint: 'base' }, { action: 'drop', item: 'stone', count: 'all' }]],
+  ['phyll mine 2 coal_ore; after that follow me', [mine('coal_ore', 2), { action: 'follow', player: ME }]],
+  ['phyll follow me and wait 5 seconds', [{ action: 'follow', player: ME }, { action: 'wait', seconds: 5 }]],
+
+  // relative movement
+  ['phyll go 20 blocks north', [{ action: 'move', distance: 20, direction: 'north' }]],
+  ['phyll walk 5 blocks to the left', [{ action: 'move', distance: 5, direction: 'left' }]],
+  ['phyll move west 12', [{ action: 'move', distance: 12, direction: 'west' }]],
+  ['phyll go 3 up then go 10 blocks forwards', [{ action: 'move', distance: 3, direction: 'up' }, { action: 'move', distance: 10, direction: 'forward' }]],
+
+  // repetition covers everything since the start or the previous repeat
+  ['phyll mine 4 iron_ore then go to base, repeat 2 times', [mine('iron_ore', 4), { action: 'goto', waypoint: 'base' }, mine('iron_ore', 4), { action: 'goto', waypoint: 'base' }]],
+  ['phyll mine 1 stone and repeat twice', [mine('stone', 1), mine('stone', 1)]],
+  ['phyll follow me, mine 1 stone then do it 2 times', [{ action: 'follow', player: ME }, mine('stone', 1), { action: 'follow', player: ME }, mine('stone', 1)]],
+  ['phyll mine 1 dirt, repeat 2 times, then mine 1 sand', [mine('dirt', 1), mine('dirt', 1), mine('sand', 1)]],
+
+  // conditionals become watches on the whole plan
+  ['phyll mine 8 oak_log; if you see a creeper, come back', [mine('oak_log', 8)], [{ mob: 'creeper', radius: null, steps: [{ action: 'follow', player: ME }] }]],
+  ['phyll go 30 blocks east, come back if you see creepers within 10', [{ action: 'move', distance: 30, direction: 'east' }], [{ mob: 'creeper', radius: 10, steps: [{ action: 'follow', player: ME }] }]],
+  ['phyll when you spot an enderman go to base then mine 5 sand', [mine('sand', 5)], [{ mob: 'enderman', radius: null, steps: [{ action: 'goto', waypoint: 'base' }] }]],
+
+  // chat that isn't a command
+  ['phyll how are you', []],
+  ['hey phyll, what are you up to', []]
+]
+
+for (const [message, steps, watches = []] of PHRASES) {
+  test(message, () => {
+    const plan = parseInstructions(ME, message, options)
+    assert.equal(plan.error, null)
+    assert.deepEqual(plan.steps, steps)
+    assert.deepEqual(plan.watches, watches)
+  })
+}
+
+test('clauses split on then, and then, commas and semicolons but not inside coordinates', () => {
+  assert.deepEqual(splitClauses('phyll go to 1, 2, 3 then follow me, and then wait 2 seconds; mine stone', options.botNames),
+    ['go to 1, 2, 3', 'follow me', 'wait 2 seconds', 'mine stone'])
+})
+
+test('filler-only clauses are dropped', () => {
+  assert.deepEqual(splitClauses('hey phyll, please, follow me', options.botNames), ['follow me'])
+})
+
+test('repeats above the limit are refused', () => {
+  const plan = parseInstructions(ME, 'phyll mine 1 stone, repeat ' + (MAX_REPEAT + 1) + ' times', options)
+  assert.match(plan.error, /at most/)
+})
+
+test('plans longer than the step limit are refused', () => {
+  const plan = parseInstructions(ME, 'phyll mine 1 dirt, mine 1 sand, mine 1 stone, mine 1 clay, repeat 10 times', options)
+  assert.match(plan.error, /40 steps/)
+})
+
+test('unparsed clauses are reported', () => {
+  const plan = parseInstructions(ME, 'phyll follow me then do a backflip', options)
+  assert.deepEqual(plan.steps, [{ action: 'follow', player: ME }])
+  assert.deepEqual(plan.skipped, ['do a backflip'])
+})
+
+test('the plan echo keeps repeats and conditions readable', () => {
+  const plan = parseInstructions(ME, 'phyll mine 2 stone then go to base, repeat 3 times; if you see a zombie, come back', options)
+  assert.equal(describePlan(plan), '1) repeat 3x [mine 2 stone, go to base]; if I see a zombie: follow ' + ME)
+})
@@ -0,0 +1,55 @@
+import { test, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createPermissions } from '../lib/permissions.js'
+
+const quiet = { log: () => {}, warn: () => {}, error: () => {} }
+let root
+let perms
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbot-perms-'))
+})
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true })
+})
+
+beforeEach(() => {
+  const dir = fs.mkdtempSync(path.join(root, 'run-'))
+  perms = createPermissions({ file: path.join(dir, 'roles.json'), auditFile: path.join(dir, 'audit.jsonl'), ownerName: 'Owner', log: quiet })
+  perms.setRole('Owner', 'Ada', 'admin')
+  perms.setRole('Owner', 'Steve', 'trusted')
+})
+
+test('only managers who outrank the target may change roles', () => {
+  assert.equal(perms.canManage('Owner', 'Ada', 'trusted'), null)
+  assert.equal(perms.canManage('Ada', 'Steve', 'guest'), null)
+  assert.equal(perms.canManage('Ada', 'Owner', 'banned'), 'Owner has the same or a higher role than you')
+  assert.equal(perms.canManage('Ada', 'Steve', 'admin'), 'you cannot hand out admin')
+  assert.equal(perms.canManage('Ada', 'ada'), 'you cannot change your own role')
+  assert.equal(perms.canManage('Steve', 'Alex'), 'you cannot manage roles')
+  assert.deepEqual(perms.setRole('Ada', 'Owner', 'banned'), { error: 'Owner has the same or a higher role than you' })
+  assert.equal(perms.roleOf('owner'), 'owner')
+})
+
+test('grants override the role in both directions', () => {
+  assert.equal(perms.can('Alex', 'mine'), false)
+  perms.setGrant('Ada', 'Alex', ['mine'], true)
+  perms.setGrant('Ada', 'steve', ['tpa'], false)
+  assert.equal(perms.can('alex', 'mine'), true)
+  assert.equal(perms.can('Steve', 'tpa'), false)
+  assert.equal(perms.can('Steve', 'goto'), true)
+  assert.deepEqual(perms.setGrant('Ada', 'Alex', ['fly'], true), { error: 'unknown actions fly' })
+  perms.clearGrants('Ada', 'Alex')
+  assert.equal(perms.can('Alex', 'mine'), false)
+})
+
+test('the rate limit warns once per burst and the owner has none', () => {
+  const guest = Array.from({ length: 7 }, () => perms.checkRate('Alex'))
+  assert.deepEqual(guest.map(r => r.allowed), [true, true, true, true, true, false, false])
+  assert.deepEqual(guest.slice(5).map(r => r.notify), [true, false])
+  for (let i = 0; i < 50; i++) assert.equal(perms.checkRate('Owner').allowed, true)
+})
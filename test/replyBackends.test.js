@@ -0,0 +1,61 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'child_process'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createRuleBackend, createHttpLlmBackend, createReplyService } from '../lib/replyBackends.js'
+
+const STUB = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'tools', 'llm-stub.js')
+const stubs = []
+
+after(() => {
+  for (const child of stubs) child.kill()
+})
+
+// tools/llm-stub.js on a free port; resolves to its base url once it listens
+function startStub(...flags) {
+  const child = spawn(process.execPath, [STUB, '0', ...flags], { stdio: ['ignore', 'pipe', 'inherit'] })
+  stubs.push(child)
+  return new Promise((resolve, reject) => {
+    let out = ''
+    child.stdout.on('data', chunk => {
+      out += chunk
+      const m = out.match(/listening on (\S+)/)
+      if (m) resolve('http://' + m[1])
+    })
+    child.on('exit', code => reject(new Error('LLM stub exited with ' + code)))
+  })
+}
+
+const rules = createRuleBackend((message, username) => 'rules answer ' + username)
+const request = { username: 'Steve', message: 'hello', isTrusted: false, history: [{ role: 'user', content: 'Steve: hello' }] }
+
+function serviceFor(url, options = {}) {
+  const warnings = []
+  const log = { log: () => {}, warn: (line) => warnings.push(line), error: () => {} }
+  const primary = createHttpLlmBackend({ url, model: 'stub', ...options })
+  return { service: createReplyService({ primary, fallback: rules, log }), warnings }
+}
+
+test('the LLM answer is used when the server replies, in both request styles', async () => {
+  const base = await startStub()
+  const openai = serviceFor(base + '/v1/chat/completions')
+  assert.equal(await openai.service.reply(request), 'stub reply to "Steve: hello" with 2 messages of context')
+  const ollama = serviceFor(base + '/api/chat', { style: 'ollama' })
+  assert.equal(await ollama.service.reply(request), 'stub reply to "Steve: hello" with 2 messages of context')
+  assert.deepEqual([...openai.warnings, ...ollama.warnings], [])
+})
+
+test('a server slower than the timeout falls back to the rules', async () => {
+  const base = await startStub('--delay', '1000')
+  const { service, warnings } = serviceFor(base + '/v1/chat/completions', { timeoutMs: 100 })
+  assert.equal(await service.reply(request), 'rules answer Steve')
+  assert.deepEqual(warnings, ['[REPLY] openai:stub failed, using rules: timed out after 100ms'])
+})
+
+test('an error status falls back to the rules', async () => {
+  const base = await startStub('--fail')
+  const { service, warnings } = serviceFor(base + '/v1/chat/completions')
+  assert.equal(await service.reply(request), 'rules answer Steve')
+  assert.deepEqual(warnings, ['[REPLY] openai:stub failed, using rules: HTTP 500'])
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseLitematic, parseSpongeSchematic } from '../lib/structures.js'
+
+// longs the way prismarine-nbt gives them: [high, low] signed ints
+function toNbtLong(value) {
+  return [Number(BigInt.asIntN(32, value >> 32n)), Number(BigInt.asIntN(32, value & 0xffffffffn))]
+}
+
+test('litematic indices are unpacked tightly, including one that spans two longs', () => {
+  // 5 palette entries need 3 bits, so index 21 sits on bits 63-65
+  const palette = ['minecraft:air', 'minecraft:stone', 'minecraft:oak_planks', 'minecraft:glass', 'minecraft:oak_stairs']
+  const values = Array.from({ length: 22 }, (_, i) => i === 21 ? 3 : (i + 1) % 5)
+  let packed = 0n
+  values.forEach((v, i) => { packed |= BigInt(v) << BigInt(i * 3) })
+  const region = {
+    Size: { x: 22, y: 1, z: 1 },
+    Position: { x: 0, y: 0, z: 0 },
+    BlockStatePalette: palette.map(Name => Name.endsWith('stairs') ? { Name, Properties: { facing: 'north' } } : { Name }),
+    BlockStates: [toNbtLong(packed & 0xffffffffffffffffn), toNbtLong(packed >> 64n)]
+  }
+  const s = parseLitematic('row', { Regions: { row: region } })
+  const expected = values.map((v, x) => ({ x, v })).filter(b => b.v !== 0)
+  assert.deepEqual(s.size, { x: 22, y: 1, z: 1 })
+  assert.deepEqual(s.blocks.map(b => [b.x, b.name]), expected.map(b => [b.x, palette[b.v].slice('minecraft:'.length)]))
+  assert.deepEqual(s.blocks.find(b => b.name === 'oak_stairs').properties, { facing: 'north' })
+  assert.equal(s.blocks[s.blocks.length - 1].name, 'glass')
+})
+
+test('sponge block data is read as varints from signed bytes', () => {
+  // 2 wide, 1 long, 2 high; palette id 200 takes two bytes, 0xc8 0x01
+  const root = {
+    Schematic: {
+      Version: 3,
+      Width: 2,
+      Height: 2,
+      Length: 1,
+      Blocks: {
+        Palette: { 'minecraft:air': 0, 'minecraft:stone': 1, 'minecraft:oak_stairs[facing=east]': 200 },
+        Data: [1, -56, 1, 0, 1]
+      }
+    }
+  }
+  const s = parseSpongeSchematic('tower', root)
+  assert.deepEqual(s.size, { x: 2, y: 2, z: 1 })
+  assert.deepEqual(s.blocks, [
+    { x: 0, y: 0, z: 0, name: 'stone', properties: {} },
+    { x: 1, y: 0, z: 0, name: 'oak_stairs', properties: { facing: 'east' } },
+    { x: 1, y: 1, z: 0, name: 'stone', properties: {} }
+  ])
+})
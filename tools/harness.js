@@ -0,0 +1,154 @@
+// Runs one bot instance against tools/mock-bot.js, with its data files in a temporary directory, so chat
+// handling, permissions, plans and pathfinder goals can be checked without a server.
+//
+//   const h = await createHarness({ players: ['TryChloroform'] })
+//   await h.say('TryChloroform', 'phyll go to 10 64 10')
+//   h.replies()  // [{ to: 'TryChloroform', message: 'Going to 10, 64, 10' }]
+//   h.goals()    // [{ type: 'GoalBlock', x: 10, y: 64, z: 10, dynamic: false }]
+//   await h.close()
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import nlp from 'compromise'
+import { normalizeBot } from '../lib/fleetConfig.js'
+import { createBotInstance } from '../lib/botInstance.js'
+import { createMockBot } from './mock-bot.js'
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+const SETTLE_MS = 100
+
+// Lines from a transcript file: memory.json-style arrays ([{ role, content }] or plain strings, only the
+// players' side is replayed), or a text file with one raw chat line per line and # comments
+export function loadTranscript(file) {
+  const text = fs.readFileSync(file, 'utf8')
+  if (path.extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(text)
+    const list = Array.isArray(data) ? data : data.messages || []
+    return list.filter(e => typeof e === 'string' || (e && e.role !== 'assistant' && typeof e.content === 'string')).map(e => typeof e === 'string' ? e : e.content)
+  }
+  return text.split(/\r?\n/).filter(l => l.trim() && !l.startsWith('#'))
+}
+
+function describeGoal(goal) {
+  const desc = { type: goal.constructor ? goal.constructor.name : 'unknown' }
+  for (const k of ['x', 'y', 'z', 'rangeSq']) if (Number.isFinite(goal[k])) desc[k] = goal[k]
+  if (goal.entity) desc.target = goal.entity.username || goal.entity.name
+  if (goal.goal) desc.inner = describeGoal(goal.goal)
+  return desc
+}
+
+// config: fleet config entry fields over the defaults below; players: who is online besides the bot;
+// roles: { name: role } set before the first line; verbose prints the bot's log as it runs
+export async function createHarness({ config = {}, players = [], roles = {}, verbose = false } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbot-harness-'))
+  // chatBurst and chatWindowSeconds: replies go out within a settle() instead of at the pace a real server needs
+  const entry = { username: 'TryChlorophyll', names: ['trychlorophyll', 'phyll'], owner: 'TryChloroform', dataDir, viewer: false, chatBurst: 20, chatWindowSeconds: 1, ...config }
+  const cfg = normalizeBot(entry, 0, {}, ROOT)
+  const logs = []
+  const record = (level) => (...args) => {
+    const line = args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' ')
+    logs.push({ level, line })
+    if (verbose) globalThis.console[level === 'log' ? 'log' : level]('[' + cfg.id + '] ' + line)
+  }
+  let bot = null
+  // "reload config" re-reads the entry above with whatever editConfig() has changed since
+  let edits = {}
+  const reloadConfig = () => {
+    try {
+      const next = normalizeBot({ ...entry, ...edits }, 0, {}, ROOT)
+      return { bots: [{ id: cfg.id, ...instance.applyConfig(next) }], restart: [], warnings: [] }
+    } catch (e) { return { error: e.message } }
+  }
+  const shared = { nlp, requireApiToken: (req, res, next) => next(), isFleetBot: () => false, reloadConfig }
+  const instance = createBotInstance(cfg, shared, {
+    log: { log: record('log'), warn: record('warn'), error: record('error') },
+    ping: async () => ({ version: '1.20.4', name: 'harness' }),
+    createBot: (options) => {
+      bot = createMockBot({ username: options.username, version: options.version || '1.20.4', players })
+      setImmediate(() => bot.spawn())
+      return bot
+    }
+  })
+
+  await instance.start()
+  await new Promise((resolve, reject) => {
+    const deadline = Date.now() + 5000
+    const check = () => {
+      if (bot && bot.entity) return resolve()
+      if (Date.now() > deadline) return reject(new Error('mock bot never spawned'))
+      setTimeout(check, 10)
+    }
+    check()
+  })
+  // spawn handlers load plugins and start timers asynchronously
+  await new Promise(r => setTimeout(r, SETTLE_MS))
+
+  // waits for queued tasks and for replies that go through the (possibly async) reply backend
+  async function settle(ms = SETTLE_MS) {
+    await new Promise(r => setTimeout(r, ms))
+    await instance.idle()
+    await new Promise(r => setTimeout(r, ms))
+  }
+
+  // what the bot sent, /msg whispers split into recipient and text; public lines have to: null
+  function replies(since = 0) {
+    return bot.sent.slice(since).map(line => {
+      const m = line.match(/^\/msg (\S+) ([\s\S]*)$/)
+      return m ? { to: m[1], message: m[2] } : { to: null, message: line }
+    })
+  }
+
+  function goals(since = 0) {
+    const history = bot.pathfinder ? bot.pathfinder.history : []
+    return history.slice(since).map(h => ({ ...describeGoal(h.goal), dynamic: h.dynamic }))
+  }
+
+  const harness = {
+    cfg,
+    instance,
+    bot: () => bot,
+    logs,
+    replies,
+    goals,
+    settle,
+    // a raw line exactly as the server would print it
+    async chat(raw) {
+      bot.receive(raw)
+      await settle()
+    },
+    // a vanilla "<player> message" line
+    async say(player, message) {
+      await harness.chat('<' + player + '> ' + message)
+    },
+    async whisper(player, message) {
+      await harness.chat(player + ' whispers to you: ' + message)
+    },
+    // the owner whispers "make <player> <role>", the same way it is done in game
+    async setRole(player, role) {
+      await harness.whisper(cfg.owner, 'make ' + player + ' ' + role)
+    },
+    // config entry fields the next "reload config" picks up
+    editConfig(changes) {
+      edits = { ...edits, ...changes }
+    },
+    // each line with what the bot said and which goals it set in answer
+    async replay(lines) {
+      const results = []
+      for (const line of lines) {
+        const sent = bot.sent.length
+        const goalCount = goals().length
+        await harness.chat(line)
+        results.push({ line, replies: replies(sent), goals: goals(goalCount) })
+      }
+      return results
+    },
+    async close() {
+      instance.quit('harness done')
+      await new Promise(r => setTimeout(r, 20))
+      fs.rmSync(dataDir, { recursive: true, force: true })
+    }
+  }
+  for (const [player, role] of Object.entries(roles)) await harness.setRole(player, role)
+  return harness
+}
@@ -0,0 +1,38 @@
+// Minimal stand-in for a local LLM server, for trying REPLY_BACKEND without a model.
+// Answers both OpenAI-style /v1/chat/completions and Ollama-style /api/chat.
+// Usage: node tools/llm-stub.js [port] [--delay ms] [--fail]
+//   --delay makes every answer slow (to exercise LLM_TIMEOUT_MS), --fail answers 500 (to exercise the fallback)
+import http from 'http'
+
+const args = process.argv.slice(2)
+const port = parseInt(args.find(a => /^\d+$/.test(a)) || '8080', 10)
+const delayIdx = args.indexOf('--delay')
+const delay = delayIdx !== -1 ? parseInt(args[delayIdx + 1], 10) || 0 : 0
+const fail = args.includes('--fail')
+
+function answerFor(messages) {
+  const last = [...messages].reverse().find(m => m.role === 'user')
+  return 'stub reply to "' + (last ? last.content : '') + '" with ' + messages.length + ' messages of context'
+}
+
+const server = http.createServer((req, res) => {
+  let raw = ''
+  req.on('data', chunk => { raw += chunk })
+  req.on('end', () => {
+    let body = {}
+    try { body = JSON.parse(raw || '{}') } catch (e) { /* answered below */ }
+    console.log('[STUB] ' + req.method + ' ' + req.url + ' messages=' + (body.messages ? body.messages.length : 0))
+    setTimeout(() => {
+      if (fail) { res.writeHead(500); res.end('stub failure'); return }
+      const text = answerFor(body.messages || [])
+      const payload = req.url.startsWith('/api/chat')
+        ? { model: body.model, message: { role: 'assistant', content: text }, done: true }
+        : { id: 'stub', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }] }
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end(JSON.stringify(payload))
+    }, delay)
+  })
+})
+
+// port 0 picks a free one; the line below says which
+server.listen(port, '127.0.0.1', () => console.log('[STUB] LLM stub listening on 127.0.0.1:' + server.address().port))
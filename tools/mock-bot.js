@@ -0,0 +1,128 @@
+// A stand-in for a mineflayer bot, enough for the bot instance to spawn, read chat, answer and set
+// pathfinder goals without a server. The world is empty: no blocks, no mobs, nothing to dig or open.
+// Used by tools/harness.js; tests drive it through the harness rather than directly.
+import { EventEmitter } from 'events'
+import minecraftData from 'minecraft-data'
+import { Vec3 } from 'vec3'
+import pathfinderPkg from 'mineflayer-pathfinder'
+
+const offline = (what) => () => Promise.reject(new Error(what + ' is not available offline'))
+
+// Records every goal; goto() arrives at once unless unreachable is set, then fails like the real one
+function createMockPathfinder(bot) {
+  const pathfinder = {
+    goal: null,
+    movements: null,
+    history: [],
+    unreachable: false,
+    setMovements(movements) { pathfinder.movements = movements },
+    setGoal(goal, dynamic = false) {
+      pathfinder.goal = goal
+      if (goal) pathfinder.history.push({ goal, dynamic, at: Date.now() })
+      bot.emit('goal_updated', goal, dynamic)
+    },
+    async goto(goal) {
+      pathfinder.setGoal(goal)
+      await new Promise(resolve => setImmediate(resolve))
+      if (pathfinder.unreachable) {
+        bot.emit('path_update', { status: 'noPath', path: [] })
+        pathfinder.goal = null
+        const err = new Error('No path to the goal!')
+        err.name = 'NoPath'
+        throw err
+      }
+      const p = bot.entity.position
+      bot.entity.position = new Vec3(Number.isFinite(goal.x) ? goal.x + 0.5 : p.x, Number.isFinite(goal.y) ? goal.y : p.y, Number.isFinite(goal.z) ? goal.z + 0.5 : p.z)
+      pathfinder.goal = null
+      bot.emit('goal_reached', goal)
+    },
+    stop() { pathfinder.setGoal(null) },
+    isMoving: () => false
+  }
+  return pathfinder
+}
+
+// players: names besides the bot that are online, each standing near spawn
+export function createMockBot({ username = 'TryChlorophyll', version = '1.20.4', players = [], position = { x: 0, y: 64, z: 0 } } = {}) {
+  const bot = new EventEmitter()
+  bot.setMaxListeners(100)
+  bot.username = username
+  bot.version = version
+  bot.registry = minecraftData(version)
+  bot.entity = null
+  bot.entities = {}
+  bot.players = {}
+  bot.health = 20
+  bot.food = 20
+  bot.oxygenLevel = 20
+  bot.thunderState = 0
+  bot.isSleeping = false
+  bot.heldItem = null
+  bot.game = { dimension: 'overworld', gameMode: 'survival' }
+  bot.time = { timeOfDay: 1000, age: 0 }
+  bot.inventory = { items: () => [], slots: [], emptySlotCount: () => 36 }
+  bot.world = { getBlock: () => null }
+  // everything sent with chat(), commands and /msg included
+  bot.sent = []
+  bot.plugins = []
+
+  bot.chat = (message) => {
+    bot.sent.push(message)
+    bot.emit('mock:chat', message)
+  }
+  bot.loadPlugin = (plugin) => {
+    bot.plugins.push(plugin)
+    if (plugin === pathfinderPkg.pathfinder) bot.pathfinder = createMockPathfinder(bot)
+  }
+  bot.blockAt = () => null
+  bot.findBlock = () => null
+  bot.findBlocks = () => []
+  bot.nearestEntity = () => null
+  bot.canDigBlock = () => false
+  bot.isABed = () => false
+  bot.lookAt = async () => {}
+  bot.setControlState = () => {}
+  bot.equip = offline('equip')
+  bot.dig = offline('dig')
+  bot.placeBlock = offline('placeBlock')
+  bot.toss = offline('toss')
+  bot.openContainer = offline('openContainer')
+  bot.openFurnace = offline('openFurnace')
+  bot.recipesFor = () => []
+  bot.craft = offline('craft')
+  bot.sleep = offline('sleep')
+  bot.wake = offline('wake')
+  bot.attack = () => {}
+
+  function addPlayer(name, at = { x: position.x + 2, y: position.y, z: position.z }) {
+    const entity = { type: 'player', username: name, name: 'player', position: new Vec3(at.x, at.y, at.z), height: 1.8, id: Object.keys(bot.entities).length + 2 }
+    bot.players[name] = { username: name, entity, ping: 0 }
+    bot.entities[entity.id] = entity
+    return entity
+  }
+
+  bot.addPlayer = addPlayer
+  bot.removePlayer = (name) => {
+    const p = bot.players[name]
+    if (p && p.entity) delete bot.entities[p.entity.id]
+    delete bot.players[name]
+  }
+
+  // a line as the server would send it; toString() is all the bot reads
+  bot.receive = (raw) => bot.emit('message', { toString: () => raw, toAnsi: () => raw }, 'chat')
+
+  bot.spawn = () => {
+    bot.entity = { type: 'player', username, position: new Vec3(position.x, position.y, position.z), velocity: new Vec3(0, 0, 0), height: 1.62, yaw: 0, pitch: 0, onGround: true, id: 1 }
+    bot.players[username] = { username, entity: bot.entity, ping: 0 }
+    for (const name of players) addPlayer(name)
+    bot.emit('login')
+    bot.emit('spawn')
+  }
+
+  bot.quit = (reason) => {
+    bot.entity = null
+    setImmediate(() => bot.emit('end', reason || 'quit'))
+  }
+  bot.end = bot.quit
+  return bot
+}
@@ -0,0 +1,50 @@
+// Replays raw chat lines through the chat format rules and reports what matched.
+// Usage: node tools/replay-chat.js <lines.txt> [--rules config/chat-formats.json] [--players a,b] [--verbose]
+// Lines starting with # and blank lines are skipped. Exits 1 when any line is unmatched.
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { loadChatRules, parseChatLine } from '../lib/chatFormats.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+function parseArgs(argv) {
+  const opts = { file: null, rules: path.join(__dirname, '..', 'config', 'chat-formats.json'), players: [], verbose: false }
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (a === '--rules') opts.rules = argv[++i]
+    else if (a === '--players') opts.players = String(argv[++i] || '').split(',').filter(Boolean)
+    else if (a === '--verbose' || a === '-v') opts.verbose = true
+    else if (!opts.file) opts.file = a
+  }
+  return opts
+}
+
+const opts = parseArgs(process.argv.slice(2))
+if (!opts.file) {
+  console.error('Usage: node tools/replay-chat.js <lines.txt> [--rules file] [--players a,b] [--verbose]')
+  process.exit(2)
+}
+
+const rules = loadChatRules(opts.rules)
+const lines = fs.readFileSync(opts.file, 'utf8').split(/\r?\n/).filter(l => l.trim() && !l.startsWith('#'))
+const counts = {}
+const unmatched = []
+
+for (const line of lines) {
+  const parsed = parseChatLine(line, rules, { players: opts.players })
+  if (!parsed) { unmatched.push(line); continue }
+  counts[parsed.rule] = (counts[parsed.rule] || 0) + 1
+  if (opts.verbose) {
+    const extra = ['replyTo', 'rank', 'team', 'event'].filter(k => parsed[k]).map(k => k + '=' + parsed[k]).join(' ')
+    console.log('[' + parsed.rule + '] ' + parsed.channel + ' ' + parsed.username + ': ' + parsed.message + (parsed.ignored ? ' (ignored)' : '') + (extra ? ' ' + extra : ''))
+  }
+}
+
+console.log('Matched ' + (lines.length - unmatched.length) + '/' + lines.length + ' lines')
+for (const [rule, n] of Object.entries(counts).sort((a, b) => b[1] - a[1])) console.log('  ' + rule + ': ' + n)
+if (unmatched.length) {
+  console.log('Unmatched lines:')
+  for (const l of unmatched) console.log('  ' + l)
+  process.exit(1)
+}
@@ -0,0 +1,45 @@
+// Replays a chat transcript through a bot running on the mock bot and prints what it answered.
+// Usage: node tools/replay-transcript.js <memory.json|lines.txt> [--players a,b] [--trusted a,b] [--verbose]
+// Only lines the bot answered (or set a goal for) are printed; --all prints every line.
+import { createHarness, loadTranscript } from './harness.js'
+
+function parseArgs(argv) {
+  const opts = { file: null, players: [], trusted: [], verbose: false, all: false }
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (a === '--players') opts.players = String(argv[++i] || '').split(',').filter(Boolean)
+    else if (a === '--trusted') opts.trusted = String(argv[++i] || '').split(',').filter(Boolean)
+    else if (a === '--verbose' || a === '-v') opts.verbose = true
+    else if (a === '--all') opts.all = true
+    else if (!opts.file) opts.file = a
+  }
+  return opts
+}
+
+const opts = parseArgs(process.argv.slice(2))
+if (!opts.file) {
+  console.error('Usage: node tools/replay-transcript.js <memory.json|lines.txt> [--players a,b] [--trusted a,b] [--verbose] [--all]')
+  process.exit(2)
+}
+
+const lines = loadTranscript(opts.file)
+const harness = await createHarness({
+  players: opts.players,
+  roles: Object.fromEntries(opts.trusted.map(p => [p, 'trusted'])),
+  verbose: opts.verbose
+})
+const start = harness.replies().length
+let answered = 0
+try {
+  for (const result of await harness.replay(lines)) {
+    const quiet = result.replies.length === 0 && result.goals.length === 0
+    if (!quiet) answered++
+    if (quiet && !opts.all) continue
+    console.log('> ' + result.line)
+    for (const r of result.replies) console.log('  ' + (r.to ? '-> ' + r.to + ': ' : 'say: ') + r.message)
+    for (const g of result.goals) console.log('  goal: ' + JSON.stringify(g))
+  }
+} finally {
+  await harness.close()
+}
+console.log('\n' + lines.length + ' lines, ' + answered + ' answered, ' + (harness.replies().length - start) + ' messages sent')